@@ -0,0 +1,63 @@
+// Builds the per-admin notification digests from status-change events and items whose
+// date needed is close. Pure functions only, so digests can be built without Firestore.
+
+export const DEFAULT_DUE_SOON_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which events and reminders each admin role receives in its digest
+const ROLE_INTERESTS = {
+  owner: { event: () => true, dueSoon: true },
+  editor: { event: (event) => event.contributionType !== 'cash', dueSoon: true },
+  treasurer: { event: (event) => event.contributionType === 'cash', dueSoon: false },
+};
+
+// Whole days from `now` until an item's YYYY-MM-DD date needed; negative when overdue
+export const daysUntil = (dateNeeded, now = new Date()) => {
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((new Date(dateNeeded).getTime() - today) / DAY_MS);
+};
+
+// Items still waiting for help (pending, or partly funded) needed within `days` days, overdue
+// ones included, soonest first
+export const findDueSoonItems = (items, { days = DEFAULT_DUE_SOON_DAYS, now = new Date() } = {}) => items
+  .filter(item => !item.deletedAt && (item.status === 'Pending' || item.status === 'Funding') && item.dateNeeded && !isNaN(new Date(item.dateNeeded).getTime()))
+  .map(item => ({ ...item, daysUntilNeeded: daysUntil(item.dateNeeded, now) }))
+  .filter(item => item.daysUntilNeeded <= days)
+  .sort((a, b) => a.daysUntilNeeded - b.daysUntilNeeded);
+
+const describeEvent = (event) => {
+  const when = new Date(event.timestamp).toISOString().slice(0, 10);
+  return `- ${event.itemName}: ${event.fromStatus} -> ${event.toStatus} (${event.actorName || 'Anonymous'}, ${when})`;
+};
+
+const describeDueSoonItem = (item) => {
+  if (item.daysUntilNeeded < 0) return `- ${item.itemName}: overdue by ${-item.daysUntilNeeded} day(s) (needed ${item.dateNeeded})`;
+  if (item.daysUntilNeeded === 0) return `- ${item.itemName}: needed today`;
+  return `- ${item.itemName}: needed in ${item.daysUntilNeeded} day(s) (${item.dateNeeded})`;
+};
+
+// Returns one message per admin with an email address and something to report
+export const buildDigests = ({ admins, events, dueSoonItems, title = 'STSM Church Denver - Wishlist' }) => admins
+  .filter(admin => admin.email && ROLE_INTERESTS[admin.role])
+  .map(admin => {
+    const interests = ROLE_INTERESTS[admin.role];
+    const adminEvents = events.filter(interests.event).sort((a, b) => a.timestamp - b.timestamp);
+    const adminDueSoon = interests.dueSoon ? dueSoonItems : [];
+    if (adminEvents.length === 0 && adminDueSoon.length === 0) return null;
+
+    const sections = [];
+    if (adminEvents.length > 0) {
+      sections.push(['Status changes:', ...adminEvents.map(describeEvent)].join('\n'));
+    }
+    if (adminDueSoon.length > 0) {
+      sections.push(['Still pending and needed soon:', ...adminDueSoon.map(describeDueSoonItem)].join('\n'));
+    }
+    return {
+      to: admin.email,
+      subject: `${title}: ${adminEvents.length} update(s), ${adminDueSoon.length} item(s) needed soon`,
+      text: `${sections.join('\n\n')}\n`,
+      eventIds: adminEvents.map(event => event.id),
+    };
+  })
+  .filter(Boolean);
@@ -0,0 +1,82 @@
+// Rolls recurring items over to their next occurrence. Run by the scheduled digest job with the
+// Admin SDK, so a cycle is closed on time whether or not an editor opens the app.
+import { localDateString, needsRollover, nextOccurrence } from '../src/lib/items.js';
+
+const ACTOR_NAME = 'Recurring schedule';
+
+// Archives the finished cycle of a recurring item and resets it for the next occurrence.
+// Resolves to the new date needed, or null if the item no longer needs rolling over.
+export const rollOverItem = (db, appId, itemId, today = localDateString()) => {
+  const dataPath = `artifacts/${appId}/public/data`;
+  const itemRef = db.doc(`${dataPath}/wishlistItems/${itemId}`);
+  return db.runTransaction(async (transaction) => {
+    const itemDoc = await transaction.get(itemRef);
+    if (!itemDoc.exists) return null;
+    const itemData = itemDoc.data();
+    if (itemData.deletedAt || !needsRollover(itemData, today)) return null;
+    const nextDateNeeded = nextOccurrence(itemData, today);
+    if (!nextDateNeeded) return null;
+
+    const closedAt = Date.now();
+    transaction.set(itemRef.collection('cycles').doc(), {
+      cycleNumber: itemData.cycleNumber || 1,
+      dateNeeded: itemData.dateNeeded,
+      status: itemData.status,
+      expectedCost: itemData.expectedCost,
+      currentContributions: itemData.currentContributions || 0,
+      receivedContributions: itemData.receivedContributions || 0,
+      quantityNeeded: itemData.quantityNeeded || null,
+      quantityClaimed: itemData.quantityClaimed || 0,
+      contributorName: itemData.contributorName || null,
+      startedAt: itemData.cycleStartedAt || 0,
+      closedAt,
+    });
+    transaction.update(itemRef, {
+      dateNeeded: nextDateNeeded,
+      status: 'Pending',
+      currentContributions: 0,
+      receivedContributions: 0,
+      quantityClaimed: 0,
+      contributorId: null,
+      contributorName: null,
+      signUpContributionId: null,
+      cycleNumber: (itemData.cycleNumber || 1) + 1,
+      cycleStartedAt: closedAt,
+    });
+    if (itemData.status !== 'Pending') {
+      transaction.set(db.collection(`${dataPath}/notificationEvents`).doc(), {
+        type: 'statusChange',
+        itemId,
+        itemName: itemData.itemName,
+        contributionType: itemData.contributionType,
+        fromStatus: itemData.status,
+        toStatus: 'Pending',
+        actorName: ACTOR_NAME,
+        timestamp: closedAt,
+        digestedAt: null,
+      });
+    }
+    transaction.set(db.collection(`${dataPath}/auditLog`).doc(), {
+      action: 'item.rolledOver',
+      itemId,
+      itemName: itemData.itemName,
+      before: { dateNeeded: itemData.dateNeeded, status: itemData.status },
+      after: { dateNeeded: nextDateNeeded, status: 'Pending' },
+      actorId: null,
+      actorName: ACTOR_NAME,
+      timestamp: closedAt,
+    });
+    return nextDateNeeded;
+  });
+};
+
+// Rolls over every item whose cycle is finished, one transaction each, and resolves to the
+// items that were rolled over with their new date needed
+export const rollOverItems = async (db, appId, items, today = localDateString()) => {
+  const rolledOver = [];
+  for (const item of items.filter(candidate => !candidate.deletedAt && needsRollover(candidate, today))) {
+    const nextDateNeeded = await rollOverItem(db, appId, item.id, today);
+    if (nextDateNeeded) rolledOver.push({ ...item, nextDateNeeded });
+  }
+  return rolledOver;
+};
@@ -0,0 +1,109 @@
+// Rolls recurring items over and sends the admin notification digests. Meant to run on a
+// schedule (for example a daily cron job) with credentials for the Firebase project:
+//
+//   APP_ID=default-app-id NOTIFY_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 \
+//   SMTP_FROM=wishlist@example.org node notifications/send-digests.mjs
+//
+// Settings (environment variables):
+//   APP_ID             app ID used in the Firestore paths, as in the web app
+//   DUE_SOON_DAYS      remind about Pending items needed within this many days (default 14)
+//   NOTIFY_TRANSPORT   "smtp" or "webhook"
+//   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+//   WEBHOOK_URL, WEBHOOK_SECRET
+//   DRY_RUN            print the digests and due rollovers instead of sending or making them
+//   TZ                 the church's time zone, which decides when a date needed has passed
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { buildDigests, findDueSoonItems, DEFAULT_DUE_SOON_DAYS } from './digest.mjs';
+import { createTransport } from './transports.mjs';
+import { rollOverItems } from './rollover.mjs';
+import { localDateString, needsRollover } from '../src/lib/items.js';
+
+const env = process.env;
+const appId = env.APP_ID || 'default-app-id';
+
+const transportConfig = env.NOTIFY_TRANSPORT === 'webhook'
+  ? { type: 'webhook', url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET }
+  : {
+    type: 'smtp',
+    host: env.SMTP_HOST || 'localhost',
+    port: Number(env.SMTP_PORT || 25),
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.SMTP_FROM || 'wishlist@localhost',
+  };
+
+const main = async () => {
+  initializeApp();
+  const db = getFirestore();
+  const dataPath = `artifacts/${appId}/public/data`;
+
+  // Recurring items are rolled over first, so their status changes are in this run's digests
+  const today = localDateString();
+  const rolloverSnapshot = await db.collection(`${dataPath}/wishlistItems`).get();
+  const rolloverCandidates = rolloverSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  if (env.DRY_RUN) {
+    rolloverCandidates
+      .filter(item => !item.deletedAt && needsRollover(item, today))
+      .forEach(item => console.log(`Would roll ${item.itemName} over`));
+  } else {
+    const rolledOver = await rollOverItems(db, appId, rolloverCandidates, today);
+    rolledOver.forEach(item => console.log(`Rolled ${item.itemName} over to ${item.nextDateNeeded}`));
+  }
+
+  const [adminsSnapshot, eventsSnapshot, itemsSnapshot] = await Promise.all([
+    db.collection(`${dataPath}/admins`).get(),
+    db.collection(`${dataPath}/notificationEvents`).where('digestedAt', '==', null).get(),
+    db.collection(`${dataPath}/wishlistItems`).get(),
+  ]);
+
+  // Roster entries keyed by UID may not carry an email; look it up from Firebase Auth
+  const admins = await Promise.all(adminsSnapshot.docs.map(async (doc) => {
+    const admin = { id: doc.id, ...doc.data() };
+    if (!admin.email && !doc.id.includes('@')) {
+      admin.email = await getAuth().getUser(doc.id).then(record => record.email, () => null);
+    }
+    return { ...admin, email: admin.email || (doc.id.includes('@') ? doc.id : null) };
+  }));
+  const events = eventsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const dueSoonItems = findDueSoonItems(
+    itemsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    { days: Number(env.DUE_SOON_DAYS || DEFAULT_DUE_SOON_DAYS) },
+  );
+
+  const digests = buildDigests({ admins, events, dueSoonItems });
+  if (env.DRY_RUN) {
+    digests.forEach(digest => console.log(`To: ${digest.to}\nSubject: ${digest.subject}\n\n${digest.text}`));
+    return;
+  }
+
+  const transport = createTransport(transportConfig);
+  let failures = 0;
+  for (const digest of digests) {
+    try {
+      await transport.send(digest);
+      console.log(`Sent digest to ${digest.to}`);
+    } catch (error) {
+      failures++;
+      console.error(`Failed to send digest to ${digest.to}:`, error);
+    }
+  }
+
+  // Events are only marked as digested when every digest went out, so a failed run is retried
+  if (failures === 0) {
+    const digestedAt = Date.now();
+    for (let start = 0; start < events.length; start += 500) {
+      const batch = db.batch();
+      events.slice(start, start + 500).forEach(event => batch.update(db.doc(`${dataPath}/notificationEvents/${event.id}`), { digestedAt }));
+      await batch.commit();
+    }
+  }
+  process.exitCode = failures > 0 ? 1 : 0;
+};
+
+main().catch((error) => {
+  console.error('Error sending notification digests:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,131 @@
+// Pluggable delivery for notification digests. Every transport exposes
+// `send({ to, subject, text })` and resolves once the message is accepted.
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+// Encodes a header value as RFC 2047 UTF-8 when it is not plain ASCII
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+// Reads SMTP replies off a socket, collecting multi-line replies into one
+const createReplyReader = (socket) => {
+  const replies = [];
+  const waiters = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiters.length > 0 && (replies.length > 0 || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  };
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  });
+  socket.on('error', (error) => {
+    failure = error;
+    settle();
+  });
+  socket.on('close', () => {
+    failure = failure || new Error('SMTP connection closed');
+    settle();
+  });
+
+  return () => new Promise((resolve, reject) => {
+    waiters.push({ resolve, reject });
+    settle();
+  });
+};
+
+// Plain SMTP, with optional implicit TLS and AUTH PLAIN. Points at a local mail catcher
+// (for example MailHog on port 1025) in development and tests.
+export const createSmtpTransport = ({ host = 'localhost', port = 25, secure = false, user, pass, from }) => ({
+  async send({ to, subject, text }) {
+    const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    const readReply = createReplyReader(socket);
+    const expect = async (codePrefix) => {
+      const reply = await readReply();
+      if (!String(reply.code).startsWith(codePrefix)) {
+        throw new Error(`Unexpected SMTP reply: ${reply.text}`);
+      }
+      return reply;
+    };
+    const command = (line, codePrefix) => {
+      socket.write(`${line}\r\n`);
+      return expect(codePrefix);
+    };
+
+    try {
+      await expect('2');
+      await command(`EHLO ${os.hostname()}`, '2');
+      if (user) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, '2');
+      }
+      await command(`MAIL FROM:<${from}>`, '2');
+      for (const recipient of [].concat(to)) {
+        await command(`RCPT TO:<${recipient}>`, '2');
+      }
+      await command('DATA', '3');
+      const headers = [
+        `From: ${from}`,
+        `To: ${[].concat(to).join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+      ];
+      // Dot-stuff lines that start with "." so they are not read as the end of data
+      const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+      await command(`${headers.join('\r\n')}\r\n\r\n${body}\r\n.`, '2');
+      await command('QUIT', '2');
+    } finally {
+      socket.end();
+    }
+  },
+});
+
+// Posts each digest as JSON. With a secret, the body is signed with HMAC-SHA256 in the
+// X-Wishlist-Signature header so the receiver can verify it.
+export const createWebhookTransport = ({ url, secret }) => ({
+  async send(message) {
+    const body = JSON.stringify(message);
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Wishlist-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+    const response = await fetch(url, { method: 'POST', headers, body });
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  },
+});
+
+// Picks a transport from plain configuration, e.g. environment variables
+export const createTransport = (config) => {
+  switch (config.type) {
+    case 'smtp':
+      return createSmtpTransport(config);
+    case 'webhook':
+      return createWebhookTransport(config);
+    default:
+      throw new Error(`Unknown notification transport: ${config.type}`);
+  }
+};
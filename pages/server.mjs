@@ -0,0 +1,145 @@
+// Page server for the built site. Serves dist/ like the static host does, but fills in the Open
+// Graph tags on item pages (/items/<id>) so links shared on WhatsApp or Facebook preview the
+// item instead of the wishlist in general. Link preview crawlers don't run the app's scripts.
+//
+//   npm run build && APP_ID=default-app-id node pages/server.mjs
+//
+// Run it in place of the static host, or point the host's /items/** rewrite at it.
+//
+// Settings (environment variables):
+//   APP_ID      app ID used in the Firestore paths, as in the web app
+//   PORT        port to listen on (default 8788)
+//   PUBLIC_URL  address the site is reachable at, used for og:url
+//   DIST_DIR    built site to serve (default dist/ next to this folder)
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { isQuantityItem, remainingQuantity, remainingBalance } from '../src/lib/items.js';
+
+const env = process.env;
+const appId = env.APP_ID || 'default-app-id';
+const port = Number(env.PORT || 8788);
+const publicUrl = env.PUBLIC_URL || `http://localhost:${port}`;
+const distDir = path.resolve(env.DIST_DIR || fileURLToPath(new URL('../dist', import.meta.url)));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+initializeApp();
+const db = getFirestore();
+const indexHtml = await readFile(path.join(distDir, 'index.html'), 'utf8');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// One line on what the item still needs, for the preview text
+const describeItem = (item) => {
+  if (item.status === 'Completed') return `${item.itemName} has been taken care of. Thank you!`;
+  if (item.contributionType === 'cash' && item.isPartialAllowed) {
+    return `$${remainingBalance(item).toFixed(2)} still needed of $${item.expectedCost.toFixed(2)}. Every gift helps.`;
+  }
+  if (isQuantityItem(item)) {
+    return `${remainingQuantity(item)} of ${item.quantityNeeded} still needed. Sign up to bring some.`;
+  }
+  if (item.status !== 'Pending') return `${item.itemName} has been taken care of. Thank you!`;
+  return item.contributionType === 'cash'
+    ? `Looking for a sponsor for $${item.expectedCost.toFixed(2)}.`
+    : `Looking for someone to buy this ($${item.expectedCost.toFixed(2)}).`;
+};
+
+// The app's index.html with the title and preview tags describing one item
+const renderItemPage = (item, itemId) => {
+  const title = escapeHtml(`${item.itemName} - STSM Church Denver Wishlist`);
+  const description = escapeHtml(describeItem(item));
+  const url = escapeHtml(new URL(`/items/${encodeURIComponent(itemId)}`, publicUrl).toString());
+  // The item's first photo, as arranged by the admins, becomes the preview image
+  const imageTag = item.images?.length > 0 ? `  <meta property="og:image" content="${escapeHtml(item.images[0].url)}" />\n` : '';
+  // Replacer functions, since the text can contain "$" amounts
+  return indexHtml
+    .replace(/<title>[^<]*<\/title>/, () => `<title>${title}</title>`)
+    .replace(/(<meta name="description" content=")[^"]*/, (match, tag) => tag + description)
+    .replace(/(<meta property="og:title" content=")[^"]*/, (match, tag) => tag + title)
+    .replace(/(<meta property="og:description" content=")[^"]*/, (match, tag) => tag + description)
+    .replace('</head>', () => `  <meta property="og:url" content="${url}" />\n${imageTag}</head>`);
+};
+
+const handleItemPage = async (itemId) => {
+  if (itemId.includes('/')) return indexHtml;
+  const itemDoc = await db.doc(`artifacts/${appId}/public/data/wishlistItems/${itemId}`).get();
+  // Unknown and deleted items get the general page; the app tells the visitor it is gone
+  if (!itemDoc.exists || itemDoc.data().deletedAt) return indexHtml;
+  return renderItemPage(itemDoc.data(), itemId);
+};
+
+// Whether every percent escape in a path decodes, so the decodeURIComponent calls below can't throw
+const decodablePath = (pathname) => {
+  try {
+    decodeURIComponent(pathname);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A file from dist/, or null when there is none so the page falls back to the app
+const readStaticFile = async (pathname) => {
+  const filePath = path.join(distDir, decodeURIComponent(pathname));
+  if (!filePath.startsWith(distDir + path.sep)) return null;
+  try {
+    return { body: await readFile(filePath), type: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' };
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') return null;
+    throw error;
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, publicUrl);
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+    if (!decodablePath(pathname)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request.');
+      return;
+    }
+    const itemMatch = pathname.match(/^\/items\/([^/]+)\/?$/);
+    if (itemMatch) {
+      const html = await handleItemPage(decodeURIComponent(itemMatch[1]));
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-cache' });
+      res.end(html);
+      return;
+    }
+    const file = pathname === '/' ? null : await readStaticFile(pathname);
+    if (file) {
+      // Built scripts have content hashes in their names and never change
+      const cacheControl = pathname.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache';
+      res.writeHead(200, { 'Content-Type': file.type, 'Cache-Control': cacheControl });
+      res.end(file.body);
+    } else {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-cache' });
+      res.end(indexHtml);
+    }
+  } catch (error) {
+    console.error('Error serving page:', error);
+    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Internal error.');
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Page server listening on ${publicUrl}`);
+});
@@ -0,0 +1,134 @@
+// Pluggable payment providers for online giving. Every provider exposes
+// `createCheckoutSession({ amount, currency, description, metadata, successUrl, cancelUrl })`,
+// resolving to `{ id, url }`, and `parseWebhook(payload, headers)`, which verifies the
+// signature and returns `{ type: 'payment.succeeded', ... }` or `{ type: 'ignored' }`.
+import crypto from 'node:crypto';
+
+// Webhooks older than this are rejected so a captured request can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe-style signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+export const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`
+);
+
+export const verifySignature = (payload, header, secret, now = Date.now()) => {
+  if (!secret) throw new Error('No webhook secret configured');
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!parts.t || !parts.v1) throw new Error('Missing webhook signature');
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook signature has expired');
+  }
+  const expected = Buffer.from(signPayload(payload, secret, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('Webhook signature does not match');
+  }
+};
+
+// Turns a verified Stripe-format event into a provider-neutral payment
+export const parseCheckoutEvent = (payload) => {
+  const event = JSON.parse(payload);
+  const session = event.data?.object;
+  if (event.type !== 'checkout.session.completed' || session?.payment_status !== 'paid') {
+    return { type: 'ignored' };
+  }
+  return {
+    type: 'payment.succeeded',
+    sessionId: session.id,
+    amount: session.amount_total / 100,
+    currency: session.currency,
+    reference: session.payment_intent || session.id,
+    metadata: session.metadata || {},
+  };
+};
+
+// Stripe Checkout over its REST API, without the SDK
+export const createStripeProvider = ({ secretKey, webhookSecret, apiBase = 'https://api.stripe.com' }) => ({
+  async createCheckoutSession({ amount, currency = 'usd', description, metadata = {}, successUrl, cancelUrl }) {
+    const form = new URLSearchParams({
+      mode: 'payment',
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': currency,
+      'line_items[0][price_data][unit_amount]': String(Math.round(amount * 100)),
+      'line_items[0][price_data][product_data][name]': description,
+    });
+    Object.entries(metadata).forEach(([key, value]) => form.set(`metadata[${key}]`, String(value)));
+
+    const response = await fetch(`${apiBase}/v1/checkout/sessions`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form,
+    });
+    const session = await response.json();
+    if (!response.ok) {
+      throw new Error(`Stripe responded with ${response.status}: ${session.error?.message || 'unknown error'}`);
+    }
+    return { id: session.id, url: session.url };
+  },
+
+  parseWebhook(payload, headers) {
+    verifySignature(payload, headers['stripe-signature'], webhookSecret);
+    return parseCheckoutEvent(payload);
+  },
+});
+
+// Stands in for Stripe in development and tests. Sessions live in memory, checkout happens on
+// a local page served by the payment server, and completing it produces the same signed
+// event Stripe would send, so the webhook path is exercised unchanged.
+export const createMockProvider = ({ webhookSecret, baseUrl }) => {
+  const sessions = new Map();
+  return {
+    async createCheckoutSession({ amount, currency = 'usd', description, metadata = {}, successUrl, cancelUrl }) {
+      const id = `mock_cs_${crypto.randomBytes(12).toString('hex')}`;
+      sessions.set(id, { id, amount, currency, description, metadata, successUrl, cancelUrl });
+      return { id, url: `${baseUrl}/mock-checkout/${id}` };
+    },
+
+    getSession(id) {
+      return sessions.get(id) || null;
+    },
+
+    // Pays a session and returns the webhook request Stripe would have sent for it
+    completeSession(id) {
+      const session = sessions.get(id);
+      if (!session) throw new Error(`Unknown checkout session: ${id}`);
+      sessions.delete(id);
+      const payload = JSON.stringify({
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'checkout.session.completed',
+        data: {
+          object: {
+            id,
+            payment_status: 'paid',
+            amount_total: Math.round(session.amount * 100),
+            currency: session.currency,
+            payment_intent: `mock_pi_${crypto.randomBytes(12).toString('hex')}`,
+            metadata: session.metadata,
+          },
+        },
+      });
+      return { payload, headers: { 'stripe-signature': signPayload(payload, webhookSecret) } };
+    },
+
+    parseWebhook(payload, headers) {
+      verifySignature(payload, headers['stripe-signature'], webhookSecret);
+      return parseCheckoutEvent(payload);
+    },
+  };
+};
+
+// Picks a provider from plain configuration, e.g. environment variables
+export const createPaymentProvider = (config) => {
+  switch (config.type) {
+    case 'stripe':
+      return createStripeProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown payment provider: ${config.type}`);
+  }
+};
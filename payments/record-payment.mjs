@@ -0,0 +1,111 @@
+// Records confirmed online payments in Firestore with the same fields the web app writes for
+// cash contributions, so totals, reconciliation and digests treat them alike.
+import { roundCents, remainingBalance, cashStatus } from '../src/lib/items.js';
+
+// Online giving is offered on items that take partial cash gifts and are not yet complete
+export const acceptsOnlineGift = (item) => (
+  !item.deletedAt && item.contributionType === 'cash' && item.isPartialAllowed && item.status !== 'Completed'
+);
+
+// Writes a paid checkout session as a received contribution. Documents are keyed by the
+// session ID, so a webhook delivered twice is only recorded once. Anything the item no
+// longer needs (someone else may have given in the meantime) goes to the general fund.
+export const recordOnlinePayment = async (db, appId, payment) => {
+  const dataPath = `artifacts/${appId}/public/data`;
+  const { itemId, userId, contributorName } = payment.metadata;
+  const recordId = `online-${payment.sessionId}`;
+  const itemRef = db.doc(`${dataPath}/wishlistItems/${itemId}`);
+  const contributionRef = itemRef.collection('contributions').doc(recordId);
+  const generalFundRef = db.doc(`${dataPath}/generalFund/${recordId}`);
+  const receiptCounterRef = db.doc(`${dataPath}/meta/receipts`);
+
+  return db.runTransaction(async (transaction) => {
+    const [itemDoc, contributionDoc, generalFundDoc, receiptCounterDoc] = await Promise.all([
+      transaction.get(itemRef),
+      transaction.get(contributionRef),
+      transaction.get(generalFundRef),
+      transaction.get(receiptCounterRef),
+    ]);
+    if (contributionDoc.exists || generalFundDoc.exists) {
+      return { duplicate: true };
+    }
+
+    const now = Date.now();
+    const itemData = itemDoc.exists ? itemDoc.data() : null;
+    const itemAmount = itemData && acceptsOnlineGift(itemData) ? Math.min(payment.amount, remainingBalance(itemData)) : 0;
+    const excess = roundCents(payment.amount - itemAmount);
+    // The item gift and the general fund gift are each receipted, numbered from the same
+    // counter as gifts the treasurer marks received in the app
+    let lastReceiptNumber = receiptCounterDoc.exists ? receiptCounterDoc.data().lastNumber : 0;
+
+    if (itemAmount > 0) {
+      const newContributions = roundCents((itemData.currentContributions || 0) + itemAmount);
+      const newReceived = roundCents((itemData.receivedContributions || 0) + itemAmount);
+      const newStatus = cashStatus(newContributions, newReceived, itemData.expectedCost);
+      lastReceiptNumber += 1;
+      transaction.set(contributionRef, {
+        userId,
+        contributorName,
+        timestamp: now,
+        amount: itemAmount,
+        paymentStatus: 'received',
+        paymentMethod: 'online',
+        paymentReference: payment.reference,
+        checkoutSessionId: payment.sessionId,
+        receivedAt: now,
+        receiptNumber: lastReceiptNumber,
+        receiptIssuedAt: now,
+      });
+      transaction.update(itemRef, {
+        currentContributions: newContributions,
+        receivedContributions: newReceived,
+        status: newStatus,
+      });
+      if (newStatus !== itemData.status) {
+        transaction.set(db.collection(`${dataPath}/notificationEvents`).doc(), {
+          type: 'statusChange',
+          itemId,
+          itemName: itemData.itemName,
+          contributionType: itemData.contributionType,
+          fromStatus: itemData.status,
+          toStatus: newStatus,
+          actorName: contributorName,
+          timestamp: now,
+          digestedAt: null,
+        });
+      }
+    }
+    if (excess > 0) {
+      lastReceiptNumber += 1;
+      transaction.set(generalFundRef, {
+        userId,
+        contributorName,
+        amount: excess,
+        sourceItemId: itemId,
+        paymentStatus: 'received',
+        paymentMethod: 'online',
+        paymentReference: payment.reference,
+        checkoutSessionId: payment.sessionId,
+        timestamp: now,
+        receivedAt: now,
+        receiptNumber: lastReceiptNumber,
+        receiptIssuedAt: now,
+      });
+    }
+    transaction.set(receiptCounterRef, { lastNumber: lastReceiptNumber });
+    transaction.set(db.collection(`${dataPath}/auditLog`).doc(), {
+      action: 'payment.online',
+      itemId,
+      itemName: itemData?.itemName || null,
+      contributorId: userId,
+      contributorName,
+      amount: itemAmount,
+      generalFundAmount: excess,
+      paymentReference: payment.reference,
+      actorId: userId,
+      actorName: contributorName,
+      timestamp: now,
+    });
+    return { duplicate: false, itemAmount, generalFundAmount: excess };
+  });
+};
@@ -0,0 +1,30 @@
+// Return addresses for checkout. The member is sent back to the page they gave from, which must
+// be on the web app's own origin so a checkout link can't be used to send them to another site.
+
+// The web app's origin from ALLOWED_ORIGIN, or null when it is missing or not a web address
+export const parseAllowedOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+// The return address as a URL, or null when it can't be parsed or is on any other origin
+export const parseReturnUrl = (returnUrl, allowedOrigin) => {
+  let url;
+  try {
+    url = new URL(returnUrl);
+  } catch {
+    return null;
+  }
+  return allowedOrigin && url.origin === allowedOrigin ? url : null;
+};
+
+// Appends payment=<outcome> to the page the member started from
+export const withOutcome = (returnUrl, outcome) => {
+  const url = new URL(returnUrl);
+  url.searchParams.set('payment', outcome);
+  return url.toString();
+};
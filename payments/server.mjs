@@ -0,0 +1,195 @@
+// Payment server for online giving. The web app asks it for a checkout session, the member
+// pays on the provider's page, and the provider's signed webhook records the contribution.
+//
+//   APP_ID=default-app-id PAYMENT_PROVIDER=mock PAYMENT_ALLOW_MOCK=true PAYMENT_WEBHOOK_SECRET=dev-secret \
+//   PUBLIC_URL=http://localhost:8787 ALLOWED_ORIGIN=http://localhost:5173 node payments/server.mjs
+//
+// Settings (environment variables):
+//   APP_ID                  app ID used in the Firestore paths, as in the web app
+//   PORT                    port to listen on (default 8787)
+//   PUBLIC_URL              address the server is reachable at, used for mock checkout pages
+//   ALLOWED_ORIGIN          origin of the web app, e.g. https://wishlist.example.org (required);
+//                           return URLs must be on it
+//   PAYMENT_PROVIDER        "stripe" or "mock" (required)
+//   PAYMENT_ALLOW_MOCK      "true" to allow the mock provider, for development only
+//   PAYMENT_CURRENCY        three-letter currency code (default usd)
+//   STRIPE_SECRET_KEY       Stripe API key, for the stripe provider
+//   PAYMENT_WEBHOOK_SECRET  secret the provider signs webhooks with
+import http from 'node:http';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
+import { createPaymentProvider } from './providers.mjs';
+import { remainingBalance } from '../src/lib/items.js';
+import { recordOnlinePayment, acceptsOnlineGift } from './record-payment.mjs';
+import { parseAllowedOrigin, parseReturnUrl, withOutcome } from './return-url.mjs';
+
+const env = process.env;
+const appId = env.APP_ID || 'default-app-id';
+const port = Number(env.PORT || 8787);
+const publicUrl = env.PUBLIC_URL || `http://localhost:${port}`;
+const allowedOrigin = parseAllowedOrigin(env.ALLOWED_ORIGIN);
+const currency = env.PAYMENT_CURRENCY || 'usd';
+
+// The mock provider records gifts nobody paid for, so it is never picked by default and only
+// runs when development mode is asked for explicitly
+if (!env.PAYMENT_PROVIDER) {
+  console.error('Set PAYMENT_PROVIDER to "stripe", or to "mock" with PAYMENT_ALLOW_MOCK=true for development.');
+  process.exit(1);
+}
+if (env.PAYMENT_PROVIDER === 'mock' && env.PAYMENT_ALLOW_MOCK !== 'true') {
+  console.error('The mock payment provider accepts gifts without payment. Set PAYMENT_ALLOW_MOCK=true to use it in development.');
+  process.exit(1);
+}
+// Without it any site could start a checkout that sends the member back to itself
+if (!allowedOrigin) {
+  console.error('Set ALLOWED_ORIGIN to the web app\'s origin, e.g. https://wishlist.example.org.');
+  process.exit(1);
+}
+
+const provider = createPaymentProvider({
+  type: env.PAYMENT_PROVIDER,
+  secretKey: env.STRIPE_SECRET_KEY,
+  webhookSecret: env.PAYMENT_WEBHOOK_SECRET,
+  baseUrl: publicUrl,
+});
+
+initializeApp();
+const db = getFirestore();
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Starts a checkout for a signed-in member. The amount is checked against what the item still
+// needs here as well as in the app, since the app can't be trusted to enforce it.
+const handleCheckout = async (req) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const decodedToken = await getAuth().verifyIdToken(token).catch(() => {
+    throw new HttpError(401, 'Sign in to give online.');
+  });
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req) || '{}');
+  } catch {
+    throw new HttpError(400, 'Invalid request body.');
+  }
+  const { itemId, amount, contributorName, returnUrl } = body || {};
+  const roundedAmount = Math.round(Number(amount) * 100) / 100;
+  if (!itemId || !(roundedAmount > 0)) {
+    throw new HttpError(400, 'Please enter a valid contribution amount.');
+  }
+  const returnTo = parseReturnUrl(returnUrl, allowedOrigin);
+  if (!returnTo) {
+    throw new HttpError(400, 'Invalid return address.');
+  }
+
+  const itemDoc = await db.doc(`artifacts/${appId}/public/data/wishlistItems/${itemId}`).get();
+  if (!itemDoc.exists || !acceptsOnlineGift(itemDoc.data())) {
+    throw new HttpError(409, 'This item is not accepting online gifts.');
+  }
+  const item = itemDoc.data();
+  const remaining = remainingBalance(item);
+  if (roundedAmount > remaining) {
+    throw new HttpError(409, 'Contribution exceeds the remaining balance.', { remaining });
+  }
+
+  const session = await provider.createCheckoutSession({
+    amount: roundedAmount,
+    currency,
+    description: `Gift toward ${item.itemName}`,
+    metadata: { appId, itemId, userId: decodedToken.uid, contributorName: contributorName || decodedToken.name || 'Anonymous' },
+    successUrl: withOutcome(returnTo, 'success'),
+    cancelUrl: withOutcome(returnTo, 'cancelled'),
+  });
+  return { url: session.url };
+};
+
+const handleWebhook = async (payload, headers) => {
+  let payment;
+  try {
+    payment = provider.parseWebhook(payload, headers);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  if (payment.type !== 'payment.succeeded' || payment.metadata.appId !== appId) {
+    return { received: true };
+  }
+  const result = await recordOnlinePayment(db, appId, payment);
+  console.log(`Recorded payment ${payment.sessionId}${result.duplicate ? ' (duplicate)' : ''}`);
+  return { received: true };
+};
+
+// Checkout page for the mock provider, standing in for the provider's hosted page
+const renderMockCheckout = (session) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock checkout</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto; text-align: center;">
+  <h1>Mock checkout</h1>
+  <p>${escapeHtml(session.description)}</p>
+  <p><strong>${escapeHtml(session.amount.toFixed(2))} ${escapeHtml(session.currency.toUpperCase())}</strong></p>
+  <form method="POST" action="/mock-checkout/${escapeHtml(session.id)}/pay"><button type="submit">Pay</button></form>
+  <p><a href="${escapeHtml(session.cancelUrl)}">Cancel</a></p>
+</body>
+</html>`;
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, publicUrl);
+  res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+    } else if (req.method === 'POST' && pathname === '/checkout') {
+      sendJson(res, 200, await handleCheckout(req));
+    } else if (req.method === 'POST' && pathname === '/webhook') {
+      sendJson(res, 200, await handleWebhook(await readBody(req), req.headers));
+    } else if (provider.getSession && pathname.startsWith('/mock-checkout/')) {
+      const [sessionId, action] = pathname.slice('/mock-checkout/'.length).split('/');
+      const session = provider.getSession(sessionId);
+      if (!session) throw new HttpError(404, 'Unknown checkout session.');
+      if (req.method === 'POST' && action === 'pay') {
+        const webhook = provider.completeSession(sessionId);
+        await handleWebhook(webhook.payload, webhook.headers);
+        res.writeHead(303, { Location: session.successUrl });
+        res.end();
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(renderMockCheckout(session));
+      }
+    } else {
+      throw new HttpError(404, 'Not found.');
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Error handling payment request:', error);
+    }
+    sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error.', ...error.details });
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Payment server (${env.PAYMENT_PROVIDER}) listening on ${publicUrl}`);
+});
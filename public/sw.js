@@ -0,0 +1,75 @@
+// Service worker for the wishlist PWA. Caches the app shell so the page opens without a
+// connection; Firestore keeps its own offline cache and is never intercepted here.
+const CACHE_NAME = 'stsm-wishlist-v2';
+
+// Same-origin files that make up the app shell. The built scripts have hashed names, so they
+// are cached as they are fetched rather than listed here.
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './icon.svg',
+];
+
+// Third-party hosts serving the styles and fonts the shell loads
+const RUNTIME_CACHE_HOSTS = [
+  'cdn.tailwindcss.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Pages: try the network for fresh HTML, fall back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          // Only a good page replaces the shell; an error page must not become the offline copy
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('./index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  // Shell files and CDN assets: serve from cache, refreshing it in the background
+  if (url.origin === self.location.origin || RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+    event.respondWith(
+      caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request)
+          .then(response => {
+            if (response.ok || response.type === 'opaque') {
+              cache.put(request, response.clone());
+            }
+            return response;
+          })
+          .catch(() => cached);
+        return cached || network;
+      }))
+    );
+  }
+});
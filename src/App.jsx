@@ -0,0 +1,1995 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { initializeApp } from 'firebase/app';
+import { getAuth, linkWithPopup, signInWithCredential, updateProfile, GoogleAuthProvider, signOut, onAuthStateChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, onSnapshot, getDoc, getDocs, setLogLevel } from 'firebase/firestore';
+import { getStorage } from 'firebase/storage';
+import { appId, firebaseConfig, initialAuthToken, paymentsUrl, letterhead } from './config.js';
+import { styles } from './styles.js';
+import { createWishlistData } from './data/wishlist.js';
+import { createImageStore, MAX_IMAGE_BYTES } from './data/images.js';
+import { ADMIN_ROLES, hasPermission, adminRosterKey } from './lib/roles.js';
+import { STATUS_ORDER, isQuantityItem, isSponsorshipItem, roundCents, remainingBalance, PAYMENT_STATUSES, PAYMENT_METHODS, isPledgeOpen, isCurrentCycle, localDateString, buildItemData, statusAfterEdit, contributionKind, itemText } from './lib/items.js';
+import { SORT_OPTIONS, readFiltersFromUrl, writeFiltersToUrl } from './lib/filters.js';
+import { parseImportCsv, SAMPLE_ITEMS_CSV, toCsv, toSpreadsheetXml, downloadFile } from './lib/csv.js';
+import { readOutbox, writeOutbox } from './lib/outbox.js';
+import { readRoute, itemPath, itemUrl, campaignPath, pushRoute } from './lib/links.js';
+import { campaignState, groupCampaigns, campaignProgress, buildCampaignData } from './lib/campaigns.js';
+import { formatReceiptNumber, isReceiptable, givingYears, unnumberedGifts, receiptsForYear, buildStatements, renderReceipts, renderStatements } from './lib/receipts.js';
+import { LANGUAGES, I18nContext, createTranslator, readStoredLanguage, storeLanguage } from './i18n/index.js';
+import Modal from './components/Modal.jsx';
+import AlertModal from './components/AlertModal.jsx';
+import ItemCard from './components/ItemCard.jsx';
+import ItemFormModal from './components/ItemFormModal.jsx';
+import ItemDetailsModal from './components/ItemDetailsModal.jsx';
+import KioskView from './components/KioskView.jsx';
+import AdminDashboard from './components/AdminDashboard.jsx';
+import CampaignFormModal from './components/CampaignFormModal.jsx';
+
+// Main App component
+const App = () => {
+  // State variables for the application
+  const [user, setUser] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [items, setItems] = useState([]);
+  const [deletedItems, setDeletedItems] = useState([]);
+  const [contributions, setContributions] = useState([]);
+  const [cycles, setCycles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAddItemModal, setShowAddItemModal] = useState(false);
+  const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [editingItem, setEditingItem] = useState(null);
+  const [currentEditingItem, setCurrentEditingItem] = useState(null);
+  const [showAlertModal, setShowAlertModal] = useState(false);
+  const [alertMessage, setAlertMessage] = useState('');
+  const [adminRoster, setAdminRoster] = useState([]);
+  const [isRosterLoaded, setIsRosterLoaded] = useState(false);
+  const [showAdminModal, setShowAdminModal] = useState(false);
+  const [newAdminId, setNewAdminId] = useState('');
+  const [newAdminRole, setNewAdminRole] = useState('editor');
+  const [filters, setFilters] = useState(readFiltersFromUrl);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [exportOptions, setExportOptions] = useState({ from: '', to: '', categories: [], format: 'csv' });
+  const [isExporting, setIsExporting] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [outbox, setOutbox] = useState(readOutbox);
+  const isFlushingOutbox = useRef(false);
+  const [showMyPledgesModal, setShowMyPledgesModal] = useState(false);
+  const [myPledges, setMyPledges] = useState([]);
+  const [myGeneralFundGifts, setMyGeneralFundGifts] = useState([]);
+  const [editingPledgeId, setEditingPledgeId] = useState(null);
+  const [editingPledgeValue, setEditingPledgeValue] = useState('');
+  const [, setAuthRevision] = useState(0);
+  const [overflowPledge, setOverflowPledge] = useState(null);
+  const [overflowTarget, setOverflowTarget] = useState('general');
+  const [showAuditModal, setShowAuditModal] = useState(false);
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditFilters, setAuditFilters] = useState({ itemId: '', userId: '' });
+  const [isStartingCheckout, setIsStartingCheckout] = useState(false);
+  const [showReconcileModal, setShowReconcileModal] = useState(false);
+  const [reconcileContributions, setReconcileContributions] = useState([]);
+  const [reconcileGeneralFundGifts, setReconcileGeneralFundGifts] = useState([]);
+  const [reconcileFilters, setReconcileFilters] = useState({ paymentStatus: 'pledged', itemId: '' });
+  const [selectedContributionIds, setSelectedContributionIds] = useState([]);
+  const [reconcileMethod, setReconcileMethod] = useState('cash');
+  const [reconcileReferences, setReconcileReferences] = useState({});
+  const [route, setRoute] = useState(readRoute);
+  const [showDashboardModal, setShowDashboardModal] = useState(false);
+  const [dashboardContributions, setDashboardContributions] = useState(null);
+  const [campaigns, setCampaigns] = useState([]);
+  const [isCampaignsLoaded, setIsCampaignsLoaded] = useState(false);
+  // Campaign whose items the list shows, kept while an item's details are open over it
+  const [listCampaignId, setListCampaignId] = useState(null);
+  const [showCampaignModal, setShowCampaignModal] = useState(false);
+  const [editingCampaign, setEditingCampaign] = useState(null);
+  const [showReceiptsModal, setShowReceiptsModal] = useState(false);
+  const [receiptContributions, setReceiptContributions] = useState(null);
+  const [receiptGeneralFundGifts, setReceiptGeneralFundGifts] = useState([]);
+  const [receiptYear, setReceiptYear] = useState(() => new Date().getFullYear());
+  const [isIssuingReceipts, setIsIssuingReceipts] = useState(false);
+  const [language, setLanguage] = useState(readStoredLanguage);
+  const i18n = useMemo(() => createTranslator(language), [language]);
+  const { t, formatCurrency, formatDate, formatDateTime, formatList } = i18n;
+
+  // Firebase service instances and the data-access layer built on them
+  const [auth, setAuth] = useState(null);
+  const [data, setData] = useState(null);
+  const [imageStore, setImageStore] = useState(null);
+
+  // Resolve the current user's role from the admin roster by UID first, then by email
+  const adminEntry = user ? adminRoster.find(a => a.id === user.uid || (user.email && a.id === user.email.toLowerCase())) : null;
+  const adminRole = adminEntry?.role || null;
+  const isAdmin = !!adminRole;
+  const canEditItems = hasPermission(adminRole, 'editItems');
+  const canManageAdmins = hasPermission(adminRole, 'manageAdmins');
+  const canManageFinances = hasPermission(adminRole, 'manageFinances');
+  const canClaimOwnership = isRosterLoaded && adminRoster.length === 0 && user && !user.isAnonymous;
+  // The signed-in user as named in the audit log
+  const actor = user ? { uid: user.uid, name: user.displayName || 'Anonymous' } : null;
+
+  // Effect for initializing Firebase and handling authentication state
+  useEffect(() => {
+    // Set Firestore log level to debug
+    setLogLevel('debug');
+
+    // Initialize Firebase app and services
+    const firebaseApp = initializeApp(firebaseConfig);
+    const firebaseAuth = getAuth(firebaseApp);
+    // Persist Firestore data in IndexedDB so the onSnapshot listeners work offline
+    const firestoreDb = initializeFirestore(firebaseApp, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+
+    setAuth(firebaseAuth);
+    setData(createWishlistData(firestoreDb, appId));
+    setImageStore(createImageStore(getStorage(firebaseApp), appId));
+
+    // Set up the authentication state listener
+    const unsubscribeAuth = onAuthStateChanged(firebaseAuth, async (currentUser) => {
+      if (currentUser) {
+        setUser(currentUser);
+      } else if (initialAuthToken) {
+        try {
+          await signInWithCustomToken(firebaseAuth, initialAuthToken);
+        } catch (error) {
+          console.error("Error signing in with custom token, falling back:", error);
+          await signInAnonymously(firebaseAuth).catch(e => console.error("Anonymous sign-in error:", e));
+        }
+      } else {
+        // Offline first visits cannot sign in, but cached data should still load
+        await signInAnonymously(firebaseAuth).catch(e => console.error("Anonymous sign-in error:", e));
+      }
+      setIsAuthReady(true);
+    });
+
+    return () => unsubscribeAuth();
+  }, []);
+
+  // Effect for setting up Firestore listener for main wishlist items
+  useEffect(() => {
+    if (isAuthReady && data) {
+      setLoading(true);
+      const unsubscribe = onSnapshot(data.items(), (snapshot) => {
+        const fetchedItems = [];
+        snapshot.forEach(doc => {
+          fetchedItems.push({ id: doc.id, ...doc.data() });
+        });
+
+        // Sort items by status: Pending, Funding, Signed Up, Completed
+        fetchedItems.sort(SORT_OPTIONS.status.compare);
+
+        // Deleted items stay in the collection so admins can restore them
+        setItems(fetchedItems.filter(item => !item.deletedAt));
+        setDeletedItems(fetchedItems.filter(item => item.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt));
+        setLoading(false);
+      }, (error) => {
+        console.error("Error fetching documents:", error);
+        setLoading(false);
+        showAlert(t('alerts.loadFailed'));
+      });
+
+      return () => unsubscribe();
+    }
+  }, [isAuthReady, data]);
+
+  // Effect for listening to the admin roster
+  useEffect(() => {
+    if (isAuthReady && data) {
+      const unsubscribe = onSnapshot(data.admins(), (snapshot) => {
+        setAdminRoster(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        setIsRosterLoaded(true);
+      }, (error) => {
+        console.error("Error fetching admin roster:", error);
+        setIsRosterLoaded(true);
+      });
+      return () => unsubscribe();
+    }
+  }, [isAuthReady, data]);
+
+  // Effect for listening to the campaigns items are grouped under
+  useEffect(() => {
+    if (isAuthReady && data) {
+      const unsubscribe = onSnapshot(data.campaigns(), (snapshot) => {
+        setCampaigns(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        setIsCampaignsLoaded(true);
+      }, (error) => {
+        console.error("Error fetching campaigns:", error);
+        setIsCampaignsLoaded(true);
+      });
+      return () => unsubscribe();
+    }
+  }, [isAuthReady, data]);
+
+  // Effect for tracking connectivity so pledges can be queued while offline
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Effect for persisting the pledge outbox
+  useEffect(() => {
+    writeOutbox(outbox);
+  }, [outbox]);
+
+  // Effect for replaying queued pledges once the connection returns
+  useEffect(() => {
+    if (isOnline && isAuthReady && data && outbox.length > 0) {
+      flushOutbox();
+    }
+  }, [isOnline, isAuthReady, data, outbox.length]);
+
+  // Effect for marking the page's language so fonts, screen readers and spell checkers follow it
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Effect for applying the language a signed-in member chose on another device
+  useEffect(() => {
+    if (!user || user.isAnonymous || !data) return;
+    getDoc(data.preferences(user.uid))
+      .then(snapshot => {
+        const saved = snapshot.data()?.language;
+        if (LANGUAGES[saved]) {
+          setLanguage(saved);
+          storeLanguage(saved);
+        }
+      })
+      .catch(error => console.error("Error loading preferences:", error));
+  }, [user, data]);
+
+  // Effect for keeping the toolbar state in the URL
+  useEffect(() => {
+    writeFiltersToUrl(filters);
+  }, [filters]);
+
+  // Effect for telling members how their online payment went when the provider sends them back
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const outcome = params.get('payment');
+    if (!outcome) return;
+    if (outcome === 'success') {
+      showAlert(t('alerts.paymentSucceeded'));
+    } else if (outcome === 'cancelled') {
+      showAlert(t('alerts.paymentCancelled'));
+    }
+    params.delete('payment');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }, []);
+
+  // Effect for following the browser's back and forward buttons
+  useEffect(() => {
+    const handlePopState = () => setRoute(readRoute());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Effect for showing the item in the address bar once the wishlist has loaded, whether it came
+  // from a shared link, a refresh or the back button
+  useEffect(() => {
+    if (loading) return;
+    if (route.view === 'list' || route.view === 'campaign') {
+      setShowDetailsModal(false);
+    } else if (route.view === 'item' && !(showDetailsModal && currentEditingItem?.id === route.itemId)) {
+      const linkedItem = items.find(item => item.id === route.itemId);
+      if (linkedItem) {
+        setCurrentEditingItem(linkedItem);
+        setShowDetailsModal(true);
+      } else {
+        showAlert(t('alerts.itemGone'));
+        navigate('', { replace: true });
+      }
+    }
+  }, [loading, route]);
+
+  // Effect for following the campaign in the address bar, and leaving ones that don't exist
+  useEffect(() => {
+    if (route.view === 'list') {
+      setListCampaignId(null);
+    } else if (route.view === 'campaign') {
+      setListCampaignId(route.campaignId);
+      if (isCampaignsLoaded && !campaigns.some(campaign => campaign.id === route.campaignId)) {
+        showAlert(t('alerts.campaignGone'));
+        navigate('', { replace: true });
+      }
+    }
+  }, [route, isCampaignsLoaded]);
+
+  // Effect to listen for contributions on the currently selected item: all of them for staff,
+  // and only the member's own otherwise
+  useEffect(() => {
+    if (currentEditingItem && user && data) {
+      const source = canEditItems || canManageFinances
+        ? data.contributions(currentEditingItem.id)
+        : data.userItemContributions(currentEditingItem.id, user.uid);
+      const unsubscribe = onSnapshot(source, (snapshot) => {
+        const fetchedContributions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setContributions(fetchedContributions);
+      }, (error) => {
+        console.error("Error fetching contributions:", error);
+      });
+      return () => unsubscribe();
+    }
+  }, [currentEditingItem, user, canEditItems, canManageFinances, data]);
+
+  // Effect to listen for the signed-in member's pledges across all items while "My pledges" is open
+  useEffect(() => {
+    if (showMyPledgesModal && user && data) {
+      const unsubscribe = onSnapshot(data.userContributions(user.uid), (snapshot) => {
+        setMyPledges(data.itemContributions(snapshot).sort((a, b) => b.timestamp - a.timestamp));
+      }, (error) => {
+        console.error("Error fetching pledges:", error);
+      });
+      // Gifts to the general fund only appear on the member's giving statements
+      const unsubscribeGeneralFund = onSnapshot(data.userGeneralFundGifts(user.uid), (snapshot) => {
+        setMyGeneralFundGifts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error fetching general fund gifts:", error);
+      });
+      return () => {
+        unsubscribe();
+        unsubscribeGeneralFund();
+      };
+    }
+  }, [showMyPledgesModal, user, data]);
+
+  // Effect to listen for the audit log while the audit viewer is open
+  useEffect(() => {
+    if (showAuditModal && isAdmin && data) {
+      const unsubscribe = onSnapshot(data.auditLog(), (snapshot) => {
+        const fetchedEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setAuditEntries(fetchedEntries.sort((a, b) => b.timestamp - a.timestamp));
+      }, (error) => {
+        console.error("Error fetching audit log:", error);
+      });
+      return () => unsubscribe();
+    }
+  }, [showAuditModal, isAdmin, data]);
+
+  // Every item, deleted ones included, whose contributions the staff screens below follow. Kept as
+  // a string so the listeners only restart when an item is added, not on every total change.
+  const staffItemIds = useMemo(() => [...items, ...deletedItems].map(item => item.id).sort().join(','), [items, deletedItems]);
+
+  // Effect to listen for every cash contribution and general fund gift while the reconciliation screen is open
+  useEffect(() => {
+    if (showReconcileModal && canManageFinances && data) {
+      const unsubscribe = data.watchContributions(staffItemIds.split(',').filter(Boolean), (fetchedContributions) => {
+        setReconcileContributions(fetchedContributions.filter(contribution => contribution.amount));
+      }, (error) => {
+        console.error("Error fetching contributions for reconciliation:", error);
+      });
+      const unsubscribeGeneralFund = onSnapshot(data.generalFund(), (snapshot) => {
+        setReconcileGeneralFundGifts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error fetching general fund gifts for reconciliation:", error);
+      });
+      return () => {
+        unsubscribe();
+        unsubscribeGeneralFund();
+      };
+    }
+  }, [showReconcileModal, canManageFinances, data, staffItemIds]);
+
+  // Effect to listen for every cash contribution while the receipts screen is open
+  useEffect(() => {
+    if (showReceiptsModal && canManageFinances && data) {
+      const unsubscribe = data.watchContributions(staffItemIds.split(',').filter(Boolean), (fetchedContributions) => {
+        setReceiptContributions(fetchedContributions.filter(contribution => contribution.amount));
+      }, (error) => {
+        console.error("Error fetching contributions for receipts:", error);
+      });
+      const unsubscribeGeneralFund = onSnapshot(data.generalFund(), (snapshot) => {
+        setReceiptGeneralFundGifts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, (error) => {
+        console.error("Error fetching general fund gifts for receipts:", error);
+      });
+      return () => {
+        unsubscribe();
+        unsubscribeGeneralFund();
+        setReceiptContributions(null);
+        setReceiptGeneralFundGifts([]);
+      };
+    }
+  }, [showReceiptsModal, canManageFinances, data, staffItemIds]);
+
+  // Effect to listen for every contribution while the admin dashboard is open
+  useEffect(() => {
+    if (showDashboardModal && isAdmin && data) {
+      const unsubscribe = data.watchContributions(staffItemIds.split(',').filter(Boolean), setDashboardContributions, (error) => {
+        console.error("Error fetching contributions for the dashboard:", error);
+      });
+      return () => {
+        unsubscribe();
+        setDashboardContributions(null);
+      };
+    }
+  }, [showDashboardModal, isAdmin, data, staffItemIds]);
+
+  // Effect to listen for past cycles of the currently selected recurring item
+  useEffect(() => {
+    if (currentEditingItem?.recurrence && data) {
+      const unsubscribe = onSnapshot(data.cycles(currentEditingItem.id), (snapshot) => {
+        const fetchedCycles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        setCycles(fetchedCycles.sort((a, b) => b.closedAt - a.closedAt));
+      }, (error) => {
+        console.error("Error fetching cycles:", error);
+      });
+      return () => unsubscribe();
+    }
+    setCycles([]);
+  }, [currentEditingItem, data]);
+
+  // UI Functions
+  const showAlert = (message) => {
+    setAlertMessage(message);
+    setShowAlertModal(true);
+  };
+
+  // Remembers the language on this device and, for signed-in members, on their account
+  const handleChangeLanguage = async (newLanguage) => {
+    setLanguage(newLanguage);
+    storeLanguage(newLanguage);
+    if (!user || user.isAnonymous) return;
+    try {
+      await data.savePreferences(user.uid, { language: newLanguage });
+    } catch (error) {
+      console.error("Error saving language preference:", error);
+    }
+  };
+
+  // An item's name in the chosen language, or null when the item is gone
+  const itemNameFor = (itemId) => {
+    const item = items.find(i => i.id === itemId);
+    return item ? itemText(item, language).itemName : null;
+  };
+
+  // Moves pledges made under an anonymous UID to the member's Google account. The migration
+  // runs before the signed-in user's state catches up, so the actor is named here.
+  const migratePledges = async (fromUid, toUid, pledges) => {
+    await data.migratePledges({ uid: toUid, name: auth.currentUser?.displayName || 'Anonymous' }, fromUid, pledges);
+    setOutbox(prev => prev.map(pledge => (pledge.userId === fromUid ? { ...pledge, userId: toUid } : pledge)));
+  };
+
+  const handleAuth = async () => {
+    if (user && user.isAnonymous) {
+      const provider = new GoogleAuthProvider();
+      try {
+        // Linking keeps the anonymous UID, so pledges made so far stay with the member
+        const result = await linkWithPopup(auth.currentUser, provider);
+        const googleProfile = result.user.providerData.find(profile => profile.providerId === provider.providerId);
+        if (googleProfile) {
+          await updateProfile(result.user, { displayName: googleProfile.displayName, photoURL: googleProfile.photoURL });
+        }
+        setAuthRevision(revision => revision + 1);
+      } catch (error) {
+        if (error.code !== 'auth/credential-already-in-use') {
+          console.error("Sign-in error:", error);
+          return;
+        }
+        // The Google account already exists: sign in to it and bring the anonymous pledges along.
+        // The link note, written while still anonymous, lets that account claim the pledges.
+        const anonymousUid = user.uid;
+        try {
+          await data.linkAccount(anonymousUid, error.customData?.email);
+          // Only the anonymous account may read its pledges, so look them up before leaving it
+          const pledges = await data.findPledges(anonymousUid);
+          const result = await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(error));
+          await migratePledges(anonymousUid, result.user.uid, pledges);
+        } catch (migrationError) {
+          console.error("Error moving pledges to signed-in account:", migrationError);
+          showAlert(t('alerts.pledgesNotMoved'));
+        }
+      }
+    } else if (user) {
+      await signOut(auth);
+    }
+  };
+
+  const handleClaimOwnership = async () => {
+    if (!canClaimOwnership) return;
+    try {
+      await data.claimOwnership(actor, user.email);
+      showAlert(t('alerts.ownerClaimed'));
+    } catch (error) {
+      console.error("Error claiming ownership:", error);
+      showAlert(t('alerts.ownerClaimFailed'));
+    }
+  };
+
+  const handleAddAdmin = async (e) => {
+    e.preventDefault();
+    if (!canManageAdmins) {
+      showAlert(t('alerts.ownersOnly'));
+      return;
+    }
+    const key = adminRosterKey(newAdminId);
+    if (!key || !ADMIN_ROLES[newAdminRole]) {
+      showAlert(t('alerts.adminFieldsRequired'));
+      return;
+    }
+    const existing = adminRoster.find(a => a.id === key);
+    if (existing?.role === 'owner' && newAdminRole !== 'owner' && adminRoster.filter(a => a.role === 'owner').length === 1) {
+      showAlert(t('alerts.keepOneOwner'));
+      return;
+    }
+    try {
+      await data.saveAdmin(actor, key, newAdminRole);
+      setNewAdminId('');
+      setNewAdminRole('editor');
+    } catch (error) {
+      console.error("Error saving admin:", error);
+      showAlert(t('alerts.adminSaveFailed'));
+    }
+  };
+
+  const handleRemoveAdmin = async (entry) => {
+    if (!canManageAdmins) {
+      showAlert(t('alerts.ownersOnly'));
+      return;
+    }
+    if (entry.role === 'owner' && adminRoster.filter(a => a.role === 'owner').length === 1) {
+      showAlert(t('alerts.keepOneOwner'));
+      return;
+    }
+    try {
+      await data.removeAdmin(entry.id);
+    } catch (error) {
+      console.error("Error removing admin:", error);
+      showAlert(t('alerts.adminRemoveFailed'));
+    }
+  };
+
+  // Saves the Add/Edit form, editing `editingItem` when set
+  const handleSubmitItem = async (fields) => {
+    if (!user || !canEditItems) {
+      showAlert(t('alerts.noItemPermission'));
+      return;
+    }
+
+    const { itemData, errors } = buildItemData(fields);
+    if (errors.length > 0) {
+      showAlert(t(errors[0]));
+      return;
+    }
+    const { quantityNeeded } = itemData;
+
+    if (editingItem) {
+      // Quantity pledges already made must still fit, and the status follows the new cost or quantity
+      const quantityClaimed = editingItem.quantityClaimed || 0;
+      if (quantityClaimed > 0 && (quantityNeeded === null || quantityNeeded < quantityClaimed)) {
+        showAlert(t('alerts.quantityBelowPledged', { count: quantityClaimed }));
+        return;
+      }
+      const status = statusAfterEdit(editingItem, itemData);
+      if (status) itemData.status = status;
+
+      // Logic for editing an existing item
+      try {
+        await data.updateItem(actor, editingItem.id, itemData);
+        handleDiscardItemImages((editingItem.images || []).filter(image => !itemData.images.some(kept => kept.path === image.path)));
+        handleCloseAddItemModal();
+        showAlert(t('alerts.itemUpdated'));
+      } catch (error) {
+        console.error("Error updating document:", error);
+        showAlert(t('alerts.itemUpdateFailed'));
+      }
+    } else {
+      // Logic for adding a new item
+      try {
+        await data.createItem(actor, itemData);
+        handleCloseAddItemModal();
+        showAlert(t('alerts.itemAdded'));
+      } catch (error) {
+        console.error("Error adding document:", error);
+        showAlert(t('alerts.itemAddFailed'));
+      }
+    }
+  };
+
+  // Uploads a photo picked in the item form, returning the entry to keep on the item or null
+  const handleUploadItemImage = async (file) => {
+    if (!user || !canEditItems) {
+      showAlert(t('alerts.noItemPermission'));
+      return null;
+    }
+    if (!file.type.startsWith('image/') || file.size > MAX_IMAGE_BYTES) {
+      showAlert(t('alerts.imageTooLarge'));
+      return null;
+    }
+    try {
+      return await imageStore.uploadItemImage(file);
+    } catch (error) {
+      console.error("Error uploading item image:", error);
+      showAlert(t('alerts.imageUploadFailed'));
+      return null;
+    }
+  };
+
+  // Deletes photos no item uses any more. A photo left behind only wastes space, so failures
+  // are logged without troubling the admin.
+  const handleDiscardItemImages = (images) => {
+    images.forEach(image => {
+      imageStore.deleteItemImage(image.path).catch(error => console.error("Error deleting item image:", error));
+    });
+  };
+
+  const queuePledge = (...pledges) => {
+    setOutbox(prev => [...prev, ...pledges.map(pledge => ({ ...pledge, clampToRemaining: true }))]);
+    showAlert(t('alerts.pledgeQueued'));
+    closeItemDetails();
+  };
+
+  // Replays queued pledges in order, stopping if the connection drops again
+  const flushOutbox = async () => {
+    if (isFlushingOutbox.current) return;
+    isFlushingOutbox.current = true;
+    const failedItemNames = [];
+    const reducedItemNames = [];
+    for (const pledge of outbox) {
+      try {
+        const recordedAmount = await data.submitPledge(pledge);
+        if (pledge.amount && recordedAmount < pledge.amount) reducedItemNames.push(pledge.itemName);
+      } catch (error) {
+        if (error.code === 'unavailable') break;
+        console.error('Error replaying queued pledge:', error);
+        failedItemNames.push(pledge.itemName);
+      }
+      setOutbox(prev => prev.filter(p => p.id !== pledge.id));
+    }
+    isFlushingOutbox.current = false;
+    if (failedItemNames.length > 0) {
+      showAlert(t('alerts.queuedPledgesFailed', { items: formatList(failedItemNames) }));
+    } else if (reducedItemNames.length > 0) {
+      showAlert(t('alerts.queuedPledgesReduced', { items: formatList(reducedItemNames) }));
+    }
+  };
+
+  // Builds a pledge from the details modal's form and submits it, or queues it while offline
+  const handleContribute = async ({ contributionAmount, contributorName, pledgeQuantity, payOnline }) => {
+    if (!currentEditingItem || !user) return;
+
+    // Use a provided name if user is anonymous, otherwise use their displayName
+    const nameToUse = user.displayName || contributorName || 'Anonymous';
+
+    const pledge = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      itemId: currentEditingItem.id,
+      itemName: currentEditingItem.itemName,
+      userId: user.uid,
+      contributorName: nameToUse,
+      timestamp: Date.now(),
+    };
+    let successMessage;
+    let errorMessage;
+
+    if (isQuantityItem(currentEditingItem)) {
+      const quantity = Number(pledgeQuantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        showAlert(t('alerts.invalidQuantity'));
+        return;
+      }
+      Object.assign(pledge, { kind: 'quantity', quantity });
+      successMessage = t('alerts.quantityThanks', { quantity });
+      errorMessage = t('alerts.quantityFailed');
+    } else if (currentEditingItem.contributionType === 'item') {
+      pledge.kind = 'signup';
+      successMessage = t('alerts.signUpThanks');
+      errorMessage = t('alerts.genericError');
+    } else if (currentEditingItem.contributionType === 'cash' && currentEditingItem.isPartialAllowed) {
+      const amount = roundCents(parseFloat(contributionAmount));
+      if (isNaN(amount) || amount <= 0) {
+        showAlert(t('alerts.invalidAmount'));
+        return;
+      }
+      Object.assign(pledge, { kind: 'cash', amount });
+      if (payOnline) {
+        await startCheckout(pledge);
+        return;
+      }
+      // Offer to route anything beyond the remaining balance elsewhere before submitting
+      const remaining = remainingBalance(currentEditingItem);
+      if (amount > remaining) {
+        setOverflowTarget('general');
+        setOverflowPledge({ pledge, remaining });
+        return;
+      }
+      successMessage = t('alerts.contributionThanks');
+      errorMessage = t('alerts.contributionFailed');
+    } else if (isSponsorshipItem(currentEditingItem)) {
+      pledge.kind = 'sponsor';
+      successMessage = t('alerts.sponsorThanks');
+      errorMessage = t('alerts.sponsorFailed');
+    } else {
+      return;
+    }
+
+    if (!isOnline) {
+      queuePledge(pledge);
+      return;
+    }
+    try {
+      await data.submitPledge(pledge);
+      showAlert(successMessage);
+      closeItemDetails();
+    } catch (error) {
+      if (error.code === 'unavailable') {
+        queuePledge(pledge);
+        return;
+      }
+      if (error.code === 'overfunded') {
+        setOverflowTarget('general');
+        setOverflowPledge({ pledge, remaining: error.remaining });
+        return;
+      }
+      console.error("Transaction failed: ", error);
+      showAlert(errorMessage);
+    }
+  };
+
+  // Sends the member to the payment provider. The contribution is recorded by the payment
+  // server once the provider confirms the payment, not here.
+  const startCheckout = async (pledge) => {
+    const remaining = remainingBalance(currentEditingItem);
+    if (pledge.amount > remaining) {
+      showAlert(t('alerts.onlineLimit', { amount: formatCurrency(remaining) }));
+      return;
+    }
+    setIsStartingCheckout(true);
+    try {
+      const response = await fetch(`${paymentsUrl}/checkout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await user.getIdToken()}` },
+        body: JSON.stringify({
+          itemId: pledge.itemId,
+          amount: pledge.amount,
+          contributorName: pledge.contributorName,
+          returnUrl: `${window.location.origin}${window.location.pathname}`,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        showAlert(result.remaining !== undefined
+          ? t('alerts.onlineLimit', { amount: formatCurrency(result.remaining) })
+          : result.error || t('alerts.onlineUnavailable'));
+        return;
+      }
+      window.location.assign(result.url);
+    } catch (error) {
+      console.error("Error starting checkout:", error);
+      showAlert(t('alerts.onlineUnavailable'));
+    } finally {
+      setIsStartingCheckout(false);
+    }
+  };
+
+  // Other open cash items that could take the whole excess of an oversized pledge
+  const overflowTargets = overflowPledge ? items.filter(item => (
+    item.id !== overflowPledge.pledge.itemId &&
+    item.contributionType === 'cash' && item.isPartialAllowed && item.status !== 'Completed' &&
+    remainingBalance(item) >= roundCents(overflowPledge.pledge.amount - overflowPledge.remaining)
+  )) : [];
+
+  // Gives the remaining balance to the chosen item and sends the excess to another open item,
+  // the general fund, or nowhere
+  const handleRouteExcess = async (e) => {
+    e.preventDefault();
+    if (!overflowPledge) return;
+    const { pledge, remaining } = overflowPledge;
+    const excess = roundCents(pledge.amount - remaining);
+    const pledges = remaining > 0 ? [{ ...pledge, amount: remaining }] : [];
+    const excessPledge = { ...pledge, id: `${pledge.id}-excess`, amount: excess };
+    if (overflowTarget === 'general') {
+      pledges.push({ ...excessPledge, kind: 'generalFund', itemId: null, itemName: 'General fund', sourceItemId: pledge.itemId });
+    } else if (overflowTarget !== 'none') {
+      const targetItem = items.find(item => item.id === overflowTarget);
+      if (!targetItem) return;
+      pledges.push({ ...excessPledge, itemId: targetItem.id, itemName: targetItem.itemName });
+    }
+    setOverflowPledge(null);
+    if (pledges.length === 0) {
+      showAlert(t('alerts.alreadyFunded'));
+      return;
+    }
+
+    if (!isOnline) {
+      queuePledge(...pledges);
+      return;
+    }
+    const sentPledgeIds = [];
+    try {
+      for (const p of pledges) {
+        await data.submitPledge(p);
+        sentPledgeIds.push(p.id);
+      }
+      showAlert(t('alerts.contributionThanks'));
+      closeItemDetails();
+    } catch (error) {
+      if (error.code === 'unavailable') {
+        queuePledge(...pledges.filter(p => !sentPledgeIds.includes(p.id)));
+        return;
+      }
+      console.error("Transaction failed: ", error);
+      const failed = pledges.filter(p => !sentPledgeIds.includes(p.id)).map(p => p.itemName);
+      showAlert(t('alerts.contributionNotRecorded', { items: formatList(failed) }));
+    }
+  };
+
+  // Withdraws the member's own pledge or, for admins, releases someone else's
+  const handleCancelPledge = async (item, reason, contribution = null) => {
+    if (!item || !user) return;
+    const pledgeUserId = contribution ? contribution.userId : item.contributorId;
+    if (reason === 'withdrawn' ? pledgeUserId !== user.uid : !canEditItems) {
+      showAlert(t('alerts.noCancelPermission'));
+      return;
+    }
+
+    try {
+      await data.cancelPledge(actor, item.id, reason, contribution);
+      showAlert(t(reason === 'withdrawn' ? 'alerts.pledgeWithdrawn' : 'alerts.pledgeReleased'));
+      closeItemDetails();
+    } catch (error) {
+      console.error('Error cancelling pledge:', error);
+      showAlert(t('alerts.genericError'));
+    }
+  };
+
+  // Changes the amount or quantity of the member's own open pledge
+  const handleUpdatePledge = async (item, contribution, rawValue) => {
+    if (!user || contribution.userId !== user.uid) {
+      showAlert(t('alerts.ownPledgesOnly'));
+      return;
+    }
+    if (contribution.type === 'sponsorship') {
+      showAlert(t('alerts.sponsorshipFixed'));
+      return;
+    }
+    const isCash = !!contribution.amount;
+    const value = isCash ? roundCents(parseFloat(rawValue)) : Number(rawValue);
+    if (isCash ? isNaN(value) || value <= 0 : !Number.isInteger(value) || value <= 0) {
+      showAlert(t(isCash ? 'alerts.invalidAmount' : 'alerts.invalidQuantity'));
+      return;
+    }
+
+    try {
+      await data.updatePledge(actor, item.id, contribution.id, value);
+      setEditingPledgeId(null);
+      showAlert(t('alerts.pledgeUpdated'));
+    } catch (error) {
+      console.error('Error updating pledge:', error);
+      showAlert(t('alerts.pledgeUpdateFailed'));
+    }
+  };
+
+  // Marks the selected pledged cash contributions as received
+  const handleMarkReceived = async (entries, paymentMethod) => {
+    if (!canManageFinances) {
+      showAlert(t('alerts.noReconcilePermission'));
+      return;
+    }
+    if (entries.length === 0) return;
+    try {
+      await data.markReceived(actor, entries, paymentMethod);
+      setSelectedContributionIds([]);
+      setReconcileReferences({});
+      showAlert(t('alerts.markedReceived', { count: entries.length }));
+    } catch (error) {
+      console.error('Error marking contributions received:', error);
+      showAlert(t('alerts.markReceivedFailed'));
+    }
+  };
+
+  const handleRefundContribution = async (contribution) => {
+    if (!canManageFinances) {
+      showAlert(t('alerts.noReconcilePermission'));
+      return;
+    }
+    try {
+      await data.refundContribution(actor, contribution.itemId, contribution.id);
+      showAlert(t('alerts.refunded'));
+    } catch (error) {
+      console.error('Error refunding contribution:', error);
+      showAlert(t('alerts.genericError'));
+    }
+  };
+
+  // Figures for the receipts screen, for the year chosen there. General fund gifts are numbered
+  // when they are received, online or through markReceived, so only item gifts are left to number here.
+  const receiptGifts = receiptContributions ? [...receiptContributions, ...receiptGeneralFundGifts] : null;
+  const yearReceipts = receiptGifts ? receiptsForYear(receiptGifts, receiptYear) : [];
+  const yearStatements = receiptGifts ? buildStatements(receiptGifts, receiptYear) : [];
+  const giftsToNumber = receiptContributions ? unnumberedGifts(receiptContributions) : [];
+  const receiptYearOptions = [...new Set([new Date().getFullYear(), ...givingYears(receiptGifts || [])])].sort((a, b) => b - a);
+  const myGifts = [...myPledges, ...myGeneralFundGifts];
+
+  // The name a receipt gives an item: its original name, and deleted items still count
+  const receiptItemName = (itemId) => [...items, ...deletedItems].find(item => item.id === itemId)?.itemName || null;
+
+  const downloadPdf = (filename, render) => {
+    try {
+      downloadFile(filename, render(), 'application/pdf');
+    } catch (error) {
+      console.error("Error creating PDF:", error);
+      showAlert(t('alerts.pdfFailed'));
+    }
+  };
+
+  // A member's receipt for one gift, or any gift for the treasurer
+  const handleDownloadReceipt = (gift) => {
+    downloadPdf(`receipt-${formatReceiptNumber(gift.receiptNumber)}.pdf`, () => renderReceipts([gift], { letterhead, itemNameFor: receiptItemName }));
+  };
+
+  // The signed-in member's statement of everything they gave in the year
+  const handleDownloadMyStatement = (year) => {
+    downloadPdf(`giving-statement-${year}.pdf`, () => renderStatements(buildStatements(myGifts, year), { letterhead, itemNameFor: receiptItemName }));
+  };
+
+  // Every receipt or every contributor's statement for the year, one PDF to print in bulk
+  const handleDownloadAllReceipts = () => {
+    downloadPdf(`receipts-${receiptYear}.pdf`, () => renderReceipts(yearReceipts, { letterhead, itemNameFor: receiptItemName }));
+  };
+
+  const handleDownloadAllStatements = () => {
+    downloadPdf(`giving-statements-${receiptYear}.pdf`, () => renderStatements(yearStatements, { letterhead, itemNameFor: receiptItemName }));
+  };
+
+  // Numbers received gifts that have no receipt yet, in transactions small enough for Firestore
+  const handleIssueReceipts = async () => {
+    if (!canManageFinances) {
+      showAlert(t('alerts.noReceiptPermission'));
+      return;
+    }
+    const gifts = giftsToNumber.map(gift => ({ ...gift, itemName: receiptItemName(gift.itemId) }));
+    if (gifts.length === 0) return;
+    setIsIssuingReceipts(true);
+    try {
+      for (let start = 0; start < gifts.length; start += 200) {
+        await data.issueReceipts(actor, gifts.slice(start, start + 200));
+      }
+      showAlert(t('alerts.receiptsIssued', { count: gifts.length }));
+    } catch (error) {
+      console.error("Error issuing receipts:", error);
+      showAlert(t('alerts.receiptsIssueFailed'));
+    } finally {
+      setIsIssuingReceipts(false);
+    }
+  };
+
+  // Audit entries matching the viewer's filters, and the items and people to filter by
+  const auditItemOptions = [...new Map(auditEntries.filter(entry => entry.itemId).map(entry => [entry.itemId, entry.itemName || entry.itemId])).entries()]
+    .sort((a, b) => a[1].localeCompare(b[1]));
+  const auditUserOptions = [...new Map(auditEntries.flatMap(entry => [
+    [entry.actorId, entry.actorName || entry.actorId],
+    [entry.contributorId, entry.contributorName || entry.contributorId],
+  ]).filter(([id]) => id)).entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  const visibleAuditEntries = auditEntries.filter(entry => (
+    (!auditFilters.itemId || entry.itemId === auditFilters.itemId) &&
+    (!auditFilters.userId || entry.actorId === auditFilters.userId || entry.contributorId === auditFilters.userId)
+  ));
+
+  // Contributions shown on the reconciliation screen, and the selected ones still awaiting payment.
+  // Pledges left over from an earlier cycle of a recurring item stay listed; markReceived records
+  // them against that cycle's archived totals. General fund gifts have no itemId.
+  const reconcileRows = [...reconcileContributions, ...reconcileGeneralFundGifts].filter(c => (
+    !c.cancelledAt &&
+    (c.paymentStatus || 'pledged') === reconcileFilters.paymentStatus &&
+    (!reconcileFilters.itemId || c.itemId === reconcileFilters.itemId)
+  )).sort((a, b) => a.timestamp - b.timestamp);
+  const isEarlierCycle = (c) => {
+    const item = items.find(i => i.id === c.itemId);
+    return Boolean(item) && !isCurrentCycle(c, item);
+  };
+  const selectedReconcileRows = reconcileRows.filter(c => selectedContributionIds.includes(c.id));
+
+  const openReconcile = (itemId = '') => {
+    setReconcileFilters({ paymentStatus: 'pledged', itemId });
+    setSelectedContributionIds([]);
+    setReconcileReferences({});
+    setShowReconcileModal(true);
+  };
+
+  // Deleting only marks the item, so it and its contributions can be restored from the audit log
+  const handleDeleteItem = async (item) => {
+    if (!item || !canEditItems) {
+      showAlert(t('alerts.noDeletePermission'));
+      return;
+    }
+    try {
+      await data.setItemDeleted(actor, item.id, true);
+      showAlert(t('alerts.itemDeleted'));
+      closeItemDetails();
+    } catch (error) {
+      console.error("Error deleting document: ", error);
+      showAlert(t('alerts.itemDeleteFailed'));
+    }
+  };
+
+  const handleRestoreItem = async (item) => {
+    if (!canEditItems) {
+      showAlert(t('alerts.noRestorePermission'));
+      return;
+    }
+    try {
+      await data.setItemDeleted(actor, item.id, false);
+      showAlert(t('alerts.itemRestored', { item: itemText(item, language).itemName }));
+    } catch (error) {
+      console.error("Error restoring document: ", error);
+      showAlert(t('alerts.itemRestoreFailed'));
+    }
+  };
+
+  // Writes every valid row of the import preview in a single batch
+  const handleImportItems = async () => {
+    if (!user || !canEditItems) {
+      showAlert(t('alerts.noImportPermission'));
+      return;
+    }
+    const validRows = importPreview.rows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) {
+      showAlert(t('alerts.noValidRows'));
+      return;
+    }
+    if (validRows.length > 250) {
+      showAlert(t('alerts.importLimit'));
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      await data.importItems(actor, validRows.map(row => row.itemData));
+      setShowImportModal(false);
+      setImportText('');
+      showAlert(t('alerts.imported', { count: validRows.length }));
+    } catch (error) {
+      console.error("Error importing items:", error);
+      showAlert(t('alerts.importFailed'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setImportText(await file.text());
+    }
+    e.target.value = '';
+  };
+
+  // Walks every item and its contributions subcollection to build the treasurer's export
+  const handleExport = async (e) => {
+    e.preventDefault();
+    if (!canManageFinances) {
+      showAlert(t('alerts.noExportPermission'));
+      return;
+    }
+    const fromTime = exportOptions.from ? new Date(`${exportOptions.from}T00:00:00`).getTime() : -Infinity;
+    const toTime = exportOptions.to ? new Date(`${exportOptions.to}T23:59:59.999`).getTime() : Infinity;
+
+    setIsExporting(true);
+    try {
+      const itemsSnapshot = await getDocs(data.items());
+      const exportItems = itemsSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(item => !item.deletedAt)
+        .filter(item => exportOptions.categories.length === 0 || exportOptions.categories.includes(item.category))
+        .sort((a, b) => a.itemName.localeCompare(b.itemName));
+
+      const contributionRows = [['Item', 'Category', 'Contributor', 'User ID', 'Type', 'Amount', 'Quantity', 'Date', 'Cancelled', 'Payment Status', 'Payment Method', 'Payment Reference']];
+      const summaryRows = [['Item', 'Category', 'Contribution Type', 'Status', 'Expected Cost', 'Current Contributions', 'Received Contributions', 'Quantity Needed', 'Quantity Pledged', 'Contributions', 'Contributors']];
+
+      for (const item of exportItems) {
+        const contributionsSnapshot = await getDocs(data.contributions(item.id));
+        const itemContributions = contributionsSnapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(c => c.timestamp >= fromTime && c.timestamp <= toTime)
+          .sort((a, b) => a.timestamp - b.timestamp);
+
+        itemContributions.forEach(c => {
+          contributionRows.push([
+            item.itemName,
+            item.category,
+            c.contributorName,
+            c.userId,
+            contributionKind(c),
+            c.amount ?? '',
+            c.quantity ?? '',
+            new Date(c.timestamp).toISOString().slice(0, 10),
+            c.cancelledAt ? c.cancelReason : '',
+            c.amount ? c.paymentStatus || 'pledged' : '',
+            c.paymentMethod ? PAYMENT_METHODS[c.paymentMethod] : '',
+            c.paymentReference || '',
+          ]);
+        });
+
+        const contributorNames = [...new Set(itemContributions.filter(c => !c.cancelledAt).map(c => c.contributorName))];
+        if (item.contributorName && !contributorNames.includes(item.contributorName)) {
+          contributorNames.push(item.contributorName);
+        }
+        summaryRows.push([
+          item.itemName,
+          item.category,
+          item.contributionType,
+          item.status,
+          item.expectedCost,
+          item.currentContributions || 0,
+          item.receivedContributions || 0,
+          item.quantityNeeded ?? '',
+          item.quantityClaimed ?? '',
+          itemContributions.length,
+          contributorNames.join('; '),
+        ]);
+      }
+
+      // General fund gifts belong to no item or category, so a category filter leaves them out
+      if (exportOptions.categories.length === 0) {
+        const giftsSnapshot = await getDocs(data.generalFund());
+        giftsSnapshot.docs
+          .map(doc => ({ id: doc.id, ...doc.data() }))
+          .filter(gift => gift.timestamp >= fromTime && gift.timestamp <= toTime)
+          .sort((a, b) => a.timestamp - b.timestamp)
+          .forEach(gift => {
+            contributionRows.push([
+              'General fund',
+              '',
+              gift.contributorName,
+              gift.userId,
+              'general fund',
+              gift.amount,
+              '',
+              new Date(gift.timestamp).toISOString().slice(0, 10),
+              '',
+              gift.paymentStatus || 'pledged',
+              gift.paymentMethod ? PAYMENT_METHODS[gift.paymentMethod] : '',
+              gift.paymentReference || '',
+            ]);
+          });
+      }
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (exportOptions.format === 'xls') {
+        downloadFile(`wishlist-export-${stamp}.xls`, toSpreadsheetXml([
+          { name: 'Contributions', rows: contributionRows },
+          { name: 'Item Summary', rows: summaryRows },
+        ]), 'application/vnd.ms-excel');
+      } else {
+        downloadFile(`wishlist-contributions-${stamp}.csv`, toCsv(contributionRows), 'text/csv;charset=utf-8');
+        downloadFile(`wishlist-item-summary-${stamp}.csv`, toCsv(summaryRows), 'text/csv;charset=utf-8');
+      }
+      setShowExportModal(false);
+    } catch (error) {
+      console.error("Error exporting contributions:", error);
+      showAlert(t('alerts.exportFailed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const navigate = (path, options) => {
+    pushRoute(path, options);
+    setRoute(readRoute());
+  };
+
+  // Item details have their own address so they can be refreshed, bookmarked and shared
+  const handleOpenItem = (item) => {
+    setCurrentEditingItem(item);
+    setShowDetailsModal(true);
+    if (route.itemId !== item.id) navigate(itemPath(item.id));
+  };
+
+  // Returns to the list, or to the campaign the item was opened from
+  const closeItemDetails = () => {
+    setShowDetailsModal(false);
+    if (route.view === 'item') navigate(listCampaignId ? campaignPath(listCampaignId) : '');
+  };
+
+  const handleOpenCampaignModal = (campaign = null) => {
+    setEditingCampaign(campaign);
+    setShowCampaignModal(true);
+  };
+
+  // Saves the campaign form, editing `editingCampaign` when set
+  const handleSaveCampaign = async (fields) => {
+    if (!user || !canEditItems) {
+      showAlert(t('alerts.noCampaignPermission'));
+      return;
+    }
+    const { campaignData, errors } = buildCampaignData(fields);
+    if (errors.length > 0) {
+      showAlert(t(errors[0]));
+      return;
+    }
+    try {
+      if (editingCampaign) {
+        await data.updateCampaign(actor, editingCampaign.id, campaignData);
+      } else {
+        const campaignId = await data.createCampaign(actor, campaignData);
+        navigate(campaignPath(campaignId));
+      }
+      setShowCampaignModal(false);
+      showAlert(t('alerts.campaignSaved'));
+    } catch (error) {
+      console.error("Error saving campaign:", error);
+      showAlert(t('alerts.campaignSaveFailed'));
+    }
+  };
+
+  // Uses the phone's share sheet where there is one, otherwise copies the link
+  const handleShareItem = async (item) => {
+    const url = itemUrl(item.id);
+    const { itemName } = itemText(item, language);
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: itemName, text: t('app.shareText', { item: itemName }), url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        showAlert(t('alerts.linkCopied'));
+      }
+    } catch (error) {
+      // Closing the share sheet is not a failure
+      if (error.name === 'AbortError') return;
+      console.error("Error sharing item:", error);
+      showAlert(t('alerts.shareFailed', { url }));
+    }
+  };
+
+  const handleEditClick = (item) => {
+    setEditingItem(item);
+    setShowAddItemModal(true);
+    closeItemDetails();
+  };
+
+  const handleOpenAddItemModal = () => {
+    setEditingItem(null);
+    setShowAddItemModal(true);
+  };
+
+  const handleCloseAddItemModal = () => {
+    setShowAddItemModal(false);
+    setEditingItem(null);
+  };
+
+  const toggleFilterValue = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+  };
+
+  const clearFilters = () => {
+    setFilters({ search: '', categories: [], statuses: [], sort: 'status' });
+  };
+
+  // Items shown in the grid after applying the toolbar search, filters and sort
+  const categories = [...new Set(items.map(item => item.category).filter(Boolean))].sort();
+  const today = localDateString();
+  const { open: openCampaigns, closed: closedCampaigns } = groupCampaigns(campaigns, today);
+  const selectedCampaign = listCampaignId ? campaigns.find(campaign => campaign.id === listCampaignId) : null;
+  const selectedCampaignProgress = selectedCampaign ? campaignProgress(selectedCampaign, items) : null;
+  const listItems = selectedCampaign ? items.filter(item => item.campaignId === selectedCampaign.id) : items;
+  const searchTerm = filters.search.trim().toLowerCase();
+  const visibleItems = listItems
+    .filter(item => !searchTerm || `${item.itemName} ${itemText(item, language).itemName} ${item.category}`.toLowerCase().includes(searchTerm))
+    .filter(item => filters.categories.length === 0 || filters.categories.includes(item.category))
+    .filter(item => filters.statuses.length === 0 || filters.statuses.includes(item.status))
+    .sort(SORT_OPTIONS[filters.sort].compare);
+
+  // The member's pledges for "My pledges", including sign-ups made before contribution history
+  // existed and pledges still waiting in the offline outbox
+  const myPledgeRows = user ? [
+    ...outbox.filter(pledge => pledge.userId === user.uid).map(pledge => ({ ...pledge, isQueued: true })),
+    ...myPledges,
+    ...items
+      .filter(item => item.contributorId === user.uid && !item.signUpContributionId)
+      .map(item => ({ id: `legacy-${item.id}`, itemId: item.id, type: 'signup', isLegacySignUp: true, timestamp: null })),
+  ] : [];
+
+  const importPreview = importText.trim() ? parseImportCsv(importText) : { rows: [], missingColumns: [] };
+  const importValidCount = importPreview.rows.filter(row => row.errors.length === 0).length;
+
+  // The projector display shares the wishlist listener but none of the interactive UI
+  if (route.view === 'kiosk') {
+    return (
+      <I18nContext.Provider value={i18n}>
+        <style>{styles}</style>
+        <KioskView items={items} loading={loading} />
+      </I18nContext.Provider>
+    );
+  }
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <style>{styles}</style>
+      <div className="bg-blue-950 text-white min-h-screen flex flex-col items-center">
+        {/* Main Container */}
+        <div id="app" className="w-full max-w-4xl mx-auto px-4 py-8">
+          {/* Header */}
+          <header className="text-center mb-10">
+            <h1 className="text-4xl font-bold text-white mb-2 flex justify-center items-center space-x-2">
+              <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2.5} stroke="currentColor" className="w-8 h-8 text-amber-300">
+                <path strokeLinecap="round" strokeLinejoin="round" d="M12 4.5v15m7.5-7.5h-15" />
+              </svg>
+              <span>{t('app.title')}</span>
+            </h1>
+            <p className="text-lg text-blue-300">{t('app.tagline')}</p>
+            <div className="mt-4 flex flex-col sm:flex-row items-center justify-center space-y-2 sm:space-y-0 sm:space-x-4">
+              <select aria-label={t('header.language')} value={language} onChange={(e) => handleChangeLanguage(e.target.value)} className="rounded-full px-3 py-2 bg-blue-900 text-white text-sm shadow focus:ring-blue-500 focus:border-blue-500">
+                {Object.entries(LANGUAGES).map(([value, { label }]) => (
+                  <option key={value} value={value} lang={value}>{label}</option>
+                ))}
+              </select>
+              {user && (
+                <button type="button" onClick={() => setShowMyPledgesModal(true)} title={t('header.myPledges')} className="flex items-center space-x-2 p-2 bg-blue-900 rounded-full shadow hover:bg-blue-800 transition duration-300">
+                  <img className="w-8 h-8 rounded-full" src={user.photoURL || 'https://placehold.co/100x100'} alt={t('header.userPhoto')} />
+                  <span className="text-sm font-medium text-white">{user.displayName || t('common.anonymous')}</span>
+                  {isAdmin && (
+                    <span className="px-2 py-0.5 text-xs font-bold rounded-full bg-amber-400 text-blue-900">{t(`role.${adminRole}`)}</span>
+                  )}
+                  <span className="pr-2 text-xs text-blue-300">{t('header.myPledges')}</span>
+                </button>
+              )}
+              {canManageAdmins && (
+                <button onClick={() => setShowAdminModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.manageAdmins')}
+                </button>
+              )}
+              {canEditItems && (
+                <button onClick={() => setShowImportModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.import')}
+                </button>
+              )}
+              {canManageFinances && (
+                <button onClick={() => setShowExportModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.export')}
+                </button>
+              )}
+              {isAdmin && (
+                <button onClick={() => setShowDashboardModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.dashboard')}
+                </button>
+              )}
+              {isAdmin && (
+                <button onClick={() => setShowAuditModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.auditLog')}
+                </button>
+              )}
+              {canManageFinances && (
+                <button onClick={() => openReconcile()} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.reconcile')}
+                </button>
+              )}
+              {canManageFinances && (
+                <button onClick={() => setShowReceiptsModal(true)} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.receipts')}
+                </button>
+              )}
+              {canClaimOwnership && (
+                <button onClick={handleClaimOwnership} className="px-6 py-3 bg-blue-900 text-white rounded-full font-semibold shadow-md hover:bg-blue-800 transition duration-300">
+                  {t('header.claimOwnership')}
+                </button>
+              )}
+              {user && user.isAnonymous ? (
+                <button onClick={handleAuth} className="px-6 py-3 bg-amber-400 text-blue-900 rounded-full font-semibold shadow-md hover:bg-amber-500 transition duration-300">
+                  {t('header.signIn')}
+                </button>
+              ) : (
+                user && (
+                  <button onClick={handleAuth} className="px-6 py-3 bg-amber-400 text-blue-900 rounded-full font-semibold shadow-md hover:bg-amber-500 transition duration-300">
+                    {t('header.signOut')}
+                  </button>
+                )
+              )}
+            </div>
+            {user && (
+              <div className="mt-2 text-xs text-gray-500">
+                {t('header.userId')} <span id="user-id-text">{user.uid}</span>
+              </div>
+            )}
+          </header>
+
+          {/* Offline banner */}
+          {!isOnline && (
+            <div className="bg-amber-400 text-blue-900 rounded-xl p-3 mb-6 text-center text-sm font-semibold">
+              {outbox.length > 0 ? t('header.offlineWaiting', { count: outbox.length }) : t('header.offline')}
+            </div>
+          )}
+
+          {/* Loading Indicator */}
+          {loading && (
+            <div className="flex justify-center items-center mt-20">
+              <div className="lds-dual-ring"></div>
+              <p className="ml-4 text-xl text-white">{t('common.loading')}</p>
+            </div>
+          )}
+
+          {/* Campaign switcher: all items, open campaigns and the archive of closed ones */}
+          {!loading && (campaigns.length > 0 || canEditItems) && (
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <button type="button" onClick={() => navigate('')} className={`px-4 py-2 text-sm font-semibold rounded-full transition ${!selectedCampaign ? 'bg-amber-400 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-800'}`}>
+                {t('campaigns.allItems')}
+              </button>
+              {openCampaigns.map(campaign => (
+                <button key={campaign.id} type="button" onClick={() => navigate(campaignPath(campaign.id))} className={`px-4 py-2 text-sm font-semibold rounded-full transition ${selectedCampaign?.id === campaign.id ? 'bg-amber-400 text-blue-900' : 'bg-blue-900 text-blue-200 hover:bg-blue-800'}`}>
+                  {campaign.name}
+                </button>
+              ))}
+              {closedCampaigns.length > 0 && (
+                <select aria-label={t('campaigns.archive')} value={closedCampaigns.some(campaign => campaign.id === selectedCampaign?.id) ? selectedCampaign.id : ''} onChange={(e) => e.target.value && navigate(campaignPath(e.target.value))} className="rounded-full px-3 py-2 bg-blue-900 text-blue-200 text-sm focus:ring-blue-500 focus:border-blue-500">
+                  <option value="">{t('campaigns.archive')}</option>
+                  {closedCampaigns.map(campaign => (
+                    <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+                  ))}
+                </select>
+              )}
+              {canEditItems && (
+                <button type="button" onClick={() => handleOpenCampaignModal()} className="px-4 py-2 text-sm font-semibold rounded-full border border-blue-700 text-blue-200 hover:bg-blue-800 transition">
+                  + {t('campaigns.newCampaign')}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Landing view of the selected campaign with its own progress toward its goal */}
+          {!loading && selectedCampaign && (
+            <div className="bg-blue-900 rounded-xl shadow p-6 mb-6">
+              <div className="flex items-start justify-between gap-4">
+                <h2 className="text-2xl font-bold text-white">{selectedCampaign.name}</h2>
+                {canEditItems && (
+                  <button type="button" onClick={() => handleOpenCampaignModal(selectedCampaign)} className="text-sm text-amber-300 hover:underline whitespace-nowrap">{t('campaigns.edit')}</button>
+                )}
+              </div>
+              <p className="text-sm text-blue-300 mb-2">
+                {t('campaigns.dates', { start: formatDate(selectedCampaign.startDate), end: formatDate(selectedCampaign.endDate) })}
+                {' · '}{t('campaigns.itemCount', { count: selectedCampaignProgress.itemCount })}
+                {campaignState(selectedCampaign, today) === 'closed' && ` · ${t('campaigns.closed')}`}
+                {campaignState(selectedCampaign, today) === 'upcoming' && ` · ${t('campaigns.startsOn', { date: formatDate(selectedCampaign.startDate) })}`}
+              </p>
+              {selectedCampaign.description && <p className="text-blue-100 whitespace-pre-line mb-4">{selectedCampaign.description}</p>}
+              <div className="w-full bg-blue-800 rounded-full h-4">
+                <div className="bg-amber-400 h-4 rounded-full" style={{ width: `${Math.round(selectedCampaignProgress.percent)}%` }}></div>
+              </div>
+              <p className="text-sm text-blue-200 mt-2">
+                {t('campaigns.progress', { pledged: formatCurrency(selectedCampaignProgress.pledged), goal: formatCurrency(selectedCampaign.goal), percent: Math.round(selectedCampaignProgress.percent) })}
+              </p>
+            </div>
+          )}
+
+          {/* Search, filter and sort toolbar */}
+          {!loading && listItems.length > 0 && (
+            <div className="bg-blue-900 rounded-xl shadow p-4 mb-6 space-y-3">
+              <div className="flex flex-col sm:flex-row sm:space-x-4 space-y-2 sm:space-y-0">
+                <input type="search" value={filters.search} onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))} placeholder={t('toolbar.searchPlaceholder')} className="flex-1 rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+                <select value={filters.sort} onChange={(e) => setFilters(prev => ({ ...prev, sort: e.target.value }))} className="rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                  {Object.keys(SORT_OPTIONS).map(value => (
+                    <option key={value} value={value}>{t('toolbar.sortLabel', { label: t(`sort.${value}`) })}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {Object.keys(STATUS_ORDER).map(status => (
+                  <button key={status} type="button" onClick={() => toggleFilterValue('statuses', status)} className={`px-3 py-1 text-xs font-semibold rounded-full transition ${filters.statuses.includes(status) ? 'bg-amber-400 text-blue-900' : 'bg-blue-800 text-blue-200 hover:bg-blue-700'}`}>
+                    {t(`status.${status}`)}
+                  </button>
+                ))}
+              </div>
+              {categories.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {categories.map(category => (
+                    <button key={category} type="button" onClick={() => toggleFilterValue('categories', category)} className={`px-3 py-1 text-xs font-semibold rounded-full transition ${filters.categories.includes(category) ? 'bg-white text-blue-900' : 'bg-blue-800 text-blue-200 hover:bg-blue-700'}`}>
+                      {category}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Wishlist Items Container */}
+          {!loading && visibleItems.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {visibleItems.map(item => (
+                <ItemCard key={item.id} item={item} isPendingSync={outbox.some(p => p.itemId === item.id)} onOpen={handleOpenItem} />
+              ))}
+            </div>
+          )}
+          {!loading && selectedCampaign && items.length > 0 && listItems.length === 0 && (
+            <p className="text-blue-300 text-lg text-center">{t('campaigns.noItems')}</p>
+          )}
+          {!loading && listItems.length > 0 && visibleItems.length === 0 && (
+            <div className="text-center">
+              <p className="text-blue-300 text-lg mb-4">{t('toolbar.noMatches')}</p>
+              <button type="button" onClick={clearFilters} className="px-4 py-2 bg-amber-400 text-blue-900 rounded-lg font-semibold hover:bg-amber-500 transition">{t('toolbar.clearFilters')}</button>
+            </div>
+          )}
+          {!loading && items.length === 0 && (
+            <div className="text-center">
+              <p className="text-blue-300 text-lg col-span-full">{t('toolbar.empty')}</p>
+              {canEditItems && (
+                <button type="button" onClick={() => { setImportText(SAMPLE_ITEMS_CSV); setShowImportModal(true); }} className="mt-4 px-4 py-2 bg-amber-400 text-blue-900 rounded-lg font-semibold hover:bg-amber-500 transition">{t('toolbar.startFromSample')}</button>
+              )}
+            </div>
+          )}
+
+          {/* Add Item Button */}
+          {user && canEditItems && (
+            <div className="fixed bottom-6 right-6 z-50">
+              <button onClick={handleOpenAddItemModal} aria-label={t('toolbar.addItem')} className="w-14 h-14 bg-amber-400 text-blue-900 rounded-full text-3xl font-bold shadow-lg hover:bg-amber-500 transition duration-300 transform hover:scale-110 flex items-center justify-center">
+                +
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Modal for adding/editing new items */}
+        <ItemFormModal show={showAddItemModal} item={editingItem} campaigns={campaigns} defaultCampaignId={selectedCampaign?.id} onUploadImage={handleUploadItemImage} onDiscardImages={handleDiscardItemImages} onSubmit={handleSubmitItem} onClose={handleCloseAddItemModal} />
+
+        {/* Modal for adding/editing campaigns */}
+        <CampaignFormModal show={showCampaignModal} campaign={editingCampaign} onSubmit={handleSaveCampaign} onClose={() => setShowCampaignModal(false)} />
+
+        {/* Modal for viewing item details and contributing */}
+        <ItemDetailsModal
+          show={showDetailsModal}
+          item={currentEditingItem}
+          user={user}
+          contributions={contributions}
+          cycles={cycles}
+          canEditItems={canEditItems}
+          canManageFinances={canManageFinances}
+          canPayOnline={!!paymentsUrl && isOnline}
+          isStartingCheckout={isStartingCheckout}
+          onContribute={handleContribute}
+          onCancelPledge={handleCancelPledge}
+          onReconcile={openReconcile}
+          onEdit={handleEditClick}
+          onDelete={handleDeleteItem}
+          onShare={handleShareItem}
+          onClose={closeItemDetails}
+        />
+
+        {/* Modal for managing the admin roster */}
+        <Modal show={showAdminModal} title={t('admins.title')}>
+          <ul className="divide-y divide-gray-200 mb-6">
+            {adminRoster.map(entry => (
+              <li key={entry.id} className="flex items-center justify-between py-2">
+                <div>
+                  <p className="text-sm font-medium text-gray-800 break-all">{entry.displayName || entry.id}</p>
+                  <p className="text-xs text-gray-500">{ADMIN_ROLES[entry.role] ? t(`role.${entry.role}`) : entry.role}{entry.id === user?.uid ? ` ${t('common.you')}` : ''}</p>
+                </div>
+                <button type="button" onClick={() => handleRemoveAdmin(entry)} className="px-3 py-1 bg-red-600 text-white text-sm rounded-lg font-semibold hover:bg-red-700 transition">{t('admins.remove')}</button>
+              </li>
+            ))}
+          </ul>
+          <form className="space-y-4" onSubmit={handleAddAdmin}>
+            <div>
+              <label htmlFor="admin-id" className="block text-sm font-medium text-gray-700">{t('admins.emailOrUserId')}</label>
+              <input type="text" id="admin-id" value={newAdminId} onChange={(e) => setNewAdminId(e.target.value)} required className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+            </div>
+            <div>
+              <label htmlFor="admin-role" className="block text-sm font-medium text-gray-700">{t('admins.role')}</label>
+              <select id="admin-role" value={newAdminRole} onChange={(e) => setNewAdminRole(e.target.value)} className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                {Object.keys(ADMIN_ROLES).map(role => (
+                  <option key={role} value={role}>{t(`role.${role}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex justify-end space-x-4 mt-6">
+              <button type="button" onClick={() => setShowAdminModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+              <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition">{t('admins.saveAdmin')}</button>
+            </div>
+          </form>
+        </Modal>
+
+        {/* Modal for routing the part of a cash pledge beyond an item's remaining balance */}
+        <Modal show={!!overflowPledge} title={t('overflow.title')}>
+          {overflowPledge && (
+            <form onSubmit={handleRouteExcess} className="space-y-4">
+              <p className="text-sm text-gray-700">
+                {t('overflow.prompt', {
+                  item: itemNameFor(overflowPledge.pledge.itemId) || overflowPledge.pledge.itemName,
+                  remaining: formatCurrency(overflowPledge.remaining),
+                  excess: formatCurrency(overflowPledge.pledge.amount - overflowPledge.remaining),
+                  amount: formatCurrency(overflowPledge.pledge.amount),
+                })}
+              </p>
+              <div className="space-y-2">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input type="radio" name="overflow-target" value="general" checked={overflowTarget === 'general'} onChange={(e) => setOverflowTarget(e.target.value)} className="mr-2" />
+                  {t('overflow.generalFund')}
+                </label>
+                {overflowTargets.map(item => (
+                  <label key={item.id} className="flex items-center text-sm text-gray-700">
+                    <input type="radio" name="overflow-target" value={item.id} checked={overflowTarget === item.id} onChange={(e) => setOverflowTarget(e.target.value)} className="mr-2" />
+                    {t('overflow.otherItem', { item: itemText(item, language).itemName, amount: formatCurrency(remainingBalance(item)) })}
+                  </label>
+                ))}
+                <label className="flex items-center text-sm text-gray-700">
+                  <input type="radio" name="overflow-target" value="none" checked={overflowTarget === 'none'} onChange={(e) => setOverflowTarget(e.target.value)} className="mr-2" />
+                  {t('overflow.nowhere', { amount: formatCurrency(overflowPledge.remaining) })}
+                </label>
+              </div>
+              <div className="flex justify-end space-x-4">
+                <button type="button" onClick={() => setOverflowPledge(null)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+                <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition">{t('overflow.contribute')}</button>
+              </div>
+            </form>
+          )}
+        </Modal>
+
+        {/* Modal for reconciling pledged cash against payments received */}
+        <Modal show={showReconcileModal} title={t('reconcile.title')}>
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div>
+              <label htmlFor="reconcile-status" className="block text-sm font-medium text-gray-700">{t('reconcile.paymentStatus')}</label>
+              <select id="reconcile-status" value={reconcileFilters.paymentStatus} onChange={(e) => { setReconcileFilters({ ...reconcileFilters, paymentStatus: e.target.value }); setSelectedContributionIds([]); }} className="mt-1 block rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                {PAYMENT_STATUSES.map(value => (
+                  <option key={value} value={value}>{t(`paymentStatus.${value}`)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="reconcile-item" className="block text-sm font-medium text-gray-700">{t('reconcile.item')}</label>
+              <select id="reconcile-item" value={reconcileFilters.itemId} onChange={(e) => { setReconcileFilters({ ...reconcileFilters, itemId: e.target.value }); setSelectedContributionIds([]); }} className="mt-1 block rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                <option value="">{t('reconcile.allItems')}</option>
+                {items.filter(item => item.contributionType === 'cash').map(item => (
+                  <option key={item.id} value={item.id}>{itemText(item, language).itemName}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {reconcileRows.length > 0 ? (
+            <div className="max-h-80 overflow-auto mb-4">
+              <table className="w-full text-sm text-left text-gray-700">
+                <thead>
+                  <tr className="border-b">
+                    {reconcileFilters.paymentStatus === 'pledged' && (
+                      <th className="py-1 pr-2">
+                        <input type="checkbox" aria-label={t('reconcile.selectAll')} checked={selectedReconcileRows.length === reconcileRows.length} onChange={(e) => setSelectedContributionIds(e.target.checked ? reconcileRows.map(c => c.id) : [])} />
+                      </th>
+                    )}
+                    <th className="py-1 pr-2">{t('reconcile.item')}</th>
+                    <th className="py-1 pr-2">{t('reconcile.contributor')}</th>
+                    <th className="py-1 pr-2">{t('reconcile.amount')}</th>
+                    <th className="py-1 pr-2">{t('reconcile.date')}</th>
+                    <th className="py-1 pr-2">{t(reconcileFilters.paymentStatus === 'pledged' ? 'reconcile.reference' : 'reconcile.payment')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reconcileRows.map(c => (
+                    <tr key={c.id} className="border-b align-top">
+                      {reconcileFilters.paymentStatus === 'pledged' && (
+                        <td className="py-1 pr-2">
+                          <input type="checkbox" aria-label={t('reconcile.select', { name: c.contributorName })} checked={selectedContributionIds.includes(c.id)} onChange={(e) => setSelectedContributionIds(prev => e.target.checked ? [...prev, c.id] : prev.filter(id => id !== c.id))} />
+                        </td>
+                      )}
+                      <td className="py-1 pr-2">
+                        {c.itemId ? itemNameFor(c.itemId) || t('common.unknownItem') : t('reconcile.generalFund')}
+                        {isEarlierCycle(c) && <span className="block text-xs text-gray-500">{t('reconcile.earlierCycle')}</span>}
+                      </td>
+                      <td className="py-1 pr-2">{c.contributorName}</td>
+                      <td className="py-1 pr-2">{formatCurrency(c.amount)}</td>
+                      <td className="py-1 pr-2">{formatDate(c.timestamp)}</td>
+                      <td className="py-1 pr-2">
+                        {reconcileFilters.paymentStatus === 'pledged' ? (
+                          <input type="text" placeholder={t('reconcile.referencePlaceholder')} value={reconcileReferences[c.id] || ''} onChange={(e) => setReconcileReferences({ ...reconcileReferences, [c.id]: e.target.value })} className="w-32 rounded-md p-1 text-sm text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+                        ) : (
+                          <>
+                            {c.paymentMethod && t(`paymentMethod.${c.paymentMethod}`)}
+                            {c.paymentReference && ` · ${c.paymentReference}`}
+                            {c.paymentStatus === 'received' && c.itemId && (
+                              <button type="button" onClick={() => handleRefundContribution(c)} className="ml-2 text-xs text-red-600 hover:underline">{t('reconcile.refund')}</button>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 text-center mb-4">{t('reconcile.empty', { status: t(`paymentStatus.${reconcileFilters.paymentStatus}`) })}</p>
+          )}
+          <div className="flex flex-wrap items-center justify-end gap-4">
+            {reconcileFilters.paymentStatus === 'pledged' && (
+              <>
+                <select aria-label={t('reconcile.paymentMethod')} value={reconcileMethod} onChange={(e) => setReconcileMethod(e.target.value)} className="rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                  {Object.keys(PAYMENT_METHODS).map(value => (
+                    <option key={value} value={value}>{t(`paymentMethod.${value}`)}</option>
+                  ))}
+                </select>
+                <button type="button" disabled={selectedReconcileRows.length === 0} onClick={() => handleMarkReceived(selectedReconcileRows.map(c => ({ ...(c.itemId ? { itemId: c.itemId, contributionId: c.id } : { giftId: c.id }), paymentReference: reconcileReferences[c.id] })), reconcileMethod)} className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition disabled:opacity-50">
+                  {selectedReconcileRows.length > 0 ? t('reconcile.markCountReceived', { count: selectedReconcileRows.length }) : t('reconcile.markReceived')}
+                </button>
+              </>
+            )}
+            <button type="button" onClick={() => setShowReconcileModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          </div>
+        </Modal>
+
+        {/* Modal for the treasurer's donation receipts and year-end statements */}
+        <Modal show={showReceiptsModal} title={t('receipts.title')}>
+          {receiptContributions ? (
+            <div className="space-y-4 mb-6 text-sm text-gray-700">
+              <div>
+                <label htmlFor="receipt-year" className="block text-sm font-medium text-gray-700">{t('receipts.year')}</label>
+                <select id="receipt-year" value={receiptYear} onChange={(e) => setReceiptYear(Number(e.target.value))} className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                  {receiptYearOptions.map(year => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </div>
+              {giftsToNumber.length > 0 && (
+                <div className="flex items-center justify-between gap-4 p-3 bg-amber-50 rounded-md">
+                  <span>{t('receipts.unnumbered', { count: giftsToNumber.length })}</span>
+                  <button type="button" onClick={handleIssueReceipts} disabled={isIssuingReceipts} className="px-3 py-1 bg-amber-400 text-blue-900 rounded-lg font-semibold hover:bg-amber-500 transition disabled:opacity-50 whitespace-nowrap">
+                    {isIssuingReceipts ? t('receipts.issuing') : t('receipts.issue')}
+                  </button>
+                </div>
+              )}
+              {yearStatements.length > 0 ? (
+                <>
+                  {yearReceipts.length > 0 && (
+                    <div className="flex items-center justify-between gap-4">
+                      <span>{t('receipts.summary', { count: yearReceipts.length, amount: formatCurrency(yearReceipts.reduce((sum, gift) => sum + gift.amount, 0)) })}</span>
+                      <button type="button" onClick={handleDownloadAllReceipts} className="text-blue-600 hover:underline whitespace-nowrap">{t('receipts.downloadReceipts')}</button>
+                    </div>
+                  )}
+                  <div className="flex items-center justify-between gap-4">
+                    <span>{t('receipts.contributors', { count: yearStatements.length })}</span>
+                    <button type="button" onClick={handleDownloadAllStatements} className="text-blue-600 hover:underline whitespace-nowrap">{t('receipts.downloadStatements')}</button>
+                  </div>
+                </>
+              ) : (
+                <p className="text-gray-500 text-center">{t('receipts.none', { year: receiptYear })}</p>
+              )}
+              <p className="text-xs text-gray-500">{t('receipts.englishOnly')}</p>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 text-center mb-6">{t('receipts.loading')}</p>
+          )}
+          <div className="flex justify-end">
+            <button type="button" onClick={() => setShowReceiptsModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          </div>
+        </Modal>
+
+        {/* Modal with the admin dashboard's totals and trends */}
+        <Modal show={showDashboardModal} title={t('dashboard.title')} wide>
+          <AdminDashboard
+            items={items}
+            contributions={dashboardContributions || []}
+            isLoading={!dashboardContributions}
+            onOpenItem={(item) => { setShowDashboardModal(false); handleOpenItem(item); }}
+          />
+          <div className="flex justify-end mt-4">
+            <button type="button" onClick={() => setShowDashboardModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          </div>
+        </Modal>
+
+        {/* Modal for browsing the audit log and restoring deleted items */}
+        <Modal show={showAuditModal} title={t('audit.title')}>
+          {deletedItems.length > 0 && (
+            <div className="mb-4">
+              <h3 className="text-sm font-semibold text-gray-700 mb-1">{t('audit.deletedItems')}</h3>
+              <ul className="divide-y divide-gray-200 text-sm text-gray-700">
+                {deletedItems.map(item => (
+                  <li key={item.id} className="flex items-center justify-between py-1">
+                    <span>{itemText(item, language).itemName} <span className="text-xs text-gray-500">{t('audit.deletedOn', { date: formatDate(item.deletedAt) })}</span></span>
+                    {canEditItems && (
+                      <button type="button" onClick={() => handleRestoreItem(item)} className="text-xs text-blue-600 hover:underline">{t('audit.restore')}</button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-4 mb-4">
+            <select aria-label={t('audit.filterByItem')} value={auditFilters.itemId} onChange={(e) => setAuditFilters({ ...auditFilters, itemId: e.target.value })} className="rounded-md p-2 text-sm text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+              <option value="">{t('audit.allItems')}</option>
+              {auditItemOptions.map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+            <select aria-label={t('audit.filterByPerson')} value={auditFilters.userId} onChange={(e) => setAuditFilters({ ...auditFilters, userId: e.target.value })} className="rounded-md p-2 text-sm text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+              <option value="">{t('audit.everyone')}</option>
+              {auditUserOptions.map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+          </div>
+          {visibleAuditEntries.length > 0 ? (
+            <ul className="divide-y divide-gray-200 mb-6 max-h-96 overflow-y-auto">
+              {visibleAuditEntries.slice(0, 200).map(entry => (
+                <li key={entry.id} className="py-2 text-sm text-gray-700">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">{entry.action}</span>
+                    <span className="text-xs text-gray-500">{formatDateTime(entry.timestamp)}</span>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {entry.itemName || entry.campaignName || t('audit.noItem')}{t('audit.by', { name: entry.actorName || entry.actorId })}
+                    {entry.contributorName && entry.contributorId !== entry.actorId && t('audit.for', { name: entry.contributorName })}
+                    {entry.amount ? ` · ${formatCurrency(entry.amount)}` : ''}
+                    {entry.quantity ? t('audit.quantity', { quantity: entry.quantity }) : ''}
+                  </p>
+                  {entry.after && Object.keys(entry.after).map(field => (
+                    <p key={field} className="text-xs text-gray-500">
+                      {field}: {entry.before ? JSON.stringify(entry.before[field] ?? null) : '—'} → {JSON.stringify(entry.after[field])}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 text-center mb-6">{t('audit.empty')}</p>
+          )}
+          <div className="flex justify-end">
+            <button type="button" onClick={() => setShowAuditModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          </div>
+        </Modal>
+
+        {/* Modal listing the signed-in member's pledges */}
+        <Modal show={showMyPledgesModal} title={t('myPledges.title')}>
+          {myPledgeRows.length > 0 ? (
+            <ul className="divide-y divide-gray-200 mb-6 max-h-96 overflow-y-auto">
+              {myPledgeRows.map(pledge => {
+                const item = items.find(i => i.id === pledge.itemId);
+                const isOpen = !pledge.isQueued && (pledge.isLegacySignUp ? item?.status === 'Signed Up' : isPledgeOpen(pledge, item));
+                const isEditable = isOpen && pledge.type !== 'sponsorship' && !!(pledge.amount || pledge.quantity);
+                let pledgeState = item ? t(`status.${item.status}`) : t('myPledges.itemRemoved');
+                if (pledge.isQueued) pledgeState = t('item.pendingSync');
+                else if (pledge.cancelledAt) pledgeState = t(pledge.cancelReason === 'withdrawn' ? 'myPledges.withdrawn' : 'myPledges.released');
+                else if (item && !isCurrentCycle(pledge, item)) pledgeState = t('myPledges.earlierCycle');
+                return (
+                  <li key={pledge.id} className="py-3 text-gray-700">
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm font-medium text-gray-800">{(item && itemText(item, language).itemName) || pledge.itemName || t('common.unknownItem')}</p>
+                      <span className="text-xs text-gray-500">{pledgeState}</span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {pledge.amount ? formatCurrency(pledge.amount) : pledge.quantity ? t('myPledges.quantity', { quantity: pledge.quantity }) : t('myPledges.signedUp')}
+                      {pledge.timestamp && ` · ${formatDate(pledge.timestamp)}`}
+                      {isReceiptable(pledge) && pledge.receiptNumber && (
+                        <button type="button" onClick={() => handleDownloadReceipt(pledge)} className="ml-2 text-blue-600 hover:underline">{t('myPledges.receipt', { number: formatReceiptNumber(pledge.receiptNumber) })}</button>
+                      )}
+                    </p>
+                    {editingPledgeId === pledge.id ? (
+                      <form className="flex items-center space-x-2 mt-2" onSubmit={(e) => { e.preventDefault(); handleUpdatePledge(item, pledge, editingPledgeValue); }}>
+                        <input type="number" min={pledge.amount ? '0.01' : '1'} step={pledge.amount ? '0.01' : '1'} value={editingPledgeValue} onChange={(e) => setEditingPledgeValue(e.target.value)} required className="w-28 rounded-md p-1 text-sm text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+                        <button type="submit" className="px-3 py-1 bg-blue-600 text-white text-xs rounded-lg font-semibold hover:bg-blue-700 transition">{t('common.save')}</button>
+                        <button type="button" onClick={() => setEditingPledgeId(null)} className="px-3 py-1 bg-gray-200 text-gray-700 text-xs rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+                      </form>
+                    ) : isOpen && (
+                      <div className="flex space-x-3 mt-1">
+                        {isEditable && (
+                          <button type="button" onClick={() => { setEditingPledgeId(pledge.id); setEditingPledgeValue(String(pledge.amount || pledge.quantity)); }} className="text-xs text-blue-600 hover:underline">{t('common.edit')}</button>
+                        )}
+                        <button type="button" onClick={() => handleCancelPledge(item, 'withdrawn', pledge.isLegacySignUp ? null : pledge)} className="text-xs text-red-600 hover:underline">{t('myPledges.cancelPledge')}</button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 text-center mb-6">{t('myPledges.empty')}</p>
+          )}
+          {givingYears(myGifts).length > 0 && (
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mb-4">
+              {givingYears(myGifts).map(year => (
+                <button key={year} type="button" onClick={() => handleDownloadMyStatement(year)} className="text-sm text-blue-600 hover:underline">{t('myPledges.statement', { year })}</button>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-end">
+            <button type="button" onClick={() => { setShowMyPledgesModal(false); setEditingPledgeId(null); }} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          </div>
+        </Modal>
+
+        {/* Modal for bulk importing items from CSV */}
+        <Modal show={showImportModal} title={t('import.title')}>
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {t('import.columnsHelp')}
+            </p>
+            <input type="file" accept=".csv,text/csv" onChange={handleImportFile} className="block w-full text-sm text-gray-700" />
+            <textarea value={importText} onChange={(e) => setImportText(e.target.value)} rows={5} placeholder={t('import.pastePlaceholder')} className="block w-full rounded-md p-2 text-sm text-gray-800 font-mono focus:ring-blue-500 focus:border-blue-500" />
+            {importPreview.missingColumns.length > 0 && (
+              <p className="text-sm text-red-600">{t('import.missingColumns', { columns: importPreview.missingColumns.join(', ') })}</p>
+            )}
+            {importPreview.rows.length > 0 && (
+              <div className="max-h-60 overflow-y-auto border rounded-md">
+                <table className="w-full text-xs text-left text-gray-700">
+                  <thead className="bg-gray-100 sticky top-0">
+                    <tr>
+                      <th className="p-1">{t('import.line')}</th>
+                      <th className="p-1">{t('import.item')}</th>
+                      <th className="p-1">{t('import.cost')}</th>
+                      <th className="p-1">{t('import.type')}</th>
+                      <th className="p-1">{t('import.needed')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.rows.map(row => (
+                      <React.Fragment key={row.line}>
+                        <tr className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                          <td className="p-1">{row.line}</td>
+                          <td className="p-1">{row.itemData.itemName}<span className="text-gray-400"> · {row.itemData.category}</span></td>
+                          <td className="p-1">{isNaN(row.itemData.expectedCost) ? '' : formatCurrency(row.itemData.expectedCost)}</td>
+                          <td className="p-1">{row.itemData.contributionType}{row.itemData.isPartialAllowed ? t('import.partial') : ''}</td>
+                          <td className="p-1">{row.itemData.dateNeeded}</td>
+                        </tr>
+                        {row.errors.length > 0 && (
+                          <tr className="bg-red-50">
+                            <td colSpan={5} className="p-1 text-red-600">{row.errors.map(error => t(error)).join(' ')}</td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <div className="flex justify-end space-x-4 mt-6">
+              <button type="button" onClick={() => { setShowImportModal(false); setImportText(''); }} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+              <button type="button" onClick={handleImportItems} disabled={isImporting || importValidCount === 0} className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50">
+                {isImporting ? t('import.importing') : t('import.importCount', { count: importValidCount })}
+              </button>
+            </div>
+          </div>
+        </Modal>
+
+        {/* Modal for exporting items and contributions */}
+        <Modal show={showExportModal} title={t('export.title')}>
+          <form className="space-y-4" onSubmit={handleExport}>
+            <div className="flex space-x-4">
+              <div className="flex-1">
+                <label htmlFor="export-from" className="block text-sm font-medium text-gray-700">{t('export.from')}</label>
+                <input type="date" id="export-from" value={exportOptions.from} onChange={(e) => setExportOptions(prev => ({ ...prev, from: e.target.value }))} className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+              </div>
+              <div className="flex-1">
+                <label htmlFor="export-to" className="block text-sm font-medium text-gray-700">{t('export.to')}</label>
+                <input type="date" id="export-to" value={exportOptions.to} onChange={(e) => setExportOptions(prev => ({ ...prev, to: e.target.value }))} className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500" />
+              </div>
+            </div>
+            {categories.length > 0 && (
+              <div>
+                <p className="block text-sm font-medium text-gray-700">{t('export.categories')}</p>
+                {categories.map(category => (
+                  <label key={category} className="flex items-center text-sm text-gray-700 cursor-pointer mt-1">
+                    <input type="checkbox" checked={exportOptions.categories.includes(category)} onChange={() => setExportOptions(prev => ({
+                      ...prev,
+                      categories: prev.categories.includes(category) ? prev.categories.filter(c => c !== category) : [...prev.categories, category],
+                    }))} className="rounded text-blue-600" />
+                    <span className="ml-2">{category}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+            <div>
+              <label htmlFor="export-format" className="block text-sm font-medium text-gray-700">{t('export.format')}</label>
+              <select id="export-format" value={exportOptions.format} onChange={(e) => setExportOptions(prev => ({ ...prev, format: e.target.value }))} className="mt-1 block w-full rounded-md p-2 text-gray-800 focus:ring-blue-500 focus:border-blue-500">
+                <option value="csv">{t('export.csv')}</option>
+                <option value="xls">{t('export.xls')}</option>
+              </select>
+            </div>
+            <div className="flex justify-end space-x-4 mt-6">
+              <button type="button" onClick={() => setShowExportModal(false)} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+              <button type="submit" disabled={isExporting} className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50">{isExporting ? t('export.exporting') : t('export.export')}</button>
+            </div>
+          </form>
+        </Modal>
+
+        {/* Alert Modal for messages */}
+        <AlertModal show={showAlertModal} message={alertMessage} onClose={() => setShowAlertModal(false)} />
+      </div>
+    </I18nContext.Provider>
+  );
+};
+
+export default App;
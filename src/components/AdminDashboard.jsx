@@ -0,0 +1,121 @@
+import React from 'react';
+import { percentFunded, itemText } from '../lib/items.js';
+import { buildDashboard } from '../lib/analytics.js';
+import { useI18n } from '../i18n/index.js';
+
+const CONTRIBUTION_TYPE_KEYS = { item: 'itemForm.buyItem', cash: 'itemForm.cashContribution' };
+
+const percentOf = (part, whole) => (whole > 0 ? Math.round(Math.min(part / whole, 1) * 100) : 0);
+
+// Needed, pledged and still-needed amounts per category or contribution type
+const BreakdownTable = ({ title, rows, labelFor }) => {
+  const { t, formatCurrency } = useI18n();
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2">{title}</h3>
+      <table className="w-full text-sm text-left text-gray-700">
+        <thead>
+          <tr className="border-b">
+            <th className="py-1 pr-2">{t('dashboard.group')}</th>
+            <th className="py-1 pr-2 text-right">{t('dashboard.items')}</th>
+            <th className="py-1 pr-2 text-right">{t('dashboard.needed')}</th>
+            <th className="py-1 pr-2 text-right">{t('dashboard.pledged')}</th>
+            <th className="py-1 text-right">{t('dashboard.outstanding')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-b align-top">
+              <td className="py-1 pr-2">
+                {labelFor(row.key)}
+                <div className="w-full bg-gray-200 rounded-full h-1.5 mt-1">
+                  <div className="bg-amber-400 h-1.5 rounded-full" style={{ width: `${percentOf(row.pledged, row.needed)}%` }}></div>
+                </div>
+              </td>
+              <td className="py-1 pr-2 text-right">{row.count}</td>
+              <td className="py-1 pr-2 text-right">{formatCurrency(row.needed)}</td>
+              <td className="py-1 pr-2 text-right">{formatCurrency(row.pledged)}</td>
+              <td className="py-1 text-right font-medium">{formatCurrency(row.outstanding)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Admin overview of the whole wishlist. `items` and `contributions` come from the app's live
+// listeners, so the figures update as gifts arrive.
+const AdminDashboard = ({ items, contributions, isLoading, onOpenItem }) => {
+  const { language, t, formatCurrency, formatDate, formatShortDate } = useI18n();
+  const { totals, byCategory, byType, weekly, overdue, contributorCount } = buildDashboard(items, contributions);
+  const busiestWeek = Math.max(...weekly.map(week => week.count), 1);
+
+  const stats = [
+    ['dashboard.needed', formatCurrency(totals.needed)],
+    ['dashboard.pledged', formatCurrency(totals.pledged)],
+    ['dashboard.received', formatCurrency(totals.received)],
+    ['dashboard.outstanding', formatCurrency(totals.outstanding)],
+    ['dashboard.contributors', isLoading ? '…' : contributorCount],
+  ];
+
+  return (
+    <div className="max-h-[70vh] overflow-y-auto pr-1">
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4">
+        {stats.map(([key, value]) => (
+          <div key={key} className="bg-blue-50 rounded-lg p-3 text-center">
+            <p className="text-xs text-gray-500">{t(key)}</p>
+            <p className="text-lg font-bold text-gray-800">{value}</p>
+          </div>
+        ))}
+      </div>
+      <div className="w-full bg-gray-200 rounded-full h-3 mb-1">
+        <div className="bg-amber-400 h-3 rounded-full" style={{ width: `${percentOf(totals.pledged, totals.needed)}%` }}></div>
+      </div>
+      <p className="text-sm text-gray-600 text-center mb-6">
+        {t('dashboard.pledgedOfNeeded', { pledged: formatCurrency(totals.pledged), needed: formatCurrency(totals.needed), percent: percentOf(totals.pledged, totals.needed) })}
+      </p>
+
+      <BreakdownTable title={t('dashboard.byCategory')} rows={byCategory} labelFor={key => key || t('dashboard.noCategory')} />
+      <BreakdownTable title={t('dashboard.byType')} rows={byType} labelFor={key => (CONTRIBUTION_TYPE_KEYS[key] ? t(CONTRIBUTION_TYPE_KEYS[key]) : key)} />
+
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('dashboard.weekly')}</h3>
+        {isLoading ? (
+          <p className="text-sm text-gray-500">{t('dashboard.loading')}</p>
+        ) : (
+          <div className="flex items-end gap-1 h-40">
+            {weekly.map(week => {
+              const label = t('dashboard.weekBar', { date: formatDate(week.weekStart), count: week.count, amount: formatCurrency(week.amount) });
+              return (
+                <div key={week.weekStart} className="flex-1 flex flex-col items-center justify-end h-full" title={label} aria-label={label}>
+                  <span className="text-xs text-gray-600">{week.count || ''}</span>
+                  <div className="w-full bg-blue-600 rounded-t" style={{ height: `${(week.count / busiestWeek) * 100}%` }}></div>
+                  <span className="text-[10px] text-gray-500 mt-1 whitespace-nowrap">{formatShortDate(week.weekStart)}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('dashboard.overdue')}</h3>
+        {overdue.length > 0 ? (
+          <ul className="divide-y divide-gray-200 text-sm text-gray-700">
+            {overdue.map(item => (
+              <li key={item.id} className="py-1 flex items-center justify-between">
+                <button type="button" onClick={() => onOpenItem(item)} className="text-left text-blue-600 hover:underline">{itemText(item, language).itemName}</button>
+                <span className="text-xs text-red-600">{t('dashboard.overdueItem', { date: formatDate(item.dateNeeded), percent: Math.round(percentFunded(item)) })}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">{t('dashboard.noOverdue')}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminDashboard;
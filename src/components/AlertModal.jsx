@@ -0,0 +1,18 @@
+import React from 'react';
+import Modal from './Modal.jsx';
+import { useI18n } from '../i18n/index.js';
+
+// Alert Modal for messages
+const AlertModal = ({ show, message, onClose }) => {
+  const { t } = useI18n();
+  return (
+    <Modal show={show}>
+      <p className="text-lg text-gray-800 mb-4 text-center">{message}</p>
+      <div className="flex justify-center">
+        <button onClick={onClose} className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition">{t('common.ok')}</button>
+      </div>
+    </Modal>
+  );
+};
+
+export default AlertModal;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal.jsx';
+import { useI18n } from '../i18n/index.js';
+
+// Modal for adding a new campaign, or editing `campaign` when one is given. Hands the raw field
+// values to onSubmit, which validates them with buildCampaignData.
+const CampaignFormModal = ({ show, campaign, onSubmit, onClose }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [goal, setGoal] = useState('');
+
+  // Load the campaign being edited, or start blank, each time the modal opens
+  useEffect(() => {
+    if (!show) return;
+    setName(campaign?.name || '');
+    setDescription(campaign?.description || '');
+    setStartDate(campaign?.startDate || '');
+    setEndDate(campaign?.endDate || '');
+    setGoal(campaign ? String(campaign.goal) : '');
+  }, [show, campaign]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ name, description, startDate, endDate, goal });
+  };
+
+  return (
+    <Modal show={show}>
+      <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{campaign ? t('campaignForm.editTitle') : t('campaignForm.addTitle')}</h2>
+      <form className="space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label htmlFor="campaign-name" className="block text-sm font-medium text-gray-700">{t('campaignForm.name')}</label>
+          <input type="text" id="campaign-name" value={name} onChange={(e) => setName(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div>
+          <label htmlFor="campaign-description" className="block text-sm font-medium text-gray-700">{t('campaignForm.description')}</label>
+          <textarea id="campaign-description" rows="3" value={description} onChange={(e) => setDescription(e.target.value)} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div className="flex space-x-4">
+          <div className="flex-1">
+            <label htmlFor="campaign-start" className="block text-sm font-medium text-gray-700">{t('campaignForm.startDate')}</label>
+            <input type="date" id="campaign-start" value={startDate} onChange={(e) => setStartDate(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          </div>
+          <div className="flex-1">
+            <label htmlFor="campaign-end" className="block text-sm font-medium text-gray-700">{t('campaignForm.endDate')}</label>
+            <input type="date" id="campaign-end" value={endDate} min={startDate || undefined} onChange={(e) => setEndDate(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          </div>
+        </div>
+        <div>
+          <label htmlFor="campaign-goal" className="block text-sm font-medium text-gray-700">{t('campaignForm.goal')}</label>
+          <input type="number" id="campaign-goal" min="0.01" step="0.01" value={goal} onChange={(e) => setGoal(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div className="flex justify-end space-x-4 mt-6">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+          <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition">{t('campaignForm.save')}</button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default CampaignFormModal;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { isQuantityItem, remainingQuantity, isSponsorshipItem, percentFunded, itemText } from '../lib/items.js';
+import { useI18n } from '../i18n/index.js';
+
+// Card for one item in the wishlist grid
+const ItemCard = ({ item, isPendingSync, onOpen }) => {
+  const { language, t, formatCurrency, formatDate } = useI18n();
+  const { itemName } = itemText(item, language);
+  const statusColor = item.status === 'Pending' ? 'bg-gray-400' : item.status === 'Funding' ? 'bg-blue-500' : item.status === 'Completed' ? 'bg-green-600' : 'bg-amber-400';
+  let progressHtml = null;
+  if (item.contributionType === 'cash' && item.isPartialAllowed) {
+    progressHtml = (
+      <>
+        <div className="w-full bg-gray-200 rounded-full h-2.5 my-2">
+          <div className="bg-amber-400 h-2.5 rounded-full" style={{ width: `${Math.round(percentFunded(item))}%` }}></div>
+        </div>
+        <p className="text-xs text-gray-500 font-medium">
+          {t('item.cashProgress', { pledged: formatCurrency(item.currentContributions), received: formatCurrency(item.receivedContributions), cost: formatCurrency(item.expectedCost) })}
+        </p>
+      </>
+    );
+  } else if (isQuantityItem(item)) {
+    progressHtml = (
+      <>
+        <div className="w-full bg-gray-200 rounded-full h-2.5 my-2">
+          <div className="bg-amber-400 h-2.5 rounded-full" style={{ width: `${Math.round(((item.quantityClaimed || 0) / item.quantityNeeded) * 100)}%` }}></div>
+        </div>
+        <p className="text-xs text-gray-500 font-medium">{t('item.quantityProgress', { claimed: item.quantityClaimed || 0, needed: item.quantityNeeded, remaining: remainingQuantity(item) })}</p>
+      </>
+    );
+  }
+
+  return (
+    <div
+      className="item-card bg-white rounded-xl shadow-lg p-6 flex flex-col justify-between cursor-pointer"
+      onClick={() => onOpen(item)}
+    >
+      <div>
+        {item.images?.length > 0 && (
+          <img src={item.images[0].url} alt="" loading="lazy" className="-mx-6 -mt-6 mb-4 w-[calc(100%+3rem)] max-w-none h-40 object-cover rounded-t-xl" />
+        )}
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-semibold text-gray-800">{itemName}</h3>
+          <span className={`px-2 py-1 text-xs font-bold rounded-full text-white ${statusColor}`}>{t(`status.${item.status}`)}</span>
+        </div>
+        {isPendingSync && (
+          <span className="inline-block mb-2 px-2 py-1 text-xs font-bold rounded-full bg-blue-100 text-blue-800">{t('item.pendingSync')}</span>
+        )}
+        <p className="text-sm text-gray-500 mb-2">
+          {item.category}
+          {item.recurrence && <span className="ml-2 text-xs text-blue-600">{t(`recurrence.${item.recurrence.frequency}Badge`)}</span>}
+        </p>
+        <p className="text-lg font-bold text-gray-700">{t('item.cost', { amount: formatCurrency(item.expectedCost) })}</p>
+        {isSponsorshipItem(item) && (
+          <p className="text-xs text-gray-500 font-medium">
+            {item.status === 'Pending' ? t('item.needsSponsor') : t('item.sponsoredBy', { name: item.contributorName })}
+          </p>
+        )}
+        {progressHtml}
+      </div>
+      <div className="mt-4 text-xs text-gray-400 text-right">
+        {t('item.neededBy', { date: formatDate(item.dateNeeded) })}
+      </div>
+    </div>
+  );
+};
+
+export default ItemCard;
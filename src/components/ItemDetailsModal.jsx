@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal.jsx';
+import {
+  isQuantityItem, remainingQuantity, isSponsorshipItem, remainingBalance, percentFunded,
+  isPledgeOpen, itemText,
+} from '../lib/items.js';
+import { useI18n } from '../i18n/index.js';
+import Markdown from './Markdown.jsx';
+
+// Modal for viewing item details and contributing. The pledge form's values go to
+// onContribute; pledges are made and cancelled by the caller.
+const ItemDetailsModal = ({
+  show, item, user, contributions, cycles, canEditItems, canManageFinances, canPayOnline, isStartingCheckout,
+  onContribute, onCancelPledge, onReconcile, onEdit, onDelete, onShare, onClose,
+}) => {
+  const [contributionAmount, setContributionAmount] = useState('');
+  const [contributorName, setContributorName] = useState('');
+  const [pledgeQuantity, setPledgeQuantity] = useState('1');
+  const [payOnline, setPayOnline] = useState(false);
+  const [photoIndex, setPhotoIndex] = useState(0);
+  const { language, t, formatCurrency, formatDate } = useI18n();
+
+  // Start with a blank pledge form for each item opened
+  useEffect(() => {
+    if (!show) return;
+    setContributionAmount('');
+    setContributorName('');
+    setPledgeQuantity('1');
+    setPayOnline(false);
+    setPhotoIndex(0);
+  }, [show, item?.id]);
+
+  if (!item) return null;
+
+  const { itemName, description } = itemText(item, language);
+  const images = item.images || [];
+  const shownImage = images[Math.min(photoIndex, images.length - 1)];
+  // Partial cash items keep taking gifts while funding, until the whole cost is pledged
+  let isOpenForPledges = item.status === 'Pending';
+  if (isQuantityItem(item)) isOpenForPledges = remainingQuantity(item) > 0;
+  else if (item.contributionType === 'cash' && item.isPartialAllowed) isOpenForPledges = remainingBalance(item) > 0;
+  // Contributions to a recurring item's earlier cycles are shown in its history instead
+  const currentCycleContributions = contributions.filter(c => c.timestamp >= (item.cycleStartedAt || 0));
+  const isPayingOnline = payOnline && canPayOnline;
+  const isStaff = canEditItems || canManageFinances;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onContribute({ contributionAmount, contributorName, pledgeQuantity, payOnline: isPayingOnline });
+  };
+
+  return (
+    <Modal show={show}>
+      <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">{itemName}</h2>
+      <p className="text-sm text-gray-500 text-center mb-4">{item.category}</p>
+      {shownImage && (
+        <div className="mb-4">
+          <img src={shownImage.url} alt={t('details.photo', { number: images.indexOf(shownImage) + 1, total: images.length })} className="w-full max-h-64 object-contain rounded-lg bg-gray-100" />
+          {images.length > 1 && (
+            <div className="flex justify-center gap-2 mt-2">
+              {images.map((image, index) => (
+                <button key={image.path} type="button" onClick={() => setPhotoIndex(index)} aria-label={t('details.showPhoto', { number: index + 1 })} className={`rounded-md overflow-hidden border-2 ${image === shownImage ? 'border-blue-600' : 'border-transparent'}`}>
+                  <img src={image.url} alt="" className="w-12 h-12 object-cover" />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+      {description && <Markdown text={description} className="text-sm text-gray-700 mb-4" />}
+      {item.specs && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-gray-800">{t('details.specs')}</h3>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{item.specs}</p>
+        </div>
+      )}
+      {item.vendorLinks?.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-gray-800">{t('details.whereToBuy')}</h3>
+          <ul className="text-sm list-disc pl-5">
+            {item.vendorLinks.map((link, index) => (
+              <li key={index}>
+                <a href={link.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{link.label}</a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="space-y-4">
+        <p className="text-lg font-medium text-center text-gray-700">{t('item.expectedCost', { amount: formatCurrency(item.expectedCost) })}</p>
+        {item.contributionType === 'cash' && item.isPartialAllowed && (
+          <div className="modal-contribution-progress-container">
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+              <div className="bg-amber-400 h-2.5 rounded-full" style={{ width: `${Math.round(percentFunded(item))}%` }}></div>
+            </div>
+            <p className="text-center text-sm text-gray-500 mt-1">
+              {t('item.cashProgress', { pledged: formatCurrency(item.currentContributions), received: formatCurrency(item.receivedContributions), cost: formatCurrency(item.expectedCost) })}
+            </p>
+          </div>
+        )}
+        {isQuantityItem(item) && (
+          <div className="modal-contribution-progress-container">
+            <div className="w-full bg-gray-200 rounded-full h-2.5">
+              <div className="bg-amber-400 h-2.5 rounded-full" style={{ width: `${Math.round(((item.quantityClaimed || 0) / item.quantityNeeded) * 100)}%` }}></div>
+            </div>
+            <p className="text-center text-sm text-gray-500 mt-1">{t('item.quantityProgress', { claimed: item.quantityClaimed || 0, needed: item.quantityNeeded, remaining: remainingQuantity(item) })}</p>
+          </div>
+        )}
+        <p className="text-sm text-gray-500 text-center">{t('item.neededBy', { date: formatDate(item.dateNeeded) })}</p>
+        <p className={`text-center font-bold text-lg ${item.status === 'Completed' ? 'text-green-600' : item.status === 'Signed Up' ? 'text-yellow-600' : item.status === 'Funding' ? 'text-blue-600' : 'text-gray-600'}`}>
+          {t(`status.${item.status}`)}
+        </p>
+      </div>
+
+      {/* Contribution summary dashboard */}
+      <div className="mt-6 border-t pt-4">
+        {/* Members can only read their own contributions; staff see everyone's */}
+        <h3 className="text-xl font-semibold mb-2">{t(isStaff ? 'details.contributors' : 'details.yourContributions')}</h3>
+        {currentCycleContributions.length > 0 ? (
+          <ul className="list-disc list-inside text-gray-700">
+            {currentCycleContributions.map(c => (
+              <li key={c.id} className={`text-sm ${c.cancelledAt ? 'text-gray-400' : ''}`}>
+                <span className="font-medium">{c.contributorName}</span>
+                {c.type === 'sponsorship' ? t('details.sponsored', { amount: formatCurrency(c.amount) })
+                  : c.amount ? t('details.contributed', { amount: formatCurrency(c.amount) })
+                  : c.quantity ? t('details.pledgedQuantity', { quantity: c.quantity })
+                  : t('details.signedUp')}
+                {c.amount && c.paymentStatus && c.paymentStatus !== 'pledged' && !c.cancelledAt && ` (${t(`paymentStatus.${c.paymentStatus}`)})`}
+                {c.cancelledAt && t(c.cancelReason === 'withdrawn' ? 'details.withdrawnOn' : 'details.releasedOn', { date: formatDate(c.cancelledAt) })}
+                {!!(c.quantity || c.amount) && isPledgeOpen(c, item) && (c.userId === user?.uid || canEditItems) && (
+                  <button type="button" onClick={() => onCancelPledge(item, c.userId === user?.uid ? 'withdrawn' : 'released', c)} className="ml-2 text-xs text-red-600 hover:underline">
+                    {c.userId === user?.uid ? t('details.withdraw') : t('details.release')}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">{t(isStaff ? 'details.noContributions' : 'details.noYourContributions')}</p>
+        )}
+      </div>
+
+      {/* Past cycles of a recurring item */}
+      {cycles.length > 0 && (
+        <div className="mt-6 border-t pt-4">
+          <h3 className="text-xl font-semibold mb-2">{t('details.history')}</h3>
+          <ul className="space-y-2 text-gray-700">
+            {cycles.map(cycle => {
+              const cycleContributions = contributions.filter(c => !c.cancelledAt && c.timestamp >= cycle.startedAt && c.timestamp < cycle.closedAt);
+              return (
+                <li key={cycle.id} className="text-sm">
+                  <span className="font-medium">{formatDate(cycle.dateNeeded)}</span>
+                  {` · ${t(`status.${cycle.status}`)}`}
+                  {cycle.currentContributions > 0 && t('details.cycleRaised', { amount: formatCurrency(cycle.currentContributions) })}
+                  {cycle.quantityNeeded && t('details.cyclePledged', { claimed: cycle.quantityClaimed, needed: cycle.quantityNeeded })}
+                  {cycleContributions.length > 0 && (
+                    <span className="block text-xs text-gray-500">{[...new Set(cycleContributions.map(c => c.contributorName))].join(', ')}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="mt-6 space-y-4">
+        {isOpenForPledges && (
+          <>
+            {!user?.displayName && (
+              <div>
+                <label htmlFor="contributor-name" className="block text-sm font-medium text-gray-700">{t('details.yourName')}</label>
+                <input type="text" id="contributor-name" value={contributorName} onChange={(e) => setContributorName(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+              </div>
+            )}
+            {item.contributionType === 'cash' && item.isPartialAllowed && (
+              <div>
+                <label htmlFor="contribution-amount" className="block text-sm font-medium text-gray-700">{t('details.yourContribution')}</label>
+                <input type="number" id="contribution-amount" min="0.01" step="0.01" value={contributionAmount} onChange={(e) => setContributionAmount(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+                <p className="mt-1 text-xs text-gray-500">{t('details.stillNeeded', { amount: formatCurrency(remainingBalance(item)) })}</p>
+                {parseFloat(contributionAmount) > remainingBalance(item) && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    {payOnline ? t('details.moreThanNeededOnline') : t('details.moreThanNeeded')}
+                  </p>
+                )}
+                {canPayOnline && (
+                  <label className="mt-2 flex items-center text-sm text-gray-700">
+                    <input type="checkbox" checked={payOnline} onChange={(e) => setPayOnline(e.target.checked)} className="mr-2" />
+                    {t('details.payOnline')}
+                  </label>
+                )}
+              </div>
+            )}
+            {isSponsorshipItem(item) && (
+              <p className="text-sm text-gray-600 text-center">{t('details.sponsorshipNote', { amount: formatCurrency(item.expectedCost) })}</p>
+            )}
+            {isQuantityItem(item) && (
+              <div>
+                <label htmlFor="pledge-quantity" className="block text-sm font-medium text-gray-700">{t('details.quantityLabel', { max: remainingQuantity(item) })}</label>
+                <input type="number" id="pledge-quantity" min="1" max={remainingQuantity(item)} step="1" value={pledgeQuantity} onChange={(e) => setPledgeQuantity(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+              </div>
+            )}
+            <div className="flex justify-center space-x-4 mt-6">
+              <button type="submit" disabled={isStartingCheckout} className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50">
+                {isSponsorshipItem(item) ? t('details.sponsorFor', { amount: formatCurrency(item.expectedCost) })
+                  : item.contributionType === 'cash' ? t(isPayingOnline ? 'details.continueToPayment' : 'details.contribute')
+                  : t('details.signUpToBuy')}
+              </button>
+            </div>
+          </>
+        )}
+        {item.contributionType === 'item' && !isQuantityItem(item) && item.status === 'Signed Up' && (item.contributorId === user?.uid || canEditItems) && (
+          <div className="flex justify-center space-x-4 mt-6">
+            {item.contributorId === user?.uid ? (
+              <button type="button" onClick={() => onCancelPledge(item, 'withdrawn')} className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition">{t('details.withdrawSignUp')}</button>
+            ) : (
+              <button type="button" onClick={() => onCancelPledge(item, 'released')} className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition">{t('details.releaseSignUp')}</button>
+            )}
+          </div>
+        )}
+        {item.contributionType === 'cash' && (item.status === 'Funding' || item.status === 'Signed Up') && canManageFinances && (
+          <div className="flex justify-center space-x-4 mt-6">
+            <button type="button" onClick={() => onReconcile(item.id)} className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition">{t('details.recordPayments')}</button>
+          </div>
+        )}
+        <div className="flex justify-center space-x-4 mt-6">
+          <button type="button" onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.close')}</button>
+          <button type="button" onClick={() => onShare(item)} className="px-4 py-2 bg-blue-100 text-blue-800 rounded-lg font-semibold hover:bg-blue-200 transition">{t('details.share')}</button>
+          {canEditItems && (
+            <>
+              <button type="button" onClick={() => onEdit(item)} className="px-4 py-2 bg-yellow-600 text-white rounded-lg font-semibold hover:bg-yellow-700 transition">{t('common.edit')}</button>
+              <button type="button" onClick={() => onDelete(item)} className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition">{t('details.deleteItem')}</button>
+            </>
+          )}
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ItemDetailsModal;
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import Modal from './Modal.jsx';
+import { LANGUAGES, DEFAULT_LANGUAGE, useI18n } from '../i18n/index.js';
+import { localDateString, MAX_ITEM_IMAGES, MAX_VENDOR_LINKS, RECURRENCE_FREQUENCIES } from '../lib/items.js';
+import { campaignState } from '../lib/campaigns.js';
+
+// Languages an item's name and description can be translated into
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+
+// Modal for adding a new item, or editing `item` when one is given. Hands the raw field values
+// to onSubmit, which validates them with buildItemData. New items start in defaultCampaignId.
+// Photos are uploaded as soon as they are picked with onUploadImage; ones uploaded here and then
+// removed, or left behind by cancelling, go to onDiscardImages.
+const ItemFormModal = ({ show, item, campaigns, defaultCampaignId, onUploadImage, onDiscardImages, onSubmit, onClose }) => {
+  const { t } = useI18n();
+  const [itemName, setItemName] = useState('');
+  const [itemDescription, setItemDescription] = useState('');
+  const [translations, setTranslations] = useState({});
+  const [itemCategory, setItemCategory] = useState('');
+  const [itemCost, setItemCost] = useState('');
+  const [contributionType, setContributionType] = useState('item');
+  const [itemDate, setItemDate] = useState('');
+  const [partialContributionAllowed, setPartialContributionAllowed] = useState(false);
+  const [itemQuantity, setItemQuantity] = useState('');
+  const [itemRecurrence, setItemRecurrence] = useState('none');
+  const [itemRecurrenceDates, setItemRecurrenceDates] = useState('');
+  const [itemCampaignId, setItemCampaignId] = useState('');
+  const [images, setImages] = useState([]);
+  const [uploadedPaths, setUploadedPaths] = useState([]);
+  const [uploadingCount, setUploadingCount] = useState(0);
+  const [vendorLinks, setVendorLinks] = useState([]);
+  const [itemSpecs, setItemSpecs] = useState('');
+  const isEditing = !!item;
+
+  // Load the item being edited, or start blank, each time the modal opens
+  useEffect(() => {
+    if (!show) return;
+    setItemName(item?.itemName || '');
+    setItemDescription(item?.description || '');
+    setTranslations(item?.translations || {});
+    setItemCategory(item?.category || '');
+    setItemCost(item ? item.expectedCost : '');
+    setContributionType(item?.contributionType || 'item');
+    setItemDate(item?.dateNeeded || '');
+    setPartialContributionAllowed(!!item?.isPartialAllowed);
+    setItemQuantity(item?.quantityNeeded ? String(item.quantityNeeded) : '');
+    setItemRecurrence(item?.recurrence?.frequency || 'none');
+    setItemRecurrenceDates(item?.recurrence?.dates?.join(', ') || '');
+    setItemCampaignId(item ? item.campaignId || '' : defaultCampaignId || '');
+    setImages(item?.images || []);
+    setUploadedPaths([]);
+    setVendorLinks(item?.vendorLinks || []);
+    setItemSpecs(item?.specs || '');
+  }, [show, item]);
+
+  // Closed campaigns are only offered to the items already in them
+  const today = localDateString();
+  const campaignOptions = campaigns.filter(campaign => campaignState(campaign, today) !== 'closed' || campaign.id === item?.campaignId);
+
+  const handleTranslationChange = (language, field, value) => {
+    setTranslations(current => ({ ...current, [language]: { ...current[language], [field]: value } }));
+  };
+
+  // Uploads the picked photos one at a time so they keep the order they were picked in
+  const handleAddPhotos = async (e) => {
+    const files = [...e.target.files].slice(0, MAX_ITEM_IMAGES - images.length);
+    e.target.value = '';
+    setUploadingCount(count => count + files.length);
+    for (const file of files) {
+      const image = await onUploadImage(file);
+      if (image) {
+        setImages(current => [...current, image]);
+        setUploadedPaths(current => [...current, image.path]);
+      }
+      setUploadingCount(count => count - 1);
+    }
+  };
+
+  const handleMovePhoto = (index, offset) => {
+    setImages(current => {
+      const next = [...current];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  // Photos already saved on the item are only deleted once the removal is saved
+  const handleRemovePhoto = (image) => {
+    setImages(current => current.filter(other => other.path !== image.path));
+    if (uploadedPaths.includes(image.path)) onDiscardImages([image]);
+  };
+
+  const handleCancel = () => {
+    onDiscardImages(images.filter(image => uploadedPaths.includes(image.path)));
+    onClose();
+  };
+
+  const handleLinkChange = (index, field, value) => {
+    setVendorLinks(current => current.map((link, other) => (other === index ? { ...link, [field]: value } : link)));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      itemName,
+      description: itemDescription,
+      translations,
+      category: itemCategory,
+      expectedCost: itemCost,
+      contributionType,
+      dateNeeded: itemDate,
+      isPartialAllowed: partialContributionAllowed,
+      quantityNeeded: itemQuantity,
+      recurrence: { frequency: itemRecurrence, dates: itemRecurrenceDates },
+      campaignId: itemCampaignId,
+      images,
+      vendorLinks,
+      specs: itemSpecs,
+    });
+  };
+
+  return (
+    <Modal show={show}>
+      <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{isEditing ? t('itemForm.editTitle') : t('itemForm.addTitle')}</h2>
+      <form className="space-y-4" onSubmit={handleSubmit}>
+        <div>
+          <label htmlFor="item-name" className="block text-sm font-medium text-gray-700">{t('itemForm.itemName')}</label>
+          <input type="text" id="item-name" value={itemName} onChange={(e) => setItemName(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div>
+          <label htmlFor="item-description" className="block text-sm font-medium text-gray-700">{t('itemForm.description')}</label>
+          <textarea id="item-description" rows="4" value={itemDescription} onChange={(e) => setItemDescription(e.target.value)} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          <p className="mt-1 text-xs text-gray-500">{t('itemForm.descriptionHint')}</p>
+        </div>
+        {TRANSLATED_LANGUAGES.map(language => (
+          <fieldset key={language} className="border border-gray-200 rounded-md p-3 space-y-2">
+            <legend className="px-1 text-sm font-medium text-gray-700">{t('itemForm.translation', { language: LANGUAGES[language].label })}</legend>
+            <input type="text" aria-label={t('itemForm.translatedName', { language: LANGUAGES[language].label })} lang={language} value={translations[language]?.itemName || ''} onChange={(e) => handleTranslationChange(language, 'itemName', e.target.value)} placeholder={t('itemForm.translatedName', { language: LANGUAGES[language].label })} className="block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+            <textarea rows="2" aria-label={t('itemForm.translatedDescription', { language: LANGUAGES[language].label })} lang={language} value={translations[language]?.description || ''} onChange={(e) => handleTranslationChange(language, 'description', e.target.value)} placeholder={t('itemForm.translatedDescription', { language: LANGUAGES[language].label })} className="block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          </fieldset>
+        ))}
+        <div>
+          <span className="block text-sm font-medium text-gray-700">{t('itemForm.photos')}</span>
+          {images.length > 0 && (
+            <>
+              <ul className="mt-1 grid grid-cols-4 gap-2">
+                {images.map((image, index) => (
+                  <li key={image.path} className="relative">
+                    <img src={image.url} alt={t('itemForm.photoAlt', { number: index + 1 })} className="w-full h-16 object-cover rounded-md" />
+                    <div className="absolute inset-x-0 bottom-0 flex justify-between bg-black bg-opacity-50 rounded-b-md text-white text-xs">
+                      <button type="button" onClick={() => handleMovePhoto(index, -1)} disabled={index === 0} aria-label={t('itemForm.moveEarlier', { number: index + 1 })} className="px-1 disabled:opacity-30">←</button>
+                      <button type="button" onClick={() => handleRemovePhoto(image)} aria-label={t('itemForm.removePhoto', { number: index + 1 })} className="px-1">✕</button>
+                      <button type="button" onClick={() => handleMovePhoto(index, 1)} disabled={index === images.length - 1} aria-label={t('itemForm.moveLater', { number: index + 1 })} className="px-1 disabled:opacity-30">→</button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <p className="mt-1 text-xs text-gray-500">{t('itemForm.photosHint')}</p>
+            </>
+          )}
+          {images.length + uploadingCount < MAX_ITEM_IMAGES && (
+            <label className="mt-1 inline-block px-3 py-1 text-sm text-blue-600 border border-blue-600 rounded-lg cursor-pointer hover:bg-blue-50">
+              {uploadingCount > 0 ? t('itemForm.uploading') : t('itemForm.addPhotos')}
+              <input type="file" accept="image/*" multiple onChange={handleAddPhotos} disabled={uploadingCount > 0} className="sr-only" />
+            </label>
+          )}
+        </div>
+        <div>
+          <label htmlFor="item-specs" className="block text-sm font-medium text-gray-700">{t('itemForm.specs')}</label>
+          <textarea id="item-specs" rows="2" value={itemSpecs} onChange={(e) => setItemSpecs(e.target.value)} placeholder={t('itemForm.specsPlaceholder')} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div>
+          <span className="block text-sm font-medium text-gray-700">{t('itemForm.vendorLinks')}</span>
+          {vendorLinks.map((link, index) => (
+            <div key={index} className="mt-1 flex space-x-2">
+              <input type="text" aria-label={t('itemForm.linkLabel')} value={link.label} onChange={(e) => handleLinkChange(index, 'label', e.target.value)} placeholder={t('itemForm.linkLabel')} className="w-1/3 rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+              <input type="url" aria-label={t('itemForm.linkUrl')} value={link.url} onChange={(e) => handleLinkChange(index, 'url', e.target.value)} placeholder={t('itemForm.linkUrl')} className="flex-1 rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+              <button type="button" onClick={() => setVendorLinks(current => current.filter((_, other) => other !== index))} aria-label={t('itemForm.removeLink')} className="px-2 text-gray-500 hover:text-red-600">✕</button>
+            </div>
+          ))}
+          {vendorLinks.length < MAX_VENDOR_LINKS && (
+            <button type="button" onClick={() => setVendorLinks(current => [...current, { label: '', url: '' }])} className="mt-1 text-sm text-blue-600 hover:underline">+ {t('itemForm.addLink')}</button>
+          )}
+        </div>
+        <div>
+          <label htmlFor="item-category" className="block text-sm font-medium text-gray-700">{t('itemForm.category')}</label>
+          <input type="text" id="item-category" value={itemCategory} onChange={(e) => setItemCategory(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        {campaignOptions.length > 0 && (
+          <div>
+            <label htmlFor="item-campaign" className="block text-sm font-medium text-gray-700">{t('itemForm.campaign')}</label>
+            <select id="item-campaign" value={itemCampaignId} onChange={(e) => setItemCampaignId(e.target.value)} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500">
+              <option value="">{t('itemForm.noCampaign')}</option>
+              {campaignOptions.map(campaign => (
+                <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="item-cost" className="block text-sm font-medium text-gray-700">{t('itemForm.expectedCost')}</label>
+          <input type="number" id="item-cost" value={itemCost} onChange={(e) => setItemCost(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div>
+          <label htmlFor="contribution-type" className="block text-sm font-medium text-gray-700">{t('itemForm.contributionType')}</label>
+          <select id="contribution-type" value={contributionType} onChange={(e) => {
+            setContributionType(e.target.value);
+            setPartialContributionAllowed(e.target.value === 'cash' ? partialContributionAllowed : false);
+          }} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500">
+            <option value="item">{t('itemForm.buyItem')}</option>
+            <option value="cash">{t('itemForm.cashContribution')}</option>
+          </select>
+        </div>
+        {contributionType === 'cash' && (
+          <div id="partial-contribution-field">
+            <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer">
+              <input type="checkbox" id="partial-contribution-checkbox" checked={partialContributionAllowed} onChange={(e) => setPartialContributionAllowed(e.target.checked)} className="rounded text-blue-600" />
+              <span className="ml-2">{t('itemForm.allowPartial')}</span>
+            </label>
+          </div>
+        )}
+        {contributionType === 'item' && (
+          <div>
+            <label htmlFor="item-quantity" className="block text-sm font-medium text-gray-700">{t('itemForm.quantityNeeded')}</label>
+            <input type="number" id="item-quantity" min="1" step="1" value={itemQuantity} onChange={(e) => setItemQuantity(e.target.value)} placeholder={t('itemForm.quantityPlaceholder')} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          </div>
+        )}
+        <div>
+          <label htmlFor="item-date" className="block text-sm font-medium text-gray-700">{t('itemForm.dateNeeded')}</label>
+          <input type="date" id="item-date" value={itemDate} onChange={(e) => setItemDate(e.target.value)} required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+        </div>
+        <div>
+          <label htmlFor="item-recurrence" className="block text-sm font-medium text-gray-700">{t('itemForm.recurrence')}</label>
+          <select id="item-recurrence" value={itemRecurrence} onChange={(e) => setItemRecurrence(e.target.value)} className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500">
+            <option value="none">{t('recurrence.none')}</option>
+            {RECURRENCE_FREQUENCIES.map(frequency => (
+              <option key={frequency} value={frequency}>{t(`recurrence.${frequency}`)}</option>
+            ))}
+          </select>
+        </div>
+        {itemRecurrence === 'dates' && (
+          <div>
+            <label htmlFor="item-recurrence-dates" className="block text-sm font-medium text-gray-700">{t('itemForm.upcomingDates')}</label>
+            <input type="text" id="item-recurrence-dates" value={itemRecurrenceDates} onChange={(e) => setItemRecurrenceDates(e.target.value)} placeholder="2026-04-05, 2027-03-28" required className="mt-1 block w-full rounded-md p-2 focus:ring-blue-500 focus:border-blue-500" />
+          </div>
+        )}
+        <div className="flex justify-end space-x-4 mt-6">
+          <button type="button" onClick={handleCancel} className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg font-semibold hover:bg-gray-300 transition">{t('common.cancel')}</button>
+          <button type="submit" disabled={uploadingCount > 0} className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700 transition disabled:opacity-50">{isEditing ? t('itemForm.saveChanges') : t('itemForm.addItem')}</button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ItemFormModal;
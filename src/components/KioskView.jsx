@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { isQuantityItem, remainingQuantity, remainingBalance, percentFunded, itemText } from '../lib/items.js';
+import { itemUrl } from '../lib/links.js';
+import { useI18n } from '../i18n/index.js';
+
+// How long each open item stays on screen before the next one is shown
+const SLIDE_INTERVAL_MS = 12000;
+
+// Read-only projector display: an overall thermometer plus a slideshow of the items still
+// needing help, each with a QR code that opens its details on a phone
+const KioskView = ({ items, loading }) => {
+  const { language, t, formatCurrency, formatDate } = useI18n();
+  const [slideIndex, setSlideIndex] = useState(0);
+  const [qrCode, setQrCode] = useState('');
+
+  // Items short of their goal, by the same measure the progress bars use
+  const openItems = items.filter(item => percentFunded(item) < 100);
+  const totalRaised = items.reduce((sum, item) => sum + (item.currentContributions || 0), 0);
+  const totalGoal = items.reduce((sum, item) => sum + item.expectedCost, 0);
+  const overallPercent = totalGoal > 0 ? Math.min((totalRaised / totalGoal) * 100, 100) : 0;
+  const item = openItems.length > 0 ? openItems[slideIndex % openItems.length] : null;
+  const itemName = item ? itemText(item, language).itemName : '';
+
+  // Advance the slideshow; the item list itself updates live from the wishlist listener
+  useEffect(() => {
+    if (openItems.length < 2) return;
+    const timer = setInterval(() => setSlideIndex(prev => prev + 1), SLIDE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [openItems.length]);
+
+  useEffect(() => {
+    if (!item) return;
+    let isCurrent = true;
+    QRCode.toDataURL(itemUrl(item.id), { width: 320, margin: 1 })
+      .then(url => { if (isCurrent) setQrCode(url); })
+      .catch(error => console.error('Error generating QR code:', error));
+    return () => { isCurrent = false; };
+  }, [item?.id]);
+
+  return (
+    <div className="bg-blue-950 text-white min-h-screen flex flex-col px-12 py-10">
+      <h1 className="text-5xl font-bold text-center mb-8">{t('app.title')}</h1>
+
+      {/* Overall thermometer */}
+      <div className="mb-10">
+        <div className="w-full bg-blue-900 rounded-full h-10 overflow-hidden">
+          <div className="bg-amber-400 h-10 rounded-full transition-all duration-1000" style={{ width: `${Math.round(overallPercent)}%` }}></div>
+        </div>
+        <p className="text-center text-3xl font-semibold mt-3">
+          {t('kiosk.raised', { raised: formatCurrency(totalRaised), goal: formatCurrency(totalGoal) })}
+          <span className="text-blue-300"> ({Math.round(overallPercent)}%)</span>
+        </p>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center items-center mt-20">
+          <div className="lds-dual-ring"></div>
+          <p className="ml-4 text-3xl">{t('common.loading')}</p>
+        </div>
+      )}
+
+      {!loading && !item && (
+        <p className="text-center text-4xl font-semibold text-amber-300 mt-20">{t('kiosk.allDone')}</p>
+      )}
+
+      {!loading && item && (
+        <div className="flex-1 flex items-center justify-center gap-16">
+          <div className="max-w-2xl">
+            <p className="text-2xl text-blue-300 mb-2">{item.category}</p>
+            <h2 className="text-6xl font-bold mb-6">{itemName}</h2>
+            {item.contributionType === 'cash' && item.isPartialAllowed ? (
+              <>
+                <div className="w-full bg-blue-900 rounded-full h-6 mb-3">
+                  <div className="bg-amber-400 h-6 rounded-full" style={{ width: `${Math.round(percentFunded(item))}%` }}></div>
+                </div>
+                <p className="text-3xl">{t('kiosk.remainingOf', { remaining: formatCurrency(remainingBalance(item)), cost: formatCurrency(item.expectedCost) })}</p>
+              </>
+            ) : isQuantityItem(item) ? (
+              <>
+                <div className="w-full bg-blue-900 rounded-full h-6 mb-3">
+                  <div className="bg-amber-400 h-6 rounded-full" style={{ width: `${Math.round(percentFunded(item))}%` }}></div>
+                </div>
+                <p className="text-3xl">{t('kiosk.quantityRemaining', { remaining: remainingQuantity(item), needed: item.quantityNeeded })}</p>
+              </>
+            ) : (
+              <p className="text-3xl">{t('item.cost', { amount: formatCurrency(item.expectedCost) })}</p>
+            )}
+            <p className="text-xl text-blue-300 mt-6">{t('item.neededBy', { date: formatDate(item.dateNeeded) })}</p>
+            {openItems.length > 1 && (
+              <p className="text-lg text-blue-400 mt-2">{t('kiosk.position', { index: (slideIndex % openItems.length) + 1, count: openItems.length })}</p>
+            )}
+          </div>
+          {qrCode && (
+            <div className="text-center">
+              <img src={qrCode} alt={t('kiosk.qrAlt', { item: itemName })} className="w-80 h-80 bg-white rounded-xl p-3" />
+              <p className="text-xl text-blue-200 mt-3">{t('kiosk.scanToGive')}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KioskView;
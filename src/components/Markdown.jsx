@@ -0,0 +1,43 @@
+import React from 'react';
+import { parseMarkdown } from '../lib/markdown.js';
+
+const HEADING_CLASSES = { 1: 'text-lg font-bold', 2: 'text-base font-bold', 3: 'text-sm font-semibold' };
+
+const Inline = ({ pieces }) => pieces.map((piece, index) => {
+  if (piece.type === 'bold') return <strong key={index}>{piece.text}</strong>;
+  if (piece.type === 'italic') return <em key={index}>{piece.text}</em>;
+  if (piece.type === 'code') return <code key={index} className="px-1 bg-gray-100 rounded text-xs">{piece.text}</code>;
+  if (piece.type === 'link') return <a key={index} href={piece.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{piece.text}</a>;
+  return <React.Fragment key={index}>{piece.text}</React.Fragment>;
+});
+
+// Renders an item description written in the Markdown subset of lib/markdown.js
+const Markdown = ({ text, className = '' }) => (
+  <div className={`space-y-2 ${className}`}>
+    {parseMarkdown(text).map((block, index) => {
+      if (block.type === 'heading') {
+        return <p key={index} className={HEADING_CLASSES[block.level]}><Inline pieces={block.content} /></p>;
+      }
+      if (block.type === 'bulletList' || block.type === 'numberedList') {
+        const List = block.type === 'bulletList' ? 'ul' : 'ol';
+        return (
+          <List key={index} className={`pl-5 ${block.type === 'bulletList' ? 'list-disc' : 'list-decimal'}`}>
+            {block.items.map((pieces, itemIndex) => <li key={itemIndex}><Inline pieces={pieces} /></li>)}
+          </List>
+        );
+      }
+      return (
+        <p key={index}>
+          {block.lines.map((pieces, lineIndex) => (
+            <React.Fragment key={lineIndex}>
+              {lineIndex > 0 && <br />}
+              <Inline pieces={pieces} />
+            </React.Fragment>
+          ))}
+        </p>
+      );
+    })}
+  </div>
+);
+
+export default Markdown;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Helper component for modals to reduce code duplication
+const Modal = ({ show, onClose, title, wide = false, children }) => {
+  if (!show) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 modal-overlay">
+      <div className={`modal-content bg-white rounded-xl shadow-2xl p-6 w-full ${wide ? 'max-w-3xl' : 'max-w-md'} max-h-[90vh] overflow-y-auto mx-auto`}>
+        {title && <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">{title}</h2>}
+        {children}
+      </div>
+    </div>
+  );
+};
+
+export default Modal;
@@ -0,0 +1,12 @@
+// Settings provided by the hosting page as globals, or baked in at build time by vite.config.js
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+export const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
+export const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Address of the payment server (payments/server.mjs); online giving is hidden without it
+export const paymentsUrl = typeof __payments_url !== 'undefined' ? __payments_url : null;
+// Church details printed at the top of donation receipts and giving statements:
+// { name, address: [lines], taxId, signature }
+export const letterhead = {
+  name: 'STSM Church Denver',
+  ...JSON.parse(typeof __letterhead !== 'undefined' ? __letterhead : '{}'),
+};
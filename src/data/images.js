@@ -0,0 +1,27 @@
+// Item photos in Cloud Storage, under artifacts/{appId}/itemImages. Items keep each photo's path
+// and download URL in their `images` list, in display order. storage.rules checks these writes;
+// the handleUploadItemImage cases in tests/firestore.rules.test.mjs run them against the emulator.
+import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+
+// Largest photo accepted, mirroring storage.rules
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+export const createImageStore = (storage, appId) => {
+  const imagePath = (imageId) => `artifacts/${appId}/itemImages/${imageId}`;
+
+  // Uploads a photo under a new random name and returns the entry to keep on the item
+  const uploadItemImage = async (file) => {
+    const extension = (file.name?.match(/\.[a-z0-9]+$/i)?.[0] || '').toLowerCase();
+    const path = imagePath(`${Date.now()}-${Math.random().toString(36).slice(2)}${extension}`);
+    const imageRef = ref(storage, path);
+    await uploadBytes(imageRef, file, { contentType: file.type, cacheControl: 'public, max-age=31536000' });
+    return { path, url: await getDownloadURL(imageRef) };
+  };
+
+  const deleteItemImage = (path) => deleteObject(ref(storage, path));
+
+  return {
+    uploadItemImage,
+    deleteItemImage,
+  };
+};
@@ -0,0 +1,722 @@
+// Data access for the wishlist. Every Firestore path the app uses is built here, under
+// artifacts/{appId}/public/data, along with the writes that keep item totals, contribution
+// records, status notifications and the audit log in step. firestore.rules checks these
+// writes, and tests/firestore.rules.test.mjs runs them against the emulator.
+//
+// Functions that change data take an `actor`, `{ uid, name }`, naming who made the change for
+// the audit log. Permission checks and messages for the member stay with the caller.
+import { collection, collectionGroup, query, where, doc, getDocs, onSnapshot, setDoc, deleteDoc, runTransaction, serverTimestamp, writeBatch } from 'firebase/firestore';
+import {
+  remainingQuantity, quantityStatus, diffFields, roundCents, remainingBalance, cashStatus,
+  isPledgeOpen, isCurrentCycle,
+} from '../lib/items.js';
+
+export const createWishlistData = (db, appId) => {
+  const dataPath = `artifacts/${appId}/public/data`;
+
+  const items = () => collection(db, dataPath, 'wishlistItems');
+  const item = (itemId) => doc(db, dataPath, 'wishlistItems', itemId);
+  const contributions = (itemId) => collection(item(itemId), 'contributions');
+  const contribution = (itemId, contributionId) => doc(contributions(itemId), contributionId);
+  const cycles = (itemId) => collection(item(itemId), 'cycles');
+  const admins = () => collection(db, dataPath, 'admins');
+  const auditLog = () => collection(db, dataPath, 'auditLog');
+  const notificationEvents = () => collection(db, dataPath, 'notificationEvents');
+  const generalFund = () => collection(db, dataPath, 'generalFund');
+  const accountLink = (uid) => doc(db, dataPath, 'accountLinks', uid);
+  const preferences = (uid) => doc(db, dataPath, 'userPreferences', uid);
+  const campaigns = () => collection(db, dataPath, 'campaigns');
+  const campaign = (campaignId) => doc(db, dataPath, 'campaigns', campaignId);
+  const ownership = () => doc(db, dataPath, 'meta', 'ownership');
+  // Last donation receipt number handed out; see src/lib/receipts.js
+  const receiptCounter = () => doc(db, dataPath, 'meta', 'receipts');
+
+  // Members may only read their own contributions, and staff every contribution to an item
+  // (see firestore.rules), so queries for members say whose they want
+  const userItemContributions = (itemId, uid) => query(contributions(itemId), where('userId', '==', uid));
+
+  // Collection group queries reach contributions of every app in the project, so only keep this
+  // app's, tagged with the item they belong to
+  const userContributions = (uid) => query(collectionGroup(db, 'contributions'), where('userId', '==', uid));
+  const itemContributions = (snapshot) => snapshot.docs
+    .filter(contributionDoc => contributionDoc.ref.path.startsWith(`${dataPath}/wishlistItems/`))
+    .map(contributionDoc => ({ id: contributionDoc.id, itemId: contributionDoc.ref.parent.parent.id, ...contributionDoc.data() }));
+
+  // Follows every contribution to the given items for staff screens, calling onChange with all
+  // of them, tagged with their itemId, once each item has reported. Collection group rules
+  // can't look up the reader's role in each app, so staff listen item by item instead.
+  // Returns a function that stops listening.
+  const watchContributions = (itemIds, onChange, onError) => {
+    const byItem = {};
+    if (itemIds.length === 0) onChange([]);
+    const unsubscribes = itemIds.map(itemId => onSnapshot(contributions(itemId), (snapshot) => {
+      byItem[itemId] = snapshot.docs.map(contributionDoc => ({ id: contributionDoc.id, itemId, ...contributionDoc.data() }));
+      if (itemIds.every(id => byItem[id])) onChange(itemIds.flatMap(id => byItem[id]));
+    }, onError));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  };
+
+  // Gifts to the general fund, such as what an online payment gave beyond an item's need
+  const userGeneralFundGifts = (uid) => query(generalFund(), where('userId', '==', uid));
+
+  // The pledges made under a UID. Read while signed in as that UID, since no one else may.
+  const findPledges = async (uid) => itemContributions(await getDocs(userContributions(uid)));
+
+  // Appends an entry to the audit log inside the caller's transaction or batch. Entries may
+  // override the actor fields.
+  const recordAudit = (writer, actor, entry) => {
+    writer.set(doc(auditLog()), {
+      actorId: actor.uid,
+      actorName: actor.name,
+      timestamp: Date.now(),
+      ...entry,
+    });
+  };
+
+  // Queues a status transition for the admin notification digest, inside the caller's transaction
+  const recordStatusChange = (transaction, itemRef, itemData, newStatus, actorName) => {
+    if (itemData.status === newStatus) return;
+    transaction.set(doc(notificationEvents()), {
+      type: 'statusChange',
+      itemId: itemRef.id,
+      itemName: itemData.itemName,
+      contributionType: itemData.contributionType,
+      fromStatus: itemData.status,
+      toStatus: newStatus,
+      actorName,
+      timestamp: Date.now(),
+      digestedAt: null,
+    });
+  };
+
+  // The ownership marker can only be created once, which lets the security rules allow this
+  // first owner without being able to see that the roster is empty
+  const claimOwnership = (actor, email) => {
+    const batch = writeBatch(db);
+    batch.set(ownership(), {
+      claimedBy: actor.uid,
+      claimedAt: serverTimestamp(),
+    });
+    batch.set(doc(admins(), actor.uid), {
+      role: 'owner',
+      email: email ? email.toLowerCase() : null,
+      displayName: actor.name,
+      addedBy: actor.uid,
+      addedAt: serverTimestamp(),
+    });
+    return batch.commit();
+  };
+
+  const saveAdmin = (actor, key, role) => setDoc(doc(admins(), key), {
+    role,
+    email: key.includes('@') ? key : null,
+    addedBy: actor.uid,
+    addedAt: serverTimestamp(),
+  }, { merge: true });
+
+  const removeAdmin = (key) => deleteDoc(doc(admins(), key));
+
+  const newItemFields = (actor, itemData) => ({
+    ...itemData,
+    status: 'Pending',
+    currentContributions: 0,
+    createdAt: new Date(),
+    createdBy: actor.uid,
+    creatorName: actor.name,
+  });
+
+  const createItem = async (actor, itemData) => {
+    const itemRef = doc(items());
+    const batch = writeBatch(db);
+    batch.set(itemRef, newItemFields(actor, itemData));
+    recordAudit(batch, actor, { action: 'item.created', itemId: itemRef.id, itemName: itemData.itemName, after: itemData });
+    await batch.commit();
+    return itemRef.id;
+  };
+
+  // Writes several items in a single batch. Each takes two of the 500 writes a batch allows:
+  // the item and its audit entry.
+  const importItems = (actor, itemDataList) => {
+    const batch = writeBatch(db);
+    itemDataList.forEach(itemData => {
+      const itemRef = doc(items());
+      batch.set(itemRef, newItemFields(actor, itemData));
+      recordAudit(batch, actor, { action: 'item.created', itemId: itemRef.id, itemName: itemData.itemName, after: itemData, source: 'import' });
+    });
+    return batch.commit();
+  };
+
+  const updateItem = (actor, itemId, itemData) => {
+    const itemRef = item(itemId);
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      if (!itemDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      transaction.update(itemRef, {
+        ...itemData,
+        updatedAt: new Date(),
+      });
+      if (itemData.status) {
+        recordStatusChange(transaction, itemRef, itemDoc.data(), itemData.status, actor.name);
+      }
+      recordAudit(transaction, actor, {
+        action: 'item.updated',
+        itemId,
+        itemName: itemData.itemName,
+        ...diffFields(itemDoc.data(), itemData),
+      });
+    });
+  };
+
+  const createCampaign = async (actor, campaignData) => {
+    const campaignRef = doc(campaigns());
+    const batch = writeBatch(db);
+    batch.set(campaignRef, { ...campaignData, createdAt: new Date(), createdBy: actor.uid });
+    recordAudit(batch, actor, { action: 'campaign.created', campaignId: campaignRef.id, campaignName: campaignData.name, after: campaignData });
+    await batch.commit();
+    return campaignRef.id;
+  };
+
+  const updateCampaign = (actor, campaignId, campaignData) => {
+    const campaignRef = campaign(campaignId);
+    return runTransaction(db, async (transaction) => {
+      const campaignDoc = await transaction.get(campaignRef);
+      if (!campaignDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      transaction.update(campaignRef, { ...campaignData, updatedAt: new Date() });
+      recordAudit(transaction, actor, {
+        action: 'campaign.updated',
+        campaignId,
+        campaignName: campaignData.name,
+        ...diffFields(campaignDoc.data(), campaignData),
+      });
+    });
+  };
+
+  // Deleting only marks the item, so it and its contributions can be restored from the audit log
+  const setItemDeleted = (actor, itemId, isDeleted) => {
+    const itemRef = item(itemId);
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      if (!itemDoc.exists() || !!itemDoc.data().deletedAt === isDeleted) {
+        throw new Error(isDeleted ? "Item is already deleted!" : "Item is not deleted!");
+      }
+      const change = isDeleted ? { deletedAt: Date.now(), deletedBy: actor.uid } : { deletedAt: null, deletedBy: null };
+      transaction.update(itemRef, change);
+      recordAudit(transaction, actor, {
+        action: isDeleted ? 'item.deleted' : 'item.restored',
+        itemId,
+        itemName: itemDoc.data().itemName,
+        ...diffFields(itemDoc.data(), change),
+      });
+    });
+  };
+
+  // Runs a pledge against Firestore in a transaction. Pledges are plain objects so ones
+  // queued while offline can be replayed later with the same rules. Resolves to the amount
+  // actually recorded, which is less than asked for when a queued cash pledge is clamped.
+  // Item updates name their contribution in lastContributionId so the security rules can
+  // check the new totals against it.
+  const submitPledge = async (pledge) => {
+    const actor = { uid: pledge.userId, name: pledge.contributorName };
+    const contributor = { contributorId: pledge.userId, contributorName: pledge.contributorName };
+    if (pledge.kind === 'generalFund') {
+      const batch = writeBatch(db);
+      const giftRef = doc(generalFund());
+      batch.set(giftRef, {
+        userId: pledge.userId,
+        contributorName: pledge.contributorName,
+        amount: pledge.amount,
+        sourceItemId: pledge.sourceItemId,
+        timestamp: Date.now(),
+        paymentStatus: 'pledged',
+      });
+      // giftId ties the entry to the gift for the security rules
+      recordAudit(batch, actor, { ...contributor, action: 'generalFund.gift', giftId: giftRef.id, itemId: pledge.sourceItemId, amount: pledge.amount });
+      await batch.commit();
+      return pledge.amount;
+    }
+    const itemRef = item(pledge.itemId);
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      if (!itemDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      const itemData = itemDoc.data();
+      const contributionsDocRef = doc(contributions(pledge.itemId));
+      // Stamped when written rather than when queued, so replayed pledges land in the item's
+      // current cycle and pass the rules' check against the server clock
+      const newContribution = {
+        userId: pledge.userId,
+        timestamp: Date.now(),
+        contributorName: pledge.contributorName
+      };
+
+      if (pledge.kind === 'quantity') {
+        if (pledge.quantity > remainingQuantity(itemData)) {
+          throw new Error("Not enough quantity remaining!");
+        }
+        const newQuantityClaimed = (itemData.quantityClaimed || 0) + pledge.quantity;
+        const newStatus = quantityStatus(newQuantityClaimed, itemData.quantityNeeded);
+
+        transaction.update(itemRef, {
+          quantityClaimed: newQuantityClaimed,
+          status: newStatus,
+          lastContributionId: contributionsDocRef.id,
+        });
+        transaction.set(contributionsDocRef, { ...newContribution, type: 'signup', quantity: pledge.quantity });
+        recordStatusChange(transaction, itemRef, itemData, newStatus, pledge.contributorName);
+        recordAudit(transaction, actor, { ...contributor, action: 'pledge.created', itemId: itemRef.id, itemName: itemData.itemName, quantity: pledge.quantity });
+      } else if (pledge.kind === 'signup') {
+        if (itemData.status !== 'Pending') {
+          throw new Error("Item has already been signed up for!");
+        }
+
+        // Record the sign-up in the contributions subcollection so it shows in the history
+        transaction.set(contributionsDocRef, { ...newContribution, type: 'signup' });
+        transaction.update(itemRef, {
+          status: 'Signed Up',
+          contributorId: pledge.userId,
+          contributorName: pledge.contributorName,
+          signUpContributionId: contributionsDocRef.id,
+          lastContributionId: contributionsDocRef.id,
+        });
+        recordStatusChange(transaction, itemRef, itemData, 'Signed Up', pledge.contributorName);
+        recordAudit(transaction, actor, { ...contributor, action: 'signup.created', itemId: itemRef.id, itemName: itemData.itemName });
+      } else if (pledge.kind === 'sponsor') {
+        if (itemData.status !== 'Pending') {
+          throw new Error("Item has already been sponsored!");
+        }
+
+        // The sponsor pledges the whole cost and holds the item until an admin confirms receipt
+        transaction.set(contributionsDocRef, { ...newContribution, type: 'sponsorship', amount: itemData.expectedCost, paymentStatus: 'pledged' });
+        transaction.update(itemRef, {
+          currentContributions: itemData.expectedCost,
+          status: 'Signed Up',
+          contributorId: pledge.userId,
+          contributorName: pledge.contributorName,
+          signUpContributionId: contributionsDocRef.id,
+          lastContributionId: contributionsDocRef.id,
+        });
+        recordStatusChange(transaction, itemRef, itemData, 'Signed Up', pledge.contributorName);
+        recordAudit(transaction, actor, { ...contributor, action: 'sponsorship.created', itemId: itemRef.id, itemName: itemData.itemName, amount: itemData.expectedCost });
+        return itemData.expectedCost;
+      } else if (pledge.kind === 'cash') {
+        // Never take more than the item still needs. Queued pledges can't ask the member
+        // what to do with the excess, so they are reduced to the remaining balance instead.
+        const remaining = remainingBalance(itemData);
+        let amount = pledge.amount;
+        if (remaining <= 0) {
+          throw Object.assign(new Error("Item is already fully funded!"), { code: 'overfunded', remaining });
+        }
+        if (amount > remaining) {
+          if (!pledge.clampToRemaining) {
+            throw Object.assign(new Error("Contribution exceeds the remaining balance!"), { code: 'overfunded', remaining });
+          }
+          amount = remaining;
+        }
+        const newContributions = roundCents((itemData.currentContributions || 0) + amount);
+        const newStatus = cashStatus(newContributions, itemData.receivedContributions || 0, itemData.expectedCost);
+
+        transaction.update(itemRef, {
+          currentContributions: newContributions,
+          status: newStatus,
+          lastContributionId: contributionsDocRef.id,
+        });
+
+        // Also add a contribution record to a subcollection for tracking
+        transaction.set(contributionsDocRef, { ...newContribution, amount, paymentStatus: 'pledged' });
+        recordStatusChange(transaction, itemRef, itemData, newStatus, pledge.contributorName);
+        recordAudit(transaction, actor, { ...contributor, action: 'pledge.created', itemId: itemRef.id, itemName: itemData.itemName, amount });
+        return amount;
+      }
+      return null;
+    });
+  };
+
+  // Cancels a pledge and gives its amount or quantity (or the whole single sign-up) back to the
+  // item. Used by contributors to withdraw and by admins to release. Single sign-ups made before
+  // contribution history existed are cancelled without a contribution.
+  const cancelPledge = (actor, itemId, reason, pledgeContribution = null) => {
+    const itemRef = item(itemId);
+    const contributionRef = pledgeContribution ? contribution(itemId, pledgeContribution.id) : null;
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      if (!itemDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      const itemData = itemDoc.data();
+      const contributionDoc = contributionRef ? await transaction.get(contributionRef) : null;
+      if (contributionDoc && (!contributionDoc.exists() || contributionDoc.data().cancelledAt)) {
+        throw new Error("Pledge is no longer active!");
+      }
+      // Money that has come in is refunded rather than cancelled, and a pledge to an earlier
+      // cycle no longer counts toward the totals cancelling would take it from
+      if (contributionDoc && (contributionDoc.data().paymentStatus || 'pledged') !== 'pledged') {
+        throw new Error("Pledge has already been paid!");
+      }
+      if (contributionDoc && !isCurrentCycle(contributionDoc.data(), itemData)) {
+        throw new Error("Pledge belongs to an earlier cycle!");
+      }
+      const cancellation = {
+        cancelledAt: Date.now(),
+        cancelledBy: actor.uid,
+        cancelReason: reason,
+      };
+
+      if (contributionDoc?.data().type === 'sponsorship') {
+        if (itemData.status !== 'Signed Up' || itemData.signUpContributionId !== pledgeContribution.id) {
+          throw new Error("Item is not sponsored by this pledge!");
+        }
+        transaction.update(contributionRef, cancellation);
+        transaction.update(itemRef, {
+          currentContributions: 0,
+          status: 'Pending',
+          contributorId: null,
+          contributorName: null,
+          signUpContributionId: null,
+          lastContributionId: pledgeContribution.id,
+        });
+        recordStatusChange(transaction, itemRef, itemData, 'Pending', actor.name);
+      } else if (contributionDoc?.data().amount) {
+        const newContributions = Math.max(roundCents((itemData.currentContributions || 0) - contributionDoc.data().amount), 0);
+        const newStatus = cashStatus(newContributions, itemData.receivedContributions || 0, itemData.expectedCost);
+        transaction.update(contributionRef, cancellation);
+        transaction.update(itemRef, {
+          currentContributions: newContributions,
+          status: newStatus,
+          lastContributionId: pledgeContribution.id,
+        });
+        recordStatusChange(transaction, itemRef, itemData, newStatus, actor.name);
+      } else if (contributionDoc?.data().quantity) {
+        const newQuantityClaimed = Math.max((itemData.quantityClaimed || 0) - contributionDoc.data().quantity, 0);
+        const newStatus = quantityStatus(newQuantityClaimed, itemData.quantityNeeded);
+        transaction.update(contributionRef, cancellation);
+        transaction.update(itemRef, {
+          quantityClaimed: newQuantityClaimed,
+          status: newStatus,
+          lastContributionId: pledgeContribution.id,
+        });
+        recordStatusChange(transaction, itemRef, itemData, newStatus, actor.name);
+      } else {
+        if (itemData.status !== 'Signed Up' || (pledgeContribution && itemData.signUpContributionId !== pledgeContribution.id)) {
+          throw new Error("Item is not signed up for!");
+        }
+        // Sign-ups made before contribution history existed have no record to close out
+        if (itemData.signUpContributionId) {
+          transaction.update(contribution(itemId, itemData.signUpContributionId), cancellation);
+        }
+        transaction.update(itemRef, {
+          status: 'Pending',
+          contributorId: null,
+          contributorName: null,
+          signUpContributionId: null,
+          ...(itemData.signUpContributionId && { lastContributionId: itemData.signUpContributionId }),
+        });
+        recordStatusChange(transaction, itemRef, itemData, 'Pending', actor.name);
+      }
+      recordAudit(transaction, actor, {
+        // Cash and quantity pledges are both pledges; only a single sign-up has neither
+        action: `${pledgeContribution?.amount || pledgeContribution?.quantity ? 'pledge' : 'signup'}.${reason}`,
+        itemId,
+        itemName: itemData.itemName,
+        contributorId: pledgeContribution ? pledgeContribution.userId : itemData.contributorId,
+        contributorName: pledgeContribution ? pledgeContribution.contributorName : itemData.contributorName,
+        amount: pledgeContribution?.amount || null,
+        quantity: pledgeContribution?.quantity || null,
+      });
+    });
+  };
+
+  // Changes the amount or quantity of an open pledge
+  const updatePledge = (actor, itemId, contributionId, value) => {
+    const itemRef = item(itemId);
+    const contributionRef = contribution(itemId, contributionId);
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      const contributionDoc = await transaction.get(contributionRef);
+      if (!itemDoc.exists() || !contributionDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      const itemData = itemDoc.data();
+      const previous = contributionDoc.data();
+      if (!isPledgeOpen(previous, itemData)) {
+        throw new Error("Pledge can no longer be changed!");
+      }
+
+      const isCash = !!previous.amount;
+      let newStatus;
+      if (isCash) {
+        if (value - previous.amount > remainingBalance(itemData)) {
+          throw new Error("Contribution exceeds the remaining balance!");
+        }
+        const newContributions = roundCents((itemData.currentContributions || 0) - previous.amount + value);
+        newStatus = cashStatus(newContributions, itemData.receivedContributions || 0, itemData.expectedCost);
+        transaction.update(itemRef, { currentContributions: newContributions, status: newStatus, lastContributionId: contributionId });
+        transaction.update(contributionRef, { amount: value, editedAt: Date.now() });
+      } else {
+        if (value - previous.quantity > remainingQuantity(itemData)) {
+          throw new Error("Not enough quantity remaining!");
+        }
+        const newQuantityClaimed = (itemData.quantityClaimed || 0) - previous.quantity + value;
+        newStatus = quantityStatus(newQuantityClaimed, itemData.quantityNeeded);
+        transaction.update(itemRef, { quantityClaimed: newQuantityClaimed, status: newStatus, lastContributionId: contributionId });
+        transaction.update(contributionRef, { quantity: value, editedAt: Date.now() });
+      }
+      recordStatusChange(transaction, itemRef, itemData, newStatus, previous.contributorName);
+      recordAudit(transaction, actor, {
+        action: 'pledge.updated',
+        itemId,
+        itemName: itemData.itemName,
+        contributorId: previous.userId,
+        contributorName: previous.contributorName,
+        before: isCash ? { amount: previous.amount } : { quantity: previous.quantity },
+        after: isCash ? { amount: value } : { quantity: value },
+      });
+    });
+  };
+
+  // Marks pledged cash contributions as received in one transaction. Each entry names an item
+  // and contribution, or a general fund gift by giftId; the payment method is shared and the
+  // reference is per contribution. Pledges to an earlier cycle of a recurring item, such as a
+  // cheque that came in after the date needed, count toward that cycle's archived totals
+  // rather than the current ones.
+  const markReceived = async (actor, entries, paymentMethod) => {
+    const itemIds = [...new Set(entries.filter(entry => entry.itemId).map(entry => entry.itemId))];
+    // Transactions can't run queries, so the archived cycles are listed first and read again inside
+    const cycleSnapshots = await Promise.all(itemIds.map(itemId => getDocs(cycles(itemId))));
+    const cycleRefsByItem = Object.fromEntries(itemIds.map((itemId, index) => [itemId, cycleSnapshots[index].docs]));
+
+    return runTransaction(db, async (transaction) => {
+      const itemRefs = itemIds.map(itemId => item(itemId));
+      const itemDocs = await Promise.all(itemRefs.map(itemRef => transaction.get(itemRef)));
+      const contributionRefs = entries.map(entry => (
+        entry.itemId ? contribution(entry.itemId, entry.contributionId) : doc(generalFund(), entry.giftId)
+      ));
+      const contributionDocs = await Promise.all(contributionRefs.map(contributionRef => transaction.get(contributionRef)));
+      const counterDoc = await transaction.get(receiptCounter());
+
+      const receivedByItem = {};
+      const earlierCycles = contributionDocs.map((contributionDoc, index) => {
+        const received = contributionDoc.data();
+        if (!contributionDoc.exists() || received.cancelledAt || !received.amount || (received.paymentStatus || 'pledged') !== 'pledged') {
+          throw new Error("Contribution is no longer awaiting payment!");
+        }
+        const { itemId } = entries[index];
+        // General fund gifts count toward no item's totals
+        if (!itemId) return null;
+        const itemDoc = itemDocs.find(candidate => candidate.id === itemId);
+        if (!itemDoc.exists()) {
+          throw new Error("Document does not exist!");
+        }
+        if (isCurrentCycle(received, itemDoc.data())) {
+          receivedByItem[itemId] = roundCents((receivedByItem[itemId] || 0) + received.amount);
+          return null;
+        }
+        const cycleDoc = cycleRefsByItem[itemId].find(candidate => (
+          received.timestamp >= (candidate.data().startedAt || 0) && received.timestamp < candidate.data().closedAt
+        ));
+        if (!cycleDoc) {
+          throw new Error("Contribution belongs to a cycle that was not archived!");
+        }
+        return cycleDoc.ref;
+      });
+      const cycleRefs = [...new Map(earlierCycles.filter(Boolean).map(cycleRef => [cycleRef.path, cycleRef])).values()];
+      const cycleDocs = await Promise.all(cycleRefs.map(cycleRef => transaction.get(cycleRef)));
+
+      const receivedAt = Date.now();
+      itemDocs.forEach((itemDoc, index) => {
+        if (!receivedByItem[itemDoc.id]) return;
+        const itemData = itemDoc.data();
+        const newReceived = roundCents((itemData.receivedContributions || 0) + receivedByItem[itemDoc.id]);
+        const newStatus = cashStatus(itemData.currentContributions || 0, newReceived, itemData.expectedCost);
+        transaction.update(itemRefs[index], { receivedContributions: newReceived, status: newStatus });
+        recordStatusChange(transaction, itemRefs[index], itemData, newStatus, actor.name);
+      });
+      cycleDocs.forEach((cycleDoc, index) => {
+        const cycleData = cycleDoc.data();
+        const amount = contributionDocs
+          .filter((contributionDoc, entryIndex) => earlierCycles[entryIndex]?.path === cycleDoc.ref.path)
+          .reduce((sum, contributionDoc) => sum + contributionDoc.data().amount, 0);
+        const newReceived = roundCents((cycleData.receivedContributions || 0) + amount);
+        transaction.update(cycleRefs[index], {
+          receivedContributions: newReceived,
+          status: cashStatus(cycleData.currentContributions || 0, newReceived, cycleData.expectedCost),
+        });
+      });
+      // Each gift gets the next receipt number, in the order the entries were given
+      let lastReceiptNumber = counterDoc.exists() ? counterDoc.data().lastNumber : 0;
+      contributionDocs.forEach((contributionDoc, index) => {
+        const received = contributionDoc.data();
+        const paymentReference = entries[index].paymentReference?.trim() || null;
+        lastReceiptNumber += 1;
+        transaction.update(contributionRefs[index], {
+          paymentStatus: 'received',
+          paymentMethod,
+          paymentReference,
+          receivedAt,
+          receivedBy: actor.uid,
+          receiptNumber: lastReceiptNumber,
+          receiptIssuedAt: receivedAt,
+        });
+        const { itemId, giftId } = entries[index];
+        recordAudit(transaction, actor, {
+          action: 'payment.received',
+          ...(itemId
+            ? { itemId, itemName: itemDocs.find(itemDoc => itemDoc.id === itemId).data().itemName }
+            : { giftId }),
+          ...(earlierCycles[index] && { cycleId: earlierCycles[index].id }),
+          contributorId: received.userId,
+          contributorName: received.contributorName,
+          amount: received.amount,
+          before: { paymentStatus: 'pledged' },
+          after: { paymentStatus: 'received', paymentMethod, paymentReference, receiptNumber: lastReceiptNumber },
+        });
+      });
+      transaction.set(receiptCounter(), { lastNumber: lastReceiptNumber });
+    });
+  };
+
+  // Numbers received gifts that have no receipt yet, such as ones received before receipts
+  // existed. Each gift is a contribution with its itemId, and the item's name for the audit log.
+  const issueReceipts = (actor, gifts) => runTransaction(db, async (transaction) => {
+    const contributionRefs = gifts.map(gift => contribution(gift.itemId, gift.id));
+    const contributionDocs = await Promise.all(contributionRefs.map(contributionRef => transaction.get(contributionRef)));
+    const counterDoc = await transaction.get(receiptCounter());
+
+    const issuedAt = Date.now();
+    let lastReceiptNumber = counterDoc.exists() ? counterDoc.data().lastNumber : 0;
+    contributionDocs.forEach((contributionDoc, index) => {
+      const gift = contributionDoc.data();
+      if (!contributionDoc.exists() || gift.paymentStatus !== 'received' || gift.receiptNumber) {
+        throw new Error("Contribution can no longer be given a receipt!");
+      }
+      lastReceiptNumber += 1;
+      transaction.update(contributionRefs[index], { receiptNumber: lastReceiptNumber, receiptIssuedAt: issuedAt });
+      recordAudit(transaction, actor, {
+        action: 'receipt.issued',
+        itemId: gifts[index].itemId,
+        itemName: gifts[index].itemName || null,
+        contributorId: gift.userId,
+        contributorName: gift.contributorName,
+        amount: gift.amount,
+        after: { receiptNumber: lastReceiptNumber },
+      });
+    });
+    transaction.set(receiptCounter(), { lastNumber: lastReceiptNumber });
+    return lastReceiptNumber;
+  });
+
+  // Refunds a received contribution, taking it off both the pledged and received totals
+  const refundContribution = (actor, itemId, contributionId) => {
+    const itemRef = item(itemId);
+    const contributionRef = contribution(itemId, contributionId);
+    return runTransaction(db, async (transaction) => {
+      const itemDoc = await transaction.get(itemRef);
+      const contributionDoc = await transaction.get(contributionRef);
+      if (!itemDoc.exists() || !contributionDoc.exists()) {
+        throw new Error("Document does not exist!");
+      }
+      const itemData = itemDoc.data();
+      const previous = contributionDoc.data();
+      if (previous.paymentStatus !== 'received') {
+        throw new Error("Only received contributions can be refunded!");
+      }
+      // Gifts to an earlier cycle of a recurring item no longer count toward the current totals
+      if (isCurrentCycle(previous, itemData)) {
+        const newContributions = Math.max(roundCents((itemData.currentContributions || 0) - previous.amount), 0);
+        const newReceived = Math.max(roundCents((itemData.receivedContributions || 0) - previous.amount), 0);
+        const newStatus = cashStatus(newContributions, newReceived, itemData.expectedCost);
+        const itemUpdate = { currentContributions: newContributions, receivedContributions: newReceived, status: newStatus };
+        if (previous.type === 'sponsorship') {
+          Object.assign(itemUpdate, { contributorId: null, contributorName: null, signUpContributionId: null });
+        }
+        transaction.update(itemRef, itemUpdate);
+        recordStatusChange(transaction, itemRef, itemData, newStatus, actor.name);
+      }
+      transaction.update(contributionRef, { paymentStatus: 'refunded', refundedAt: Date.now(), refundedBy: actor.uid });
+      recordAudit(transaction, actor, {
+        action: 'payment.refunded',
+        itemId,
+        itemName: itemData.itemName,
+        contributorId: previous.userId,
+        contributorName: previous.contributorName,
+        amount: previous.amount,
+        before: { paymentStatus: 'received' },
+        after: { paymentStatus: 'refunded' },
+      });
+    });
+  };
+
+  // Written while still signed in anonymously, so the Google account signed in to next may
+  // claim that UID's pledges
+  const linkAccount = (anonymousUid, email) => setDoc(accountLink(anonymousUid), {
+    email: email ? email.toLowerCase() : null,
+    createdAt: Date.now(),
+  });
+
+  // Settings that follow the member from device to device, such as their language
+  const savePreferences = (uid, changes) => setDoc(preferences(uid), changes, { merge: true });
+
+  // Moves pledges and single sign-ups made under an anonymous UID to the member's Google account.
+  // `pledges` come from findPledges, called before leaving the anonymous account.
+  const migratePledges = async (actor, fromUid, pledges) => {
+    const itemsSnapshot = await getDocs(query(items(), where('contributorId', '==', fromUid)));
+    const updates = pledges
+      .map(pledge => [contribution(pledge.itemId, pledge.id), { userId: actor.uid, migratedFrom: fromUid }]);
+    itemsSnapshot.docs.forEach(itemDoc => updates.push([itemDoc.ref, { contributorId: actor.uid }]));
+
+    for (let start = 0; start < updates.length; start += 499) {
+      const batch = writeBatch(db);
+      updates.slice(start, start + 499).forEach(([ref, data]) => batch.update(ref, data));
+      if (start === 0) {
+        recordAudit(batch, actor, {
+          action: 'pledge.migrated',
+          contributorId: actor.uid,
+          count: updates.length,
+          before: { userId: fromUid },
+          after: { userId: actor.uid },
+        });
+      }
+      await batch.commit();
+    }
+  };
+
+  return {
+    items,
+    item,
+    contributions,
+    cycles,
+    admins,
+    auditLog,
+    generalFund,
+    userGeneralFundGifts,
+    userItemContributions,
+    userContributions,
+    itemContributions,
+    watchContributions,
+    findPledges,
+    preferences,
+    campaigns,
+    claimOwnership,
+    saveAdmin,
+    removeAdmin,
+    createItem,
+    importItems,
+    updateItem,
+    setItemDeleted,
+    createCampaign,
+    updateCampaign,
+    submitPledge,
+    cancelPledge,
+    updatePledge,
+    markReceived,
+    issueReceipts,
+    refundContribution,
+    linkAccount,
+    migratePledges,
+    savePreferences,
+  };
+};
@@ -0,0 +1,446 @@
+// English messages, the default catalog. Every key used in the app must exist here; other
+// catalogs fall back to it for anything they don't translate. Messages with one/other forms
+// are chosen by the `count` parameter.
+export default {
+  app: {
+    title: 'STSM Church Denver - Wishlist',
+    tagline: 'Help STSM Church Denver meet its goals by contributing to the items on our wishlist.',
+    shareText: 'Help STSM Church Denver with {item}',
+  },
+  common: {
+    anonymous: 'Anonymous',
+    cancel: 'Cancel',
+    close: 'Close',
+    edit: 'Edit',
+    loading: 'Loading...',
+    ok: 'OK',
+    save: 'Save',
+    unknownItem: 'Unknown item',
+    you: '(you)',
+  },
+  header: {
+    language: 'Language',
+    myPledges: 'My pledges',
+    userPhoto: 'User Photo',
+    manageAdmins: 'Manage Admins',
+    import: 'Import',
+    export: 'Export',
+    auditLog: 'Audit Log',
+    reconcile: 'Reconcile',
+    dashboard: 'Dashboard',
+    receipts: 'Receipts',
+    claimOwnership: 'Set Me Up as Owner',
+    signIn: 'Sign in with Google',
+    signOut: 'Sign Out',
+    userId: 'Your User ID:',
+    offline: 'You are offline. Pledges you make will be saved and sent when you reconnect.',
+    offlineWaiting: 'You are offline. Pledges you make will be saved and sent when you reconnect ({count} waiting).',
+  },
+  toolbar: {
+    searchPlaceholder: 'Search items or categories',
+    sortLabel: 'Sort: {label}',
+    noMatches: 'No items match your search.',
+    clearFilters: 'Clear filters',
+    empty: 'No items on the wishlist yet. Add one!',
+    startFromSample: 'Start from sample items',
+    addItem: 'Add item',
+  },
+  sort: {
+    status: 'Status',
+    date: 'Date needed (soonest)',
+    'cost-asc': 'Cost (low to high)',
+    'cost-desc': 'Cost (high to low)',
+    'funded-asc': 'Percent funded (least first)',
+    'funded-desc': 'Percent funded (most first)',
+  },
+  status: {
+    Pending: 'Pending',
+    Funding: 'Funding',
+    'Signed Up': 'Signed Up',
+    Completed: 'Completed',
+  },
+  paymentStatus: {
+    pledged: 'Pledged',
+    received: 'Received',
+    refunded: 'Refunded',
+  },
+  paymentMethod: {
+    cash: 'Cash',
+    check: 'Check',
+    card: 'Card',
+    bankTransfer: 'Bank transfer',
+    online: 'Online',
+  },
+  role: {
+    owner: 'Owner',
+    editor: 'Editor',
+    treasurer: 'Treasurer',
+  },
+  recurrence: {
+    none: 'Does not repeat',
+    yearly: 'Yearly',
+    monthly: 'Monthly',
+    dates: 'Custom dates',
+    yearlyBadge: 'Repeats yearly',
+    monthlyBadge: 'Repeats monthly',
+    datesBadge: 'Repeats on set dates',
+  },
+  item: {
+    cost: 'Cost: {amount}',
+    expectedCost: 'Expected Cost: {amount}',
+    neededBy: 'Needed by: {date}',
+    pendingSync: 'Pending sync',
+    cashProgress: '{pledged} pledged, {received} received of {cost}',
+    quantityProgress: '{claimed} of {needed} pledged, {remaining} still needed',
+    needsSponsor: 'Needs a single sponsor',
+    sponsoredBy: 'Sponsored by {name}',
+  },
+  details: {
+    contributors: 'Contributors',
+    yourContributions: 'Your contributions',
+    photo: 'Photo {number} of {total}',
+    showPhoto: 'Show photo {number}',
+    specs: 'Suggested specs',
+    whereToBuy: 'Where to buy',
+    noContributions: 'No contributions yet.',
+    noYourContributions: 'You have not contributed to this item yet.',
+    sponsored: ' sponsored this item for {amount}',
+    contributed: ' contributed {amount}',
+    pledgedQuantity: ' pledged {quantity}',
+    signedUp: ' signed up to buy this item',
+    withdrawnOn: ' (withdrawn {date})',
+    releasedOn: ' (released by an admin {date})',
+    withdraw: 'Withdraw',
+    release: 'Release',
+    history: 'History',
+    cycleRaised: ' · {amount} raised',
+    cyclePledged: ' · {claimed} of {needed} pledged',
+    yourName: 'Your Name',
+    yourContribution: 'Your Contribution ($)',
+    stillNeeded: '{amount} still needed',
+    moreThanNeededOnline: 'That is more than this item needs. Online gifts are limited to the remaining amount.',
+    moreThanNeeded: 'That is more than this item needs. You will be asked where to send the extra.',
+    payOnline: 'Pay now online by card',
+    sponsorshipNote: 'This item is sponsored in full by one donor. You will pledge the whole {amount}.',
+    quantityLabel: 'Quantity (up to {max})',
+    sponsorFor: 'Sponsor for {amount}',
+    continueToPayment: 'Continue to Payment',
+    contribute: 'Contribute',
+    signUpToBuy: 'Sign Up to Buy',
+    withdrawSignUp: 'Withdraw my sign-up',
+    releaseSignUp: 'Release sign-up',
+    recordPayments: 'Record payments received',
+    share: 'Share',
+    deleteItem: 'Delete Item',
+  },
+  itemForm: {
+    addTitle: 'Add New Wishlist Item',
+    editTitle: 'Edit Wishlist Item',
+    itemName: 'Item Name',
+    description: 'Description (optional)',
+    descriptionHint: 'Formatting: **bold**, *italic*, "- " for lists, [text](https://…) for links',
+    photos: 'Photos',
+    photosHint: 'The first photo is shown on the item card.',
+    addPhotos: 'Add photos',
+    uploading: 'Uploading…',
+    photoAlt: 'Photo {number}',
+    moveEarlier: 'Move photo {number} earlier',
+    moveLater: 'Move photo {number} later',
+    removePhoto: 'Remove photo {number}',
+    vendorLinks: 'Where to buy (optional)',
+    linkLabel: 'Store or product',
+    linkUrl: 'https://…',
+    addLink: 'Add link',
+    removeLink: 'Remove link',
+    specs: 'Suggested specs (optional)',
+    specsPlaceholder: 'Size, material, model number…',
+    category: 'Category',
+    expectedCost: 'Expected Cost ($)',
+    contributionType: 'Contribution Type',
+    buyItem: 'Buy Item',
+    cashContribution: 'Cash Contribution',
+    allowPartial: 'Allow partial contributions?',
+    quantityNeeded: 'Quantity Needed (optional)',
+    quantityPlaceholder: 'Leave blank for a single sign-up',
+    dateNeeded: 'Date Needed',
+    recurrence: 'Recurrence',
+    upcomingDates: 'Upcoming Dates',
+    campaign: 'Campaign',
+    noCampaign: 'No campaign',
+    translation: 'In {language} (optional)',
+    translatedName: 'Item name in {language}',
+    translatedDescription: 'Description in {language}',
+    saveChanges: 'Save Changes',
+    addItem: 'Add Item',
+  },
+  itemErrors: {
+    nameRequired: 'Item name is required.',
+    categoryRequired: 'Category is required.',
+    costInvalid: 'Expected cost must be a number of zero or more.',
+    typeInvalid: 'Contribution type must be "item" or "cash".',
+    dateInvalid: 'Date needed must be a date in YYYY-MM-DD format.',
+    quantityInvalid: 'Quantity needed must be a whole number greater than zero.',
+    recurrenceDatesInvalid: 'Custom recurrence dates must be dates in YYYY-MM-DD format.',
+    recurrenceInvalid: 'Recurrence must be yearly, monthly or a list of dates.',
+    tooManyImages: 'An item can have at most 8 photos.',
+    linkInvalid: 'Vendor links must be web addresses starting with http:// or https://.',
+    tooManyLinks: 'An item can have at most 5 vendor links.',
+  },
+  admins: {
+    title: 'Manage Admins',
+    remove: 'Remove',
+    emailOrUserId: 'Email or User ID',
+    role: 'Role',
+    saveAdmin: 'Save Admin',
+  },
+  overflow: {
+    title: 'More Than Needed',
+    prompt: '{item} only needs {remaining} more. Where should the remaining {excess} of your {amount} go?',
+    generalFund: 'The church general fund',
+    otherItem: '{item} ({amount} still needed)',
+    nowhere: 'Nowhere, only give {amount}',
+    contribute: 'Contribute',
+  },
+  reconcile: {
+    title: 'Reconcile Payments',
+    paymentStatus: 'Payment status',
+    item: 'Item',
+    allItems: 'All items',
+    selectAll: 'Select all',
+    select: 'Select {name}',
+    contributor: 'Contributor',
+    amount: 'Amount',
+    date: 'Date',
+    reference: 'Reference',
+    payment: 'Payment',
+    referencePlaceholder: 'Check no., receipt...',
+    refund: 'Refund',
+    earlierCycle: 'Earlier cycle',
+    generalFund: 'General fund',
+    empty: 'No contributions with the status "{status}".',
+    paymentMethod: 'Payment method',
+    markReceived: 'Mark received',
+    markCountReceived: 'Mark {count} received',
+  },
+  audit: {
+    title: 'Audit Log',
+    deletedItems: 'Deleted items',
+    deletedOn: 'deleted {date}',
+    restore: 'Restore',
+    filterByItem: 'Filter by item',
+    allItems: 'All items',
+    filterByPerson: 'Filter by person',
+    everyone: 'Everyone',
+    noItem: 'No item',
+    by: ' · by {name}',
+    for: ' for {name}',
+    quantity: ' · {quantity} pledged',
+    empty: 'No audit entries match.',
+  },
+  myPledges: {
+    title: 'My Pledges',
+    itemRemoved: 'Item removed',
+    withdrawn: 'Withdrawn',
+    released: 'Released by an admin',
+    earlierCycle: 'Earlier cycle',
+    quantity: '{quantity} pledged',
+    signedUp: 'Signed up to buy',
+    receipt: 'Receipt {number}',
+    statement: 'Download {year} giving statement',
+    cancelPledge: 'Cancel pledge',
+    empty: 'You have not made any pledges yet.',
+  },
+  receipts: {
+    title: 'Receipts & Statements',
+    year: 'Year',
+    loading: 'Loading gifts...',
+    none: 'No gifts were received in {year}.',
+    summary: {
+      one: '{count} receipt totalling {amount}',
+      other: '{count} receipts totalling {amount}',
+    },
+    contributors: {
+      one: 'Statement for {count} contributor',
+      other: 'Statements for {count} contributors',
+    },
+    downloadReceipts: 'Download receipts (PDF)',
+    downloadStatements: 'Download statements (PDF)',
+    unnumbered: {
+      one: '{count} received gift has no receipt number yet.',
+      other: '{count} received gifts have no receipt number yet.',
+    },
+    issue: 'Issue receipt numbers',
+    issuing: 'Issuing...',
+    englishOnly: 'Receipts are printed in English. Names written in Malayalam are spelled out in English letters; check them before sending.',
+  },
+  import: {
+    title: 'Import Items',
+    columnsHelp: 'Columns: Item Name, Category, Cost, Type (item or cash), Date Needed (YYYY-MM-DD), Partial Allowed (yes/no) and optionally Quantity.',
+    pastePlaceholder: 'Or paste CSV here',
+    missingColumns: 'Missing column(s): {columns}',
+    line: 'Line',
+    item: 'Item',
+    cost: 'Cost',
+    type: 'Type',
+    needed: 'Needed',
+    partial: ' (partial)',
+    importing: 'Importing...',
+    importCount: {
+      one: 'Import {count} item',
+      other: 'Import {count} items',
+    },
+  },
+  export: {
+    title: 'Export Contributions',
+    from: 'From',
+    to: 'To',
+    categories: 'Categories (all if none selected)',
+    format: 'Format',
+    csv: 'CSV (contributions and item summary files)',
+    xls: 'Excel workbook (one sheet each)',
+    exporting: 'Exporting...',
+    export: 'Export',
+  },
+  campaigns: {
+    allItems: 'All items',
+    archive: 'Archived campaigns',
+    newCampaign: 'New campaign',
+    edit: 'Edit campaign',
+    dates: '{start} – {end}',
+    startsOn: 'Starts {date}',
+    closed: 'Closed',
+    progress: '{pledged} pledged of the {goal} goal ({percent}%)',
+    itemCount: {
+      one: '{count} item',
+      other: '{count} items',
+    },
+    noItems: 'No items in this campaign yet.',
+  },
+  campaignForm: {
+    addTitle: 'New Campaign',
+    editTitle: 'Edit Campaign',
+    name: 'Name',
+    description: 'Description (optional)',
+    startDate: 'Start date',
+    endDate: 'End date',
+    goal: 'Goal ($)',
+    save: 'Save Campaign',
+  },
+  campaignErrors: {
+    nameRequired: 'Campaign name is required.',
+    datesInvalid: 'Start and end dates must be dates in YYYY-MM-DD format.',
+    endBeforeStart: 'The end date cannot be before the start date.',
+    goalInvalid: 'The goal must be an amount greater than zero.',
+  },
+  dashboard: {
+    title: 'Dashboard',
+    needed: 'Needed',
+    pledged: 'Pledged',
+    received: 'Received',
+    outstanding: 'Still needed',
+    contributors: 'Contributors',
+    pledgedOfNeeded: '{pledged} pledged of {needed} ({percent}%)',
+    byCategory: 'By category',
+    byType: 'By contribution type',
+    group: 'Group',
+    items: 'Items',
+    noCategory: 'No category',
+    weekly: 'Pledges per week',
+    weekBar: 'Week of {date}: {count} pledges, {amount}',
+    overdue: 'Overdue items',
+    noOverdue: 'Nothing is overdue.',
+    overdueItem: 'needed {date} · {percent}% pledged',
+    loading: 'Loading contributions...',
+  },
+  kiosk: {
+    raised: '{raised} raised of {goal}',
+    allDone: 'Every item on the wishlist has been taken care of. Thank you!',
+    remainingOf: '{remaining} still needed of {cost}',
+    quantityRemaining: '{remaining} of {needed} still needed',
+    position: '{index} of {count} items still open',
+    qrAlt: 'QR code for {item}',
+    scanToGive: 'Scan to give',
+  },
+  alerts: {
+    loadFailed: 'Failed to load wishlist. Please try again.',
+    itemGone: 'That item is no longer on the wishlist.',
+    paymentSucceeded: 'Thank you for giving online! Your gift will appear on the item as soon as the payment is confirmed.',
+    paymentCancelled: 'Your online payment was cancelled. Nothing has been charged.',
+    pledgesNotMoved: 'You are signed in, but your earlier pledges could not be moved to your account.',
+    ownerClaimed: 'You are now the owner of this wishlist.',
+    ownerClaimFailed: 'Failed to set you up as owner. Please try again.',
+    ownersOnly: 'Only an owner can manage admins.',
+    adminFieldsRequired: 'Please enter an email or user ID and choose a role.',
+    keepOneOwner: 'The wishlist must keep at least one owner.',
+    adminSaveFailed: 'Failed to save admin. Please try again.',
+    adminRemoveFailed: 'Failed to remove admin. Please try again.',
+    noItemPermission: 'You do not have permission to add or edit an item.',
+    quantityBelowPledged: '{count} have already been pledged, so the quantity needed cannot be lower.',
+    itemUpdated: 'Item updated successfully!',
+    itemUpdateFailed: 'Failed to update item. Please try again.',
+    itemAdded: 'Item added successfully!',
+    itemAddFailed: 'Failed to add item. Please try again.',
+    pledgeQueued: 'You are offline. Your pledge has been saved on this device and will be sent when you are back online.',
+    queuedPledgesFailed: 'Some pledges made while offline could not be completed: {items}. The items may no longer be available.',
+    queuedPledgesReduced: 'Some items needed less by the time your offline pledges were sent, so only the remaining balance was recorded: {items}.',
+    invalidQuantity: 'Please enter a valid quantity.',
+    invalidAmount: 'Please enter a valid contribution amount.',
+    quantityThanks: 'Thank you for pledging {quantity}!',
+    quantityFailed: 'An error occurred. Someone may have pledged the remaining quantity first. Please try again.',
+    signUpThanks: 'You have successfully signed up for this item!',
+    contributionThanks: 'Thank you for your contribution!',
+    contributionFailed: 'An error occurred during your contribution. Please try again.',
+    sponsorThanks: 'Thank you for sponsoring this item! An admin will mark it completed once your gift is received.',
+    sponsorFailed: 'An error occurred. Someone may have sponsored this item first. Please try again.',
+    genericError: 'An error occurred. Please try again.',
+    onlineLimit: 'This item only needs {amount} more, so you can give up to that amount online.',
+    onlineUnavailable: 'Online giving is not available right now. Please try again later.',
+    alreadyFunded: 'This item is already fully funded. Thank you!',
+    contributionNotRecorded: 'An error occurred. Your contribution to {items} was not recorded. Please try again.',
+    noCancelPermission: 'You do not have permission to cancel this pledge.',
+    pledgeWithdrawn: 'Your pledge has been withdrawn.',
+    pledgeReleased: 'The pledge has been released.',
+    ownPledgesOnly: 'You can only edit your own pledges.',
+    sponsorshipFixed: 'A sponsorship always covers the full cost. Cancel it instead if your plans have changed.',
+    pledgeUpdated: 'Your pledge has been updated.',
+    pledgeUpdateFailed: 'Your pledge could not be updated. The item may be fully pledged or closed.',
+    noReconcilePermission: 'You do not have permission to reconcile payments.',
+    markedReceived: {
+      one: '{count} contribution marked as received.',
+      other: '{count} contributions marked as received.',
+    },
+    markReceivedFailed: 'An error occurred. Someone may have updated these contributions first. Please try again.',
+    refunded: 'The contribution has been marked as refunded.',
+    noDeletePermission: 'You do not have permission to delete this item.',
+    itemDeleted: 'Item successfully deleted!',
+    itemDeleteFailed: 'An error occurred while deleting the item.',
+    noRestorePermission: 'You do not have permission to restore this item.',
+    itemRestored: '{item} has been restored.',
+    itemRestoreFailed: 'An error occurred while restoring the item.',
+    noImportPermission: 'You do not have permission to import items.',
+    noValidRows: 'There are no valid rows to import.',
+    importLimit: 'Please import at most 250 items at a time.',
+    imported: {
+      one: '{count} item imported successfully!',
+      other: '{count} items imported successfully!',
+    },
+    importFailed: 'Failed to import items. Please try again.',
+    noExportPermission: 'You do not have permission to export contributions.',
+    exportFailed: 'Failed to export contributions. Please try again.',
+    noReceiptPermission: 'You do not have permission to issue receipts.',
+    receiptsIssued: {
+      one: '{count} receipt number issued.',
+      other: '{count} receipt numbers issued.',
+    },
+    receiptsIssueFailed: 'Failed to issue receipt numbers. Please try again.',
+    pdfFailed: 'Failed to create the PDF. Please try again.',
+    linkCopied: 'Link copied. Paste it anywhere to share this item.',
+    shareFailed: 'Could not share automatically. Here is the link: {url}',
+    noCampaignPermission: 'You do not have permission to add or edit a campaign.',
+    campaignSaved: 'Campaign saved successfully!',
+    campaignSaveFailed: 'Failed to save the campaign. Please try again.',
+    campaignGone: 'That campaign could not be found.',
+    imageTooLarge: 'Photos must be image files of 5 MB or less.',
+    imageUploadFailed: 'Failed to upload the photo. Please try again.',
+  },
+};
@@ -0,0 +1,75 @@
+import { createContext, useContext } from 'react';
+import en from './en.js';
+import ml from './ml.js';
+
+// Languages the interface is translated into. The first is the default and the fallback for
+// messages another catalog leaves out. Mirrored by the userPreferences rule in firestore.rules.
+export const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US', messages: en },
+  ml: { label: 'മലയാളം', locale: 'ml-IN', messages: ml },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Amounts are always in the church's currency, whatever the language
+const CURRENCY = 'USD';
+
+const LANGUAGE_KEY = 'wishlist-language';
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// Dates needed are YYYY-MM-DD strings meant in local time; everything else is a timestamp
+const toDate = (value) => (
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value)
+);
+
+// Message lookup and number/date formatting for one language
+export const createTranslator = (language) => {
+  const { locale, messages } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const pluralRules = new Intl.PluralRules(locale);
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency: CURRENCY });
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' });
+  const shortDateFormat = new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric' });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+  const listFormat = new Intl.ListFormat(locale, { type: 'conjunction' });
+
+  // Finds a message by its dotted key, picks the plural form for params.count when the message
+  // has several, and fills in its {placeholders}
+  const t = (key, params = {}) => {
+    let message = lookup(messages, key) ?? lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key);
+    if (message && typeof message === 'object') {
+      message = message[pluralRules.select(params.count)] ?? message.other;
+    }
+    if (typeof message !== 'string') {
+      console.error(`Missing message: ${key}`);
+      return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => String(params[name] ?? placeholder));
+  };
+
+  return {
+    language: LANGUAGES[language] ? language : DEFAULT_LANGUAGE,
+    t,
+    formatCurrency: (amount) => currencyFormat.format(amount || 0),
+    formatDate: (value) => dateFormat.format(toDate(value)),
+    formatShortDate: (value) => shortDateFormat.format(toDate(value)),
+    formatDateTime: (value) => dateTimeFormat.format(toDate(value)),
+    formatList: (values) => listFormat.format(values),
+  };
+};
+
+export const I18nContext = createContext(createTranslator(DEFAULT_LANGUAGE));
+
+export const useI18n = () => useContext(I18nContext);
+
+// The language chosen on this device, or the browser's own when it is one we have
+export const readStoredLanguage = () => {
+  const stored = localStorage.getItem(LANGUAGE_KEY);
+  if (LANGUAGES[stored]) return stored;
+  const preferred = (navigator.languages || [navigator.language]).map(tag => (tag || '').split('-')[0]);
+  return preferred.find(language => LANGUAGES[language]) || DEFAULT_LANGUAGE;
+};
+
+export const storeLanguage = (language) => {
+  localStorage.setItem(LANGUAGE_KEY, language);
+};
@@ -0,0 +1,444 @@
+// Malayalam messages. Keys missing here fall back to the English catalog.
+export default {
+  app: {
+    title: 'STSM ചർച്ച് ഡെൻവർ - വിഷ്‌ലിസ്റ്റ്',
+    tagline: 'ഞങ്ങളുടെ വിഷ്‌ലിസ്റ്റിലെ ഇനങ്ങൾക്ക് സംഭാവന നൽകി STSM ചർച്ച് ഡെൻവറിന്റെ ലക്ഷ്യങ്ങൾ നേടാൻ സഹായിക്കൂ.',
+    shareText: '{item} എന്ന ആവശ്യത്തിൽ STSM ചർച്ച് ഡെൻവറിനെ സഹായിക്കൂ',
+  },
+  common: {
+    anonymous: 'അജ്ഞാതം',
+    cancel: 'റദ്ദാക്കുക',
+    close: 'അടയ്ക്കുക',
+    edit: 'തിരുത്തുക',
+    loading: 'ലോഡ് ചെയ്യുന്നു...',
+    ok: 'ശരി',
+    save: 'സേവ് ചെയ്യുക',
+    unknownItem: 'അറിയാത്ത ഇനം',
+    you: '(നിങ്ങൾ)',
+  },
+  header: {
+    language: 'ഭാഷ',
+    myPledges: 'എന്റെ വാഗ്ദാനങ്ങൾ',
+    userPhoto: 'ഉപയോക്താവിന്റെ ഫോട്ടോ',
+    manageAdmins: 'അഡ്മിൻമാരെ നിയന്ത്രിക്കുക',
+    import: 'ഇംപോർട്ട്',
+    export: 'എക്സ്പോർട്ട്',
+    auditLog: 'ഓഡിറ്റ് ലോഗ്',
+    reconcile: 'കണക്ക് ഒത്തുനോക്കുക',
+    dashboard: 'ഡാഷ്ബോർഡ്',
+    receipts: 'രസീതുകൾ',
+    claimOwnership: 'എന്നെ ഉടമയായി സജ്ജമാക്കുക',
+    signIn: 'Google ഉപയോഗിച്ച് സൈൻ ഇൻ ചെയ്യുക',
+    signOut: 'സൈൻ ഔട്ട്',
+    userId: 'നിങ്ങളുടെ യൂസർ ഐഡി:',
+    offline: 'നിങ്ങൾ ഓഫ്‌ലൈനാണ്. നിങ്ങൾ നൽകുന്ന വാഗ്ദാനങ്ങൾ സൂക്ഷിച്ചുവെച്ച് വീണ്ടും കണക്റ്റ് ചെയ്യുമ്പോൾ അയയ്ക്കും.',
+    offlineWaiting: 'നിങ്ങൾ ഓഫ്‌ലൈനാണ്. നിങ്ങൾ നൽകുന്ന വാഗ്ദാനങ്ങൾ സൂക്ഷിച്ചുവെച്ച് വീണ്ടും കണക്റ്റ് ചെയ്യുമ്പോൾ അയയ്ക്കും ({count} എണ്ണം കാത്തിരിക്കുന്നു).',
+  },
+  toolbar: {
+    searchPlaceholder: 'ഇനങ്ങളോ വിഭാഗങ്ങളോ തിരയുക',
+    sortLabel: 'ക്രമം: {label}',
+    noMatches: 'നിങ്ങളുടെ തിരച്ചിലിന് യോജിക്കുന്ന ഇനങ്ങളൊന്നുമില്ല.',
+    clearFilters: 'ഫിൽട്ടറുകൾ മായ്ക്കുക',
+    empty: 'വിഷ്‌ലിസ്റ്റിൽ ഇതുവരെ ഇനങ്ങളൊന്നുമില്ല. ഒന്ന് ചേർക്കൂ!',
+    startFromSample: 'മാതൃകാ ഇനങ്ങളിൽ നിന്ന് തുടങ്ങുക',
+    addItem: 'ഇനം ചേർക്കുക',
+  },
+  sort: {
+    status: 'സ്ഥിതി',
+    date: 'ആവശ്യമുള്ള തീയതി (അടുത്തത് ആദ്യം)',
+    'cost-asc': 'വില (കുറഞ്ഞത് ആദ്യം)',
+    'cost-desc': 'വില (കൂടിയത് ആദ്യം)',
+    'funded-asc': 'ലഭിച്ച ശതമാനം (കുറഞ്ഞത് ആദ്യം)',
+    'funded-desc': 'ലഭിച്ച ശതമാനം (കൂടിയത് ആദ്യം)',
+  },
+  status: {
+    Pending: 'ആവശ്യമുണ്ട്',
+    Funding: 'ധനസമാഹരണം',
+    'Signed Up': 'ഏറ്റെടുത്തു',
+    Completed: 'പൂർത്തിയായി',
+  },
+  paymentStatus: {
+    pledged: 'വാഗ്ദാനം ചെയ്തത്',
+    received: 'ലഭിച്ചത്',
+    refunded: 'തിരികെ നൽകിയത്',
+  },
+  paymentMethod: {
+    cash: 'പണം',
+    check: 'ചെക്ക്',
+    card: 'കാർഡ്',
+    bankTransfer: 'ബാങ്ക് ട്രാൻസ്ഫർ',
+    online: 'ഓൺലൈൻ',
+  },
+  role: {
+    owner: 'ഉടമ',
+    editor: 'എഡിറ്റർ',
+    treasurer: 'ട്രഷറർ',
+  },
+  recurrence: {
+    none: 'ആവർത്തിക്കുന്നില്ല',
+    yearly: 'എല്ലാ വർഷവും',
+    monthly: 'എല്ലാ മാസവും',
+    dates: 'നിശ്ചിത തീയതികളിൽ',
+    yearlyBadge: 'എല്ലാ വർഷവും ആവർത്തിക്കുന്നു',
+    monthlyBadge: 'എല്ലാ മാസവും ആവർത്തിക്കുന്നു',
+    datesBadge: 'നിശ്ചിത തീയതികളിൽ ആവർത്തിക്കുന്നു',
+  },
+  item: {
+    cost: 'വില: {amount}',
+    expectedCost: 'പ്രതീക്ഷിക്കുന്ന ചെലവ്: {amount}',
+    neededBy: 'ആവശ്യമുള്ള തീയതി: {date}',
+    pendingSync: 'അയയ്ക്കാനുണ്ട്',
+    cashProgress: '{cost}-ൽ {pledged} വാഗ്ദാനം, {received} ലഭിച്ചു',
+    quantityProgress: '{needed}-ൽ {claimed} വാഗ്ദാനം ചെയ്തു, ഇനി {remaining} വേണം',
+    needsSponsor: 'ഒരു സ്പോൺസറെ ആവശ്യമുണ്ട്',
+    sponsoredBy: '{name} സ്പോൺസർ ചെയ്തു',
+  },
+  details: {
+    contributors: 'സംഭാവന നൽകിയവർ',
+    yourContributions: 'നിങ്ങളുടെ സംഭാവനകൾ',
+    photo: 'ഫോട്ടോ {number} / {total}',
+    showPhoto: 'ഫോട്ടോ {number} കാണിക്കുക',
+    specs: 'നിർദ്ദേശിക്കുന്ന വിശദാംശങ്ങൾ',
+    whereToBuy: 'എവിടെ വാങ്ങാം',
+    noContributions: 'ഇതുവരെ സംഭാവനകളൊന്നുമില്ല.',
+    noYourContributions: 'നിങ്ങൾ ഇതുവരെ ഈ ഇനത്തിന് സംഭാവന നൽകിയിട്ടില്ല.',
+    sponsored: ' ഈ ഇനം {amount}-ന് സ്പോൺസർ ചെയ്തു',
+    contributed: ' {amount} സംഭാവന നൽകി',
+    pledgedQuantity: ' {quantity} എണ്ണം വാഗ്ദാനം ചെയ്തു',
+    signedUp: ' ഈ ഇനം വാങ്ങാൻ ഏറ്റെടുത്തു',
+    withdrawnOn: ' ({date}-ന് പിൻവലിച്ചു)',
+    releasedOn: ' ({date}-ന് ഒരു അഡ്മിൻ ഒഴിവാക്കി)',
+    withdraw: 'പിൻവലിക്കുക',
+    release: 'ഒഴിവാക്കുക',
+    history: 'ചരിത്രം',
+    cycleRaised: ' · {amount} ലഭിച്ചു',
+    cyclePledged: ' · {needed}-ൽ {claimed} വാഗ്ദാനം ചെയ്തു',
+    yourName: 'നിങ്ങളുടെ പേര്',
+    yourContribution: 'നിങ്ങളുടെ സംഭാവന ($)',
+    stillNeeded: 'ഇനി {amount} വേണം',
+    moreThanNeededOnline: 'ഇത് ഈ ഇനത്തിന് ആവശ്യമുള്ളതിലും കൂടുതലാണ്. ഓൺലൈൻ സംഭാവനകൾ ബാക്കിയുള്ള തുക വരെ മാത്രം.',
+    moreThanNeeded: 'ഇത് ഈ ഇനത്തിന് ആവശ്യമുള്ളതിലും കൂടുതലാണ്. അധിക തുക എവിടേക്ക് നൽകണമെന്ന് ചോദിക്കും.',
+    payOnline: 'ഇപ്പോൾ കാർഡ് വഴി ഓൺലൈനായി പണമടയ്ക്കുക',
+    sponsorshipNote: 'ഈ ഇനം ഒരാൾ പൂർണ്ണമായി സ്പോൺസർ ചെയ്യുന്നതാണ്. നിങ്ങൾ മുഴുവൻ തുകയായ {amount} വാഗ്ദാനം ചെയ്യും.',
+    quantityLabel: 'എണ്ണം ({max} വരെ)',
+    sponsorFor: '{amount}-ന് സ്പോൺസർ ചെയ്യുക',
+    continueToPayment: 'പണമടയ്ക്കാൻ തുടരുക',
+    contribute: 'സംഭാവന നൽകുക',
+    signUpToBuy: 'വാങ്ങാൻ ഏറ്റെടുക്കുക',
+    withdrawSignUp: 'എന്റെ ഏറ്റെടുക്കൽ പിൻവലിക്കുക',
+    releaseSignUp: 'ഏറ്റെടുക്കൽ ഒഴിവാക്കുക',
+    recordPayments: 'ലഭിച്ച പണം രേഖപ്പെടുത്തുക',
+    share: 'പങ്കിടുക',
+    deleteItem: 'ഇനം നീക്കം ചെയ്യുക',
+  },
+  itemForm: {
+    addTitle: 'പുതിയ ഇനം ചേർക്കുക',
+    editTitle: 'ഇനം തിരുത്തുക',
+    itemName: 'ഇനത്തിന്റെ പേര്',
+    description: 'വിവരണം (നിർബന്ധമില്ല)',
+    descriptionHint: 'ഫോർമാറ്റിംഗ്: **കടുപ്പം**, *ചരിവ്*, പട്ടികകൾക്ക് "- ", ലിങ്കുകൾക്ക് [വാചകം](https://…)',
+    photos: 'ഫോട്ടോകൾ',
+    photosHint: 'ആദ്യ ഫോട്ടോ ഇനത്തിന്റെ കാർഡിൽ കാണിക്കും.',
+    addPhotos: 'ഫോട്ടോകൾ ചേർക്കുക',
+    uploading: 'അപ്‌ലോഡ് ചെയ്യുന്നു…',
+    photoAlt: 'ഫോട്ടോ {number}',
+    moveEarlier: 'ഫോട്ടോ {number} മുന്നോട്ട് നീക്കുക',
+    moveLater: 'ഫോട്ടോ {number} പിന്നോട്ട് നീക്കുക',
+    removePhoto: 'ഫോട്ടോ {number} നീക്കം ചെയ്യുക',
+    vendorLinks: 'എവിടെ വാങ്ങാം (നിർബന്ധമില്ല)',
+    linkLabel: 'കട അല്ലെങ്കിൽ ഉൽപ്പന്നം',
+    linkUrl: 'https://…',
+    addLink: 'ലിങ്ക് ചേർക്കുക',
+    removeLink: 'ലിങ്ക് നീക്കം ചെയ്യുക',
+    specs: 'നിർദ്ദേശിക്കുന്ന വിശദാംശങ്ങൾ (നിർബന്ധമില്ല)',
+    specsPlaceholder: 'വലുപ്പം, മെറ്റീരിയൽ, മോഡൽ നമ്പർ…',
+    category: 'വിഭാഗം',
+    expectedCost: 'പ്രതീക്ഷിക്കുന്ന ചെലവ് ($)',
+    contributionType: 'സംഭാവനയുടെ തരം',
+    buyItem: 'ഇനം വാങ്ങുക',
+    cashContribution: 'പണമായി സംഭാവന',
+    allowPartial: 'ഭാഗിക സംഭാവനകൾ അനുവദിക്കണോ?',
+    quantityNeeded: 'ആവശ്യമുള്ള എണ്ണം (നിർബന്ധമില്ല)',
+    quantityPlaceholder: 'ഒരാൾ മാത്രം ഏറ്റെടുക്കാൻ ശൂന്യമായി വിടുക',
+    dateNeeded: 'ആവശ്യമുള്ള തീയതി',
+    recurrence: 'ആവർത്തനം',
+    upcomingDates: 'വരാനിരിക്കുന്ന തീയതികൾ',
+    campaign: 'ക്യാമ്പെയ്‌ൻ',
+    noCampaign: 'ക്യാമ്പെയ്‌ൻ ഇല്ല',
+    translation: '{language} (നിർബന്ധമില്ല)',
+    translatedName: 'ഇനത്തിന്റെ പേര് {language}-ൽ',
+    translatedDescription: 'വിവരണം {language}-ൽ',
+    saveChanges: 'മാറ്റങ്ങൾ സേവ് ചെയ്യുക',
+    addItem: 'ഇനം ചേർക്കുക',
+  },
+  itemErrors: {
+    nameRequired: 'ഇനത്തിന്റെ പേര് ആവശ്യമാണ്.',
+    categoryRequired: 'വിഭാഗം ആവശ്യമാണ്.',
+    costInvalid: 'പ്രതീക്ഷിക്കുന്ന ചെലവ് പൂജ്യമോ അതിൽ കൂടുതലോ ആയ ഒരു സംഖ്യയായിരിക്കണം.',
+    typeInvalid: 'സംഭാവനയുടെ തരം "item" അല്ലെങ്കിൽ "cash" ആയിരിക്കണം.',
+    dateInvalid: 'ആവശ്യമുള്ള തീയതി YYYY-MM-DD രൂപത്തിലായിരിക്കണം.',
+    quantityInvalid: 'ആവശ്യമുള്ള എണ്ണം പൂജ്യത്തേക്കാൾ വലിയ ഒരു പൂർണ്ണസംഖ്യയായിരിക്കണം.',
+    recurrenceDatesInvalid: 'ആവർത്തന തീയതികൾ YYYY-MM-DD രൂപത്തിലായിരിക്കണം.',
+    recurrenceInvalid: 'ആവർത്തനം വർഷംതോറും, മാസംതോറും അല്ലെങ്കിൽ തീയതികളുടെ പട്ടിക ആയിരിക്കണം.',
+    tooManyImages: 'ഒരു ഇനത്തിന് പരമാവധി 8 ഫോട്ടോകൾ മാത്രം.',
+    linkInvalid: 'വിൽപ്പനക്കാരുടെ ലിങ്കുകൾ http:// അല്ലെങ്കിൽ https:// എന്നതിൽ തുടങ്ങുന്ന വെബ് വിലാസങ്ങൾ ആയിരിക്കണം.',
+    tooManyLinks: 'ഒരു ഇനത്തിന് പരമാവധി 5 ലിങ്കുകൾ മാത്രം.',
+  },
+  admins: {
+    title: 'അഡ്മിൻമാരെ നിയന്ത്രിക്കുക',
+    remove: 'നീക്കം ചെയ്യുക',
+    emailOrUserId: 'ഇമെയിൽ അല്ലെങ്കിൽ യൂസർ ഐഡി',
+    role: 'ചുമതല',
+    saveAdmin: 'അഡ്മിനെ സേവ് ചെയ്യുക',
+  },
+  overflow: {
+    title: 'ആവശ്യത്തിലും കൂടുതൽ',
+    prompt: '{item}-ന് ഇനി {remaining} മാത്രമേ വേണ്ടൂ. നിങ്ങളുടെ {amount}-ൽ ബാക്കിയുള്ള {excess} എവിടേക്ക് നൽകണം?',
+    generalFund: 'പള്ളിയുടെ പൊതു ഫണ്ട്',
+    otherItem: '{item} (ഇനി {amount} വേണം)',
+    nowhere: 'മറ്റൊന്നിനുമില്ല, {amount} മാത്രം നൽകുക',
+    contribute: 'സംഭാവന നൽകുക',
+  },
+  reconcile: {
+    title: 'പണമിടപാടുകൾ ഒത്തുനോക്കുക',
+    paymentStatus: 'പണമടയ്ക്കൽ സ്ഥിതി',
+    item: 'ഇനം',
+    allItems: 'എല്ലാ ഇനങ്ങളും',
+    selectAll: 'എല്ലാം തിരഞ്ഞെടുക്കുക',
+    select: '{name} തിരഞ്ഞെടുക്കുക',
+    contributor: 'സംഭാവന നൽകിയയാൾ',
+    amount: 'തുക',
+    date: 'തീയതി',
+    reference: 'റഫറൻസ്',
+    payment: 'പണമടയ്ക്കൽ',
+    referencePlaceholder: 'ചെക്ക് നമ്പർ, രസീത്...',
+    refund: 'തിരികെ നൽകുക',
+    earlierCycle: 'മുൻ ചക്രം',
+    generalFund: 'പൊതു ഫണ്ട്',
+    empty: '"{status}" എന്ന സ്ഥിതിയിൽ സംഭാവനകളൊന്നുമില്ല.',
+    paymentMethod: 'പണമടയ്ക്കൽ രീതി',
+    markReceived: 'ലഭിച്ചതായി രേഖപ്പെടുത്തുക',
+    markCountReceived: '{count} എണ്ണം ലഭിച്ചതായി രേഖപ്പെടുത്തുക',
+  },
+  audit: {
+    title: 'ഓഡിറ്റ് ലോഗ്',
+    deletedItems: 'നീക്കം ചെയ്ത ഇനങ്ങൾ',
+    deletedOn: '{date}-ന് നീക്കം ചെയ്തു',
+    restore: 'പുനഃസ്ഥാപിക്കുക',
+    filterByItem: 'ഇനം അനുസരിച്ച് ഫിൽട്ടർ ചെയ്യുക',
+    allItems: 'എല്ലാ ഇനങ്ങളും',
+    filterByPerson: 'വ്യക്തി അനുസരിച്ച് ഫിൽട്ടർ ചെയ്യുക',
+    everyone: 'എല്ലാവരും',
+    noItem: 'ഇനമില്ല',
+    by: ' · {name} ചെയ്തത്',
+    for: ' ({name}-നു വേണ്ടി)',
+    quantity: ' · {quantity} എണ്ണം വാഗ്ദാനം',
+    empty: 'യോജിക്കുന്ന ഓഡിറ്റ് രേഖകളൊന്നുമില്ല.',
+  },
+  myPledges: {
+    title: 'എന്റെ വാഗ്ദാനങ്ങൾ',
+    itemRemoved: 'ഇനം നീക്കം ചെയ്തു',
+    withdrawn: 'പിൻവലിച്ചു',
+    released: 'ഒരു അഡ്മിൻ ഒഴിവാക്കി',
+    earlierCycle: 'മുൻ ഘട്ടം',
+    quantity: '{quantity} എണ്ണം വാഗ്ദാനം ചെയ്തു',
+    signedUp: 'വാങ്ങാൻ ഏറ്റെടുത്തു',
+    receipt: 'രസീത് {number}',
+    statement: '{year}-ലെ സംഭാവന സ്റ്റേറ്റ്മെന്റ് ഡൗൺലോഡ് ചെയ്യുക',
+    cancelPledge: 'വാഗ്ദാനം റദ്ദാക്കുക',
+    empty: 'നിങ്ങൾ ഇതുവരെ വാഗ്ദാനങ്ങളൊന്നും നൽകിയിട്ടില്ല.',
+  },
+  receipts: {
+    title: 'രസീതുകളും വാർഷിക സ്റ്റേറ്റ്മെന്റുകളും',
+    year: 'വർഷം',
+    loading: 'സംഭാവനകൾ ലോഡ് ചെയ്യുന്നു...',
+    none: '{year}-ൽ സംഭാവനകളൊന്നും ലഭിച്ചിട്ടില്ല.',
+    summary: {
+      one: 'ആകെ {amount} വരുന്ന {count} രസീത്',
+      other: 'ആകെ {amount} വരുന്ന {count} രസീതുകൾ',
+    },
+    contributors: {
+      one: '{count} സംഭാവകനുള്ള സ്റ്റേറ്റ്മെന്റ്',
+      other: '{count} സംഭാവകർക്കുള്ള സ്റ്റേറ്റ്മെന്റുകൾ',
+    },
+    downloadReceipts: 'രസീതുകൾ ഡൗൺലോഡ് ചെയ്യുക (PDF)',
+    downloadStatements: 'സ്റ്റേറ്റ്മെന്റുകൾ ഡൗൺലോഡ് ചെയ്യുക (PDF)',
+    unnumbered: {
+      one: 'ലഭിച്ച {count} സംഭാവനയ്ക്ക് ഇതുവരെ രസീത് നമ്പർ ഇല്ല.',
+      other: 'ലഭിച്ച {count} സംഭാവനകൾക്ക് ഇതുവരെ രസീത് നമ്പർ ഇല്ല.',
+    },
+    issue: 'രസീത് നമ്പറുകൾ നൽകുക',
+    issuing: 'നൽകുന്നു...',
+    englishOnly: 'രസീതുകൾ ഇംഗ്ലീഷിലാണ് അച്ചടിക്കുന്നത്. മലയാളത്തിലുള്ള പേരുകൾ ഇംഗ്ലീഷ് അക്ഷരങ്ങളിൽ എഴുതും; അയയ്ക്കുന്നതിന് മുമ്പ് പരിശോധിക്കുക.',
+  },
+  import: {
+    title: 'ഇനങ്ങൾ ഇംപോർട്ട് ചെയ്യുക',
+    columnsHelp: 'കോളങ്ങൾ: Item Name, Category, Cost, Type (item അല്ലെങ്കിൽ cash), Date Needed (YYYY-MM-DD), Partial Allowed (yes/no), ആവശ്യമെങ്കിൽ Quantity.',
+    pastePlaceholder: 'അല്ലെങ്കിൽ CSV ഇവിടെ പേസ്റ്റ് ചെയ്യുക',
+    missingColumns: 'ഇല്ലാത്ത കോളങ്ങൾ: {columns}',
+    line: 'വരി',
+    item: 'ഇനം',
+    cost: 'വില',
+    type: 'തരം',
+    needed: 'ആവശ്യമുള്ളത്',
+    partial: ' (ഭാഗികം)',
+    importing: 'ഇംപോർട്ട് ചെയ്യുന്നു...',
+    importCount: {
+      one: '{count} ഇനം ഇംപോർട്ട് ചെയ്യുക',
+      other: '{count} ഇനങ്ങൾ ഇംപോർട്ട് ചെയ്യുക',
+    },
+  },
+  export: {
+    title: 'സംഭാവനകൾ എക്സ്പോർട്ട് ചെയ്യുക',
+    from: 'മുതൽ',
+    to: 'വരെ',
+    categories: 'വിഭാഗങ്ങൾ (ഒന്നും തിരഞ്ഞെടുത്തില്ലെങ്കിൽ എല്ലാം)',
+    format: 'ഫോർമാറ്റ്',
+    csv: 'CSV (സംഭാവനകളും ഇന സംഗ്രഹവും വെവ്വേറെ ഫയലുകളായി)',
+    xls: 'Excel വർക്ക്ബുക്ക് (ഓരോന്നിനും ഒരു ഷീറ്റ്)',
+    exporting: 'എക്സ്പോർട്ട് ചെയ്യുന്നു...',
+    export: 'എക്സ്പോർട്ട്',
+  },
+  campaigns: {
+    allItems: 'എല്ലാ ഇനങ്ങളും',
+    archive: 'പഴയ ക്യാമ്പെയ്‌നുകൾ',
+    newCampaign: 'പുതിയ ക്യാമ്പെയ്‌ൻ',
+    edit: 'ക്യാമ്പെയ്‌ൻ തിരുത്തുക',
+    dates: '{start} – {end}',
+    startsOn: '{date}-ന് ആരംഭിക്കും',
+    closed: 'അവസാനിച്ചു',
+    progress: '{goal} ലക്ഷ്യത്തിൽ {pledged} വാഗ്ദാനം ചെയ്തു ({percent}%)',
+    itemCount: {
+      one: '{count} ഇനം',
+      other: '{count} ഇനങ്ങൾ',
+    },
+    noItems: 'ഈ ക്യാമ്പെയ്‌നിൽ ഇതുവരെ ഇനങ്ങളൊന്നുമില്ല.',
+  },
+  campaignForm: {
+    addTitle: 'പുതിയ ക്യാമ്പെയ്‌ൻ',
+    editTitle: 'ക്യാമ്പെയ്‌ൻ തിരുത്തുക',
+    name: 'പേര്',
+    description: 'വിവരണം (ഐച്ഛികം)',
+    startDate: 'ആരംഭ തീയതി',
+    endDate: 'അവസാന തീയതി',
+    goal: 'ലക്ഷ്യം ($)',
+    save: 'ക്യാമ്പെയ്‌ൻ സേവ് ചെയ്യുക',
+  },
+  campaignErrors: {
+    nameRequired: 'ക്യാമ്പെയ്‌നിന്റെ പേര് ആവശ്യമാണ്.',
+    datesInvalid: 'ആരംഭ, അവസാന തീയതികൾ YYYY-MM-DD രൂപത്തിലുള്ള തീയതികളായിരിക്കണം.',
+    endBeforeStart: 'അവസാന തീയതി ആരംഭ തീയതിക്ക് മുമ്പാകരുത്.',
+    goalInvalid: 'ലക്ഷ്യം പൂജ്യത്തേക്കാൾ കൂടിയ തുകയായിരിക്കണം.',
+  },
+  dashboard: {
+    title: 'ഡാഷ്ബോർഡ്',
+    needed: 'ആവശ്യം',
+    pledged: 'വാഗ്ദാനം',
+    received: 'ലഭിച്ചത്',
+    outstanding: 'ഇനി വേണ്ടത്',
+    contributors: 'സംഭാവകർ',
+    pledgedOfNeeded: '{needed}-ൽ {pledged} വാഗ്ദാനം ചെയ്തു ({percent}%)',
+    byCategory: 'വിഭാഗം അനുസരിച്ച്',
+    byType: 'സംഭാവന തരം അനുസരിച്ച്',
+    group: 'ഗ്രൂപ്പ്',
+    items: 'ഇനങ്ങൾ',
+    noCategory: 'വിഭാഗമില്ല',
+    weekly: 'ആഴ്ചതോറുമുള്ള വാഗ്ദാനങ്ങൾ',
+    weekBar: '{date} ആഴ്ച: {count} വാഗ്ദാനങ്ങൾ, {amount}',
+    overdue: 'സമയം കഴിഞ്ഞ ഇനങ്ങൾ',
+    noOverdue: 'സമയം കഴിഞ്ഞ ഒന്നുമില്ല.',
+    overdueItem: '{date}-ന് വേണ്ടിയിരുന്നു · {percent}% വാഗ്ദാനം',
+    loading: 'സംഭാവനകൾ ലോഡ് ചെയ്യുന്നു...',
+  },
+  kiosk: {
+    raised: '{goal}-ൽ {raised} ലഭിച്ചു',
+    allDone: 'വിഷ്‌ലിസ്റ്റിലെ എല്ലാ ഇനങ്ങളും നിറവേറ്റി. നന്ദി!',
+    remainingOf: '{cost}-ൽ ഇനി {remaining} വേണം',
+    quantityRemaining: '{needed}-ൽ ഇനി {remaining} വേണം',
+    position: 'ബാക്കിയുള്ള {count} ഇനങ്ങളിൽ {index}',
+    qrAlt: '{item}-നുള്ള QR കോഡ്',
+    scanToGive: 'സംഭാവന നൽകാൻ സ്കാൻ ചെയ്യുക',
+  },
+  alerts: {
+    loadFailed: 'വിഷ്‌ലിസ്റ്റ് ലോഡ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    itemGone: 'ആ ഇനം ഇപ്പോൾ വിഷ്‌ലിസ്റ്റിൽ ഇല്ല.',
+    paymentSucceeded: 'ഓൺലൈനായി സംഭാവന നൽകിയതിന് നന്ദി! പണമടയ്ക്കൽ സ്ഥിരീകരിച്ചാലുടൻ നിങ്ങളുടെ സംഭാവന ഇനത്തിൽ കാണാം.',
+    paymentCancelled: 'നിങ്ങളുടെ ഓൺലൈൻ പണമടയ്ക്കൽ റദ്ദാക്കി. ഒരു തുകയും ഈടാക്കിയിട്ടില്ല.',
+    pledgesNotMoved: 'നിങ്ങൾ സൈൻ ഇൻ ചെയ്തു, പക്ഷേ നേരത്തെയുള്ള വാഗ്ദാനങ്ങൾ നിങ്ങളുടെ അക്കൗണ്ടിലേക്ക് മാറ്റാനായില്ല.',
+    ownerClaimed: 'നിങ്ങൾ ഇപ്പോൾ ഈ വിഷ്‌ലിസ്റ്റിന്റെ ഉടമയാണ്.',
+    ownerClaimFailed: 'നിങ്ങളെ ഉടമയായി സജ്ജമാക്കാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    ownersOnly: 'ഉടമയ്ക്ക് മാത്രമേ അഡ്മിൻമാരെ നിയന്ത്രിക്കാനാകൂ.',
+    adminFieldsRequired: 'ഒരു ഇമെയിലോ യൂസർ ഐഡിയോ നൽകി ചുമതല തിരഞ്ഞെടുക്കുക.',
+    keepOneOwner: 'വിഷ്‌ലിസ്റ്റിന് കുറഞ്ഞത് ഒരു ഉടമയെങ്കിലും വേണം.',
+    adminSaveFailed: 'അഡ്മിനെ സേവ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    adminRemoveFailed: 'അഡ്മിനെ നീക്കം ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    noItemPermission: 'ഇനം ചേർക്കാനോ തിരുത്താനോ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    quantityBelowPledged: '{count} എണ്ണം ഇതിനകം വാഗ്ദാനം ചെയ്തിട്ടുള്ളതിനാൽ ആവശ്യമുള്ള എണ്ണം കുറയ്ക്കാനാവില്ല.',
+    itemUpdated: 'ഇനം വിജയകരമായി പുതുക്കി!',
+    itemUpdateFailed: 'ഇനം പുതുക്കാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    itemAdded: 'ഇനം വിജയകരമായി ചേർത്തു!',
+    itemAddFailed: 'ഇനം ചേർക്കാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    pledgeQueued: 'നിങ്ങൾ ഓഫ്‌ലൈനാണ്. നിങ്ങളുടെ വാഗ്ദാനം ഈ ഉപകരണത്തിൽ സൂക്ഷിച്ചിട്ടുണ്ട്, വീണ്ടും ഓൺലൈനാകുമ്പോൾ അയയ്ക്കും.',
+    queuedPledgesFailed: 'ഓഫ്‌ലൈനായിരിക്കുമ്പോൾ നൽകിയ ചില വാഗ്ദാനങ്ങൾ പൂർത്തിയാക്കാനായില്ല: {items}. ആ ഇനങ്ങൾ ഇപ്പോൾ ലഭ്യമല്ലായിരിക്കാം.',
+    queuedPledgesReduced: 'നിങ്ങളുടെ ഓഫ്‌ലൈൻ വാഗ്ദാനങ്ങൾ അയച്ചപ്പോഴേക്കും ചില ഇനങ്ങൾക്ക് കുറച്ചേ ആവശ്യമുണ്ടായിരുന്നുള്ളൂ, അതിനാൽ ബാക്കിയുള്ള തുക മാത്രം രേഖപ്പെടുത്തി: {items}.',
+    invalidQuantity: 'സാധുവായ ഒരു എണ്ണം നൽകുക.',
+    invalidAmount: 'സാധുവായ ഒരു സംഭാവന തുക നൽകുക.',
+    quantityThanks: '{quantity} എണ്ണം വാഗ്ദാനം ചെയ്തതിന് നന്ദി!',
+    quantityFailed: 'ഒരു പിശക് സംഭവിച്ചു. ബാക്കിയുള്ള എണ്ണം മറ്റാരെങ്കിലും ആദ്യം വാഗ്ദാനം ചെയ്തിരിക്കാം. വീണ്ടും ശ്രമിക്കുക.',
+    signUpThanks: 'നിങ്ങൾ ഈ ഇനം വിജയകരമായി ഏറ്റെടുത്തു!',
+    contributionThanks: 'നിങ്ങളുടെ സംഭാവനയ്ക്ക് നന്ദി!',
+    contributionFailed: 'സംഭാവന നൽകുന്നതിനിടെ ഒരു പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.',
+    sponsorThanks: 'ഈ ഇനം സ്പോൺസർ ചെയ്തതിന് നന്ദി! നിങ്ങളുടെ സംഭാവന ലഭിച്ചാലുടൻ ഒരു അഡ്മിൻ ഇത് പൂർത്തിയായതായി രേഖപ്പെടുത്തും.',
+    sponsorFailed: 'ഒരു പിശക് സംഭവിച്ചു. മറ്റാരെങ്കിലും ഈ ഇനം ആദ്യം സ്പോൺസർ ചെയ്തിരിക്കാം. വീണ്ടും ശ്രമിക്കുക.',
+    genericError: 'ഒരു പിശക് സംഭവിച്ചു. വീണ്ടും ശ്രമിക്കുക.',
+    onlineLimit: 'ഈ ഇനത്തിന് ഇനി {amount} മാത്രമേ വേണ്ടൂ, അതിനാൽ ഓൺലൈനായി ആ തുക വരെ നൽകാം.',
+    onlineUnavailable: 'ഓൺലൈൻ സംഭാവന ഇപ്പോൾ ലഭ്യമല്ല. പിന്നീട് വീണ്ടും ശ്രമിക്കുക.',
+    alreadyFunded: 'ഈ ഇനത്തിന് ആവശ്യമായ മുഴുവൻ തുകയും ലഭിച്ചു. നന്ദി!',
+    contributionNotRecorded: 'ഒരു പിശക് സംഭവിച്ചു. {items} എന്നതിനുള്ള നിങ്ങളുടെ സംഭാവന രേഖപ്പെടുത്തിയിട്ടില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    noCancelPermission: 'ഈ വാഗ്ദാനം റദ്ദാക്കാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    pledgeWithdrawn: 'നിങ്ങളുടെ വാഗ്ദാനം പിൻവലിച്ചു.',
+    pledgeReleased: 'വാഗ്ദാനം ഒഴിവാക്കി.',
+    ownPledgesOnly: 'നിങ്ങളുടെ സ്വന്തം വാഗ്ദാനങ്ങൾ മാത്രമേ തിരുത്താനാകൂ.',
+    sponsorshipFixed: 'സ്പോൺസർഷിപ്പ് എപ്പോഴും മുഴുവൻ ചെലവും വഹിക്കുന്നു. പദ്ധതി മാറിയെങ്കിൽ പകരം അത് റദ്ദാക്കുക.',
+    pledgeUpdated: 'നിങ്ങളുടെ വാഗ്ദാനം പുതുക്കി.',
+    pledgeUpdateFailed: 'നിങ്ങളുടെ വാഗ്ദാനം പുതുക്കാനായില്ല. ഇനം പൂർണ്ണമായി വാഗ്ദാനം ചെയ്യപ്പെട്ടതോ അടച്ചതോ ആയിരിക്കാം.',
+    noReconcilePermission: 'പണമിടപാടുകൾ ഒത്തുനോക്കാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    markedReceived: {
+      one: '{count} സംഭാവന ലഭിച്ചതായി രേഖപ്പെടുത്തി.',
+      other: '{count} സംഭാവനകൾ ലഭിച്ചതായി രേഖപ്പെടുത്തി.',
+    },
+    markReceivedFailed: 'ഒരു പിശക് സംഭവിച്ചു. മറ്റാരെങ്കിലും ഈ സംഭാവനകൾ ആദ്യം പുതുക്കിയിരിക്കാം. വീണ്ടും ശ്രമിക്കുക.',
+    refunded: 'സംഭാവന തിരികെ നൽകിയതായി രേഖപ്പെടുത്തി.',
+    noDeletePermission: 'ഈ ഇനം നീക്കം ചെയ്യാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    itemDeleted: 'ഇനം വിജയകരമായി നീക്കം ചെയ്തു!',
+    itemDeleteFailed: 'ഇനം നീക്കം ചെയ്യുന്നതിനിടെ ഒരു പിശക് സംഭവിച്ചു.',
+    noRestorePermission: 'ഈ ഇനം പുനഃസ്ഥാപിക്കാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    itemRestored: '{item} പുനഃസ്ഥാപിച്ചു.',
+    itemRestoreFailed: 'ഇനം പുനഃസ്ഥാപിക്കുന്നതിനിടെ ഒരു പിശക് സംഭവിച്ചു.',
+    noImportPermission: 'ഇനങ്ങൾ ഇംപോർട്ട് ചെയ്യാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    noValidRows: 'ഇംപോർട്ട് ചെയ്യാൻ സാധുവായ വരികളൊന്നുമില്ല.',
+    importLimit: 'ഒരു തവണ പരമാവധി 250 ഇനങ്ങൾ മാത്രം ഇംപോർട്ട് ചെയ്യുക.',
+    imported: {
+      one: '{count} ഇനം വിജയകരമായി ഇംപോർട്ട് ചെയ്തു!',
+      other: '{count} ഇനങ്ങൾ വിജയകരമായി ഇംപോർട്ട് ചെയ്തു!',
+    },
+    importFailed: 'ഇനങ്ങൾ ഇംപോർട്ട് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    noExportPermission: 'സംഭാവനകൾ എക്സ്പോർട്ട് ചെയ്യാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    exportFailed: 'സംഭാവനകൾ എക്സ്പോർട്ട് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    noReceiptPermission: 'രസീതുകൾ നൽകാൻ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    receiptsIssued: {
+      one: '{count} രസീത് നമ്പർ നൽകി.',
+      other: '{count} രസീത് നമ്പറുകൾ നൽകി.',
+    },
+    receiptsIssueFailed: 'രസീത് നമ്പറുകൾ നൽകാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    pdfFailed: 'PDF തയ്യാറാക്കാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    linkCopied: 'ലിങ്ക് കോപ്പി ചെയ്തു. ഈ ഇനം പങ്കിടാൻ എവിടെയും പേസ്റ്റ് ചെയ്യാം.',
+    shareFailed: 'സ്വയമേവ പങ്കിടാനായില്ല. ലിങ്ക് ഇതാ: {url}',
+    noCampaignPermission: 'ക്യാമ്പെയ്‌ൻ ചേർക്കാനോ തിരുത്താനോ നിങ്ങൾക്ക് അനുമതിയില്ല.',
+    campaignSaved: 'ക്യാമ്പെയ്‌ൻ സേവ് ചെയ്തു!',
+    campaignSaveFailed: 'ക്യാമ്പെയ്‌ൻ സേവ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+    campaignGone: 'ആ ക്യാമ്പെയ്‌ൻ കണ്ടെത്താനായില്ല.',
+    imageTooLarge: 'ഫോട്ടോകൾ 5 MB-യിൽ കവിയാത്ത ചിത്ര ഫയലുകൾ ആയിരിക്കണം.',
+    imageUploadFailed: 'ഫോട്ടോ അപ്‌ലോഡ് ചെയ്യാനായില്ല. വീണ്ടും ശ്രമിക്കുക.',
+  },
+};
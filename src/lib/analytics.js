@@ -0,0 +1,82 @@
+// Totals for the admin dashboard, built from the live items and every contribution. Pure
+// functions only, like the rest of src/lib, so the figures can be checked without Firestore.
+import { roundCents, percentFunded, pledgedValue, localDateString } from './items.js';
+
+// Weeks shown in the giving-over-time chart, ending with the current one
+export const DASHBOARD_WEEKS = 12;
+
+const OVERDUE_LIMIT = 5;
+
+// Start of the week (Sunday) holding the timestamp, as YYYY-MM-DD in local time
+export const weekStart = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - date.getDay());
+  return localDateString(date);
+};
+
+// Adds up needed, pledged and outstanding amounts for a group of items
+const sumItems = (items) => {
+  const needed = roundCents(items.reduce((sum, item) => sum + item.expectedCost, 0));
+  const pledged = roundCents(items.reduce((sum, item) => sum + pledgedValue(item), 0));
+  const received = roundCents(items.reduce((sum, item) => sum + (item.receivedContributions || 0), 0));
+  return { count: items.length, needed, pledged, received, outstanding: Math.max(roundCents(needed - pledged), 0) };
+};
+
+// Groups items by a field and totals each group, largest outstanding need first
+const breakdown = (items, field) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = item[field] || '';
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+  return [...groups.entries()]
+    .map(([key, groupItems]) => ({ key, ...sumItems(groupItems) }))
+    .sort((a, b) => b.outstanding - a.outstanding || a.key.localeCompare(b.key));
+};
+
+// Pledges made in each of the last DASHBOARD_WEEKS weeks, oldest first, with empty weeks kept
+const weeklyGiving = (contributions, now) => {
+  const weeks = [];
+  const cursor = new Date(`${weekStart(now.getTime())}T00:00:00`);
+  for (let i = 0; i < DASHBOARD_WEEKS; i++) {
+    weeks.unshift({ weekStart: localDateString(cursor), count: 0, amount: 0 });
+    cursor.setDate(cursor.getDate() - 7);
+  }
+  const byWeek = new Map(weeks.map(week => [week.weekStart, week]));
+  contributions.forEach(contribution => {
+    const week = byWeek.get(weekStart(contribution.timestamp));
+    if (!week) return;
+    week.count += 1;
+    week.amount = roundCents(week.amount + (contribution.amount || 0));
+  });
+  return weeks;
+};
+
+// Dashboard figures for the items on the wishlist. Cancelled and refunded contributions and
+// ones to deleted items are left out.
+export const buildDashboard = (items, contributions, now = new Date()) => {
+  const itemIds = new Set(items.map(item => item.id));
+  const activeContributions = contributions.filter(contribution => (
+    itemIds.has(contribution.itemId) && !contribution.cancelledAt && contribution.paymentStatus !== 'refunded'
+  ));
+  const today = localDateString(now);
+
+  // Sign-ups made before contribution history existed are only recorded on the item
+  const contributorIds = new Set(activeContributions.map(contribution => contribution.userId));
+  items.forEach(item => {
+    if (item.contributorId && !item.signUpContributionId) contributorIds.add(item.contributorId);
+  });
+
+  return {
+    totals: sumItems(items),
+    byCategory: breakdown(items, 'category'),
+    byType: breakdown(items, 'contributionType'),
+    weekly: weeklyGiving(activeContributions, now),
+    overdue: items
+      .filter(item => item.dateNeeded && item.dateNeeded < today && item.status !== 'Completed' && percentFunded(item) < 100)
+      .sort((a, b) => a.dateNeeded.localeCompare(b.dateNeeded))
+      .slice(0, OVERDUE_LIMIT),
+    contributorCount: contributorIds.size,
+  };
+};
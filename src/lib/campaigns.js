@@ -0,0 +1,55 @@
+// Campaigns group wishlist items into drives such as the building fund, Christmas or the parish
+// feast. Shared by the campaign views and form; free of browser and Firebase imports like items.js.
+import { isValidDateString, pledgedValue, roundCents } from './items.js';
+
+// Campaigns run from their start date to their end date, inclusive, and are archived after
+export const campaignState = (campaign, today) => {
+  if (today < campaign.startDate) return 'upcoming';
+  return today > campaign.endDate ? 'closed' : 'active';
+};
+
+// Open campaigns for the switcher, ending soonest first, and closed ones for the archive, most
+// recently ended first
+export const groupCampaigns = (campaigns, today) => ({
+  open: campaigns
+    .filter(campaign => campaignState(campaign, today) !== 'closed')
+    .sort((a, b) => a.endDate.localeCompare(b.endDate) || a.name.localeCompare(b.name)),
+  closed: campaigns
+    .filter(campaign => campaignState(campaign, today) === 'closed')
+    .sort((a, b) => b.endDate.localeCompare(a.endDate) || a.name.localeCompare(b.name)),
+});
+
+// Pledged value of a campaign's items measured against its goal
+export const campaignProgress = (campaign, items) => {
+  const campaignItems = items.filter(item => item.campaignId === campaign.id);
+  const pledged = roundCents(campaignItems.reduce((sum, item) => sum + pledgedValue(item), 0));
+  return {
+    itemCount: campaignItems.length,
+    pledged,
+    percent: campaign.goal > 0 ? Math.min((pledged / campaign.goal) * 100, 100) : 0,
+  };
+};
+
+// Validates raw campaign form fields. Returns the Firestore campaign fields along with the
+// message keys of any validation errors.
+export const buildCampaignData = ({ name, description, startDate, endDate, goal }) => {
+  const errors = [];
+  const trimmedName = (name || '').trim();
+  const goalAmount = parseFloat(goal);
+
+  if (!trimmedName) errors.push('campaignErrors.nameRequired');
+  if (!isValidDateString(startDate) || !isValidDateString(endDate)) errors.push('campaignErrors.datesInvalid');
+  else if (endDate < startDate) errors.push('campaignErrors.endBeforeStart');
+  if (isNaN(goalAmount) || goalAmount <= 0) errors.push('campaignErrors.goalInvalid');
+
+  return {
+    campaignData: {
+      name: trimmedName,
+      description: (description || '').trim() || null,
+      startDate,
+      endDate,
+      goal: roundCents(goalAmount),
+    },
+    errors,
+  };
+};
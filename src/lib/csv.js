@@ -0,0 +1,121 @@
+import { buildItemData } from './items.js';
+
+// Splits CSV text into rows of cell values, honouring quoted cells
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Import column headers, normalised to lowercase letters, mapped to item fields
+const IMPORT_COLUMNS = {
+  itemname: 'itemName',
+  name: 'itemName',
+  category: 'category',
+  cost: 'expectedCost',
+  expectedcost: 'expectedCost',
+  type: 'contributionType',
+  contributiontype: 'contributionType',
+  dateneeded: 'dateNeeded',
+  date: 'dateNeeded',
+  partialallowed: 'isPartialAllowed',
+  ispartialallowed: 'isPartialAllowed',
+  quantity: 'quantityNeeded',
+  quantityneeded: 'quantityNeeded',
+};
+
+// Turns import CSV text into preview rows, each validated with buildItemData
+export const parseImportCsv = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const fields = header.map(cell => IMPORT_COLUMNS[cell.toLowerCase().replace(/[^a-z]/g, '')]);
+  const missing = ['itemName', 'category', 'expectedCost', 'contributionType', 'dateNeeded'].filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    return { rows: [], missingColumns: missing };
+  }
+  const rows = lines.map((cells, index) => {
+    const raw = {};
+    fields.forEach((field, column) => {
+      if (field) raw[field] = (cells[column] || '').trim();
+    });
+    const { itemData, errors } = buildItemData({
+      ...raw,
+      contributionType: (raw.contributionType || '').toLowerCase(),
+      isPartialAllowed: /^(true|yes|y|1)$/i.test(raw.isPartialAllowed || ''),
+    });
+    return { line: index + 2, itemData, errors };
+  });
+  return { rows, missingColumns: [] };
+};
+
+// Sample rows offered on the import screen for a new, empty wishlist
+export const SAMPLE_ITEMS_CSV = [
+  'Item Name,Category,Cost,Type,Date Needed,Partial Allowed',
+  'Alter Table,Furniture,1500,item,2025-12-25,no',
+  'Bema Table,Furniture,800,cash,2026-01-15,yes',
+  'New Flag Pole,Exterior,5000,cash,2025-11-01,yes',
+].join('\n');
+
+// Escapes rows of cell values into CSV text
+export const toCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+// Builds an Excel-readable SpreadsheetML workbook with one worksheet per sheet
+export const toSpreadsheetXml = (sheets) => {
+  const escapeXml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const cell = (value) => {
+    if (value === null || value === undefined || value === '') return '<Cell/>';
+    const type = typeof value === 'number' ? 'Number' : 'String';
+    return `<Cell><Data ss:Type="${type}">${escapeXml(value)}</Data></Cell>`;
+  };
+  const worksheets = sheets.map(({ name, rows }) => (
+    `<Worksheet ss:Name="${escapeXml(name)}"><Table>${rows.map(row => `<Row>${row.map(cell).join('')}</Row>`).join('')}</Table></Worksheet>`
+  ));
+  return `<?xml version="1.0"?><?mso-application progid="Excel.Sheet"?><Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">${worksheets.join('')}</Workbook>`;
+};
+
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
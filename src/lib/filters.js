@@ -0,0 +1,34 @@
+import { STATUS_ORDER, percentFunded } from './items.js';
+
+// Sort options for the wishlist toolbar, keyed by the value stored in the URL
+export const SORT_OPTIONS = {
+  status: { compare: (a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] },
+  date: { compare: (a, b) => (a.dateNeeded || '').localeCompare(b.dateNeeded || '') },
+  'cost-asc': { compare: (a, b) => a.expectedCost - b.expectedCost },
+  'cost-desc': { compare: (a, b) => b.expectedCost - a.expectedCost },
+  'funded-asc': { compare: (a, b) => percentFunded(a) - percentFunded(b) },
+  'funded-desc': { compare: (a, b) => percentFunded(b) - percentFunded(a) },
+};
+
+// Reads the toolbar state from the query string so filtered links can be shared
+export const readFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get('sort');
+  return {
+    search: params.get('q') || '',
+    categories: params.getAll('category'),
+    statuses: params.getAll('status').filter(status => STATUS_ORDER[status]),
+    sort: SORT_OPTIONS[sort] ? sort : 'status',
+  };
+};
+
+export const writeFiltersToUrl = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  ['q', 'category', 'status', 'sort'].forEach(key => params.delete(key));
+  if (filters.search) params.set('q', filters.search);
+  filters.categories.forEach(category => params.append('category', category));
+  filters.statuses.forEach(status => params.append('status', status));
+  if (filters.sort !== 'status') params.set('sort', filters.sort);
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
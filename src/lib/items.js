@@ -0,0 +1,231 @@
+// Item rules shared by the web app and the Node servers (payments/), so keep this module free
+// of browser and Firebase imports.
+
+// Display order for item statuses in the grid
+export const STATUS_ORDER = { 'Pending': 1, 'Funding': 2, 'Signed Up': 3, 'Completed': 4 };
+
+// Items with a quantityNeeded can be pledged by several people until every unit is claimed
+export const isQuantityItem = (item) => item.contributionType === 'item' && item.quantityNeeded > 0;
+
+export const remainingQuantity = (item) => Math.max(item.quantityNeeded - (item.quantityClaimed || 0), 0);
+
+export const quantityStatus = (claimed, needed) => {
+  if (claimed <= 0) return 'Pending';
+  return claimed >= needed ? 'Completed' : 'Signed Up';
+};
+
+// Fields of `after` whose values differ from `before`, as a before/after pair for the audit log
+export const diffFields = (before, after) => {
+  const diff = { before: {}, after: {} };
+  Object.keys(after).forEach(key => {
+    if (JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null)) {
+      diff.before[key] = before[key] ?? null;
+      diff.after[key] = after[key] ?? null;
+    }
+  });
+  return diff;
+};
+
+// Cash items that can't be split are sponsored in full by a single donor
+export const isSponsorshipItem = (item) => item.contributionType === 'cash' && !item.isPartialAllowed;
+
+// An item's name and description in the given language, falling back to the ones entered first
+export const itemText = (item, language) => ({
+  itemName: item.translations?.[language]?.itemName || item.itemName,
+  description: item.translations?.[language]?.description || item.description || '',
+});
+
+// Rounds a dollar amount to whole cents so repeated additions don't drift
+export const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Amount a cash item still needs before it is fully funded
+export const remainingBalance = (item) => Math.max(roundCents(item.expectedCost - (item.currentContributions || 0)), 0);
+
+// Cash items stay open for gifts while funding, are signed up once fully pledged, and are only
+// completed by money received
+export const cashStatus = (pledged, received, expectedCost) => {
+  if (pledged <= 0) return 'Pending';
+  if (received >= expectedCost) return 'Completed';
+  return roundCents(expectedCost - pledged) > 0 ? 'Funding' : 'Signed Up';
+};
+
+// The status an edited item takes from the pledges it already has, so a new expected cost or
+// quantity moves it between stages. A sponsor's pledge still covers the item whatever it costs.
+// Null when the item has no pledges and keeps its status.
+export const statusAfterEdit = (item, edited) => {
+  const pledged = item.currentContributions || 0;
+  const received = item.receivedContributions || 0;
+  if (edited.contributionType === 'cash' && pledged > 0) {
+    if (isSponsorshipItem(edited)) return received >= edited.expectedCost ? 'Completed' : 'Signed Up';
+    return cashStatus(pledged, received, edited.expectedCost);
+  }
+  if (edited.contributionType === 'item' && (item.quantityClaimed || 0) > 0) {
+    return quantityStatus(item.quantityClaimed, edited.quantityNeeded);
+  }
+  return null;
+};
+
+// The kind of a stored contribution, from the type submitPledge gives it: partial cash gifts
+// have none, and quantity pledges are sign-ups with a quantity
+export const contributionKind = (contribution) => {
+  if (contribution.type === 'sponsorship') return 'sponsorship';
+  if (contribution.type === 'signup') return contribution.quantity ? 'quantity' : 'signup';
+  return contribution.amount ? 'cash' : 'signup';
+};
+
+// Payment states of a cash contribution, tracked by the treasurer during reconciliation
+export const PAYMENT_STATUSES = ['pledged', 'received', 'refunded'];
+
+export const PAYMENT_METHODS = { cash: 'Cash', check: 'Check', card: 'Card', bankTransfer: 'Bank transfer', online: 'Online' };
+
+// Whether a contribution was made in the item's current cycle and so counts toward its totals.
+// Contributions to an earlier cycle of a recurring item were archived with that cycle.
+export const isCurrentCycle = (contribution, item) => (contribution.timestamp || 0) >= (item.cycleStartedAt || 0);
+
+// A pledge can still be edited or cancelled while its item is open in the same cycle and no
+// money has changed hands
+export const isPledgeOpen = (pledge, item) => (
+  !!item && !pledge.cancelledAt && (pledge.paymentStatus || 'pledged') === 'pledged' &&
+  item.status !== 'Completed' && isCurrentCycle(pledge, item)
+);
+
+// Share of an item that has been pledged, from 0 to 100
+export const percentFunded = (item) => {
+  if (item.contributionType === 'cash' && item.isPartialAllowed) {
+    return item.expectedCost > 0 ? Math.min(((item.currentContributions || 0) / item.expectedCost) * 100, 100) : 0;
+  }
+  if (isQuantityItem(item)) {
+    return Math.min(((item.quantityClaimed || 0) / item.quantityNeeded) * 100, 100);
+  }
+  return item.status === 'Pending' ? 0 : 100;
+};
+
+// Value of what has been pledged toward an item: the cash pledged, or the share of the cost
+// covered by sign-ups and pledged quantities
+export const pledgedValue = (item) => roundCents(item.expectedCost * percentFunded(item) / 100);
+
+// How often a recurring item repeats; it rolls over to its next occurrence once a cycle is finished
+export const RECURRENCE_FREQUENCIES = ['yearly', 'monthly', 'dates'];
+
+// Today's date in YYYY-MM-DD form, in the visitor's time zone
+export const localDateString = (date = new Date()) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+// Adds whole months to a YYYY-MM-DD date, using the anchor day clamped to the month's length
+export const addMonths = (dateString, months, anchorDay) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(anchorDay || day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+// A recurring item's cycle is finished once it is complete, or once its date has passed with
+// every cash pledge paid. Until then the pledges still waiting for money hold it open.
+export const needsRollover = (item, today) => !!item.recurrence && (
+  item.status === 'Completed' ||
+  (item.dateNeeded < today && !(item.contributionType === 'cash' && roundCents((item.currentContributions || 0) - (item.receivedContributions || 0)) > 0))
+);
+
+// Date needed for the next cycle, or null once a custom date list has run out
+export const nextOccurrence = (item, today) => {
+  const { frequency, dates = [], anchorDay } = item.recurrence;
+  if (frequency === 'dates') {
+    return dates.find(date => date > item.dateNeeded && date >= today) || null;
+  }
+  const months = frequency === 'yearly' ? 12 : 1;
+  let next = addMonths(item.dateNeeded, months, anchorDay);
+  while (next < today) {
+    next = addMonths(next, months, anchorDay);
+  }
+  return next;
+};
+
+// True for real calendar dates in YYYY-MM-DD form, as produced by date inputs
+export const isValidDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+// Photos and vendor links an item can have, mirroring the limits in firestore.rules
+export const MAX_ITEM_IMAGES = 8;
+export const MAX_VENDOR_LINKS = 5;
+
+// True for absolute http(s) addresses, the only vendor links items may point to
+export const isWebUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Validates raw item fields with the rules shared by the Add/Edit modal and the CSV import.
+// Returns the Firestore item fields along with the message keys of any validation errors.
+export const buildItemData = ({ itemName, description, translations, category, expectedCost, contributionType, dateNeeded, isPartialAllowed, quantityNeeded, recurrence, campaignId, images, vendorLinks, specs }) => {
+  const errors = [];
+  const name = (itemName || '').trim();
+  const trimmedCategory = (category || '').trim();
+  const cost = parseFloat(expectedCost);
+  const quantity = contributionType === 'item' && quantityNeeded !== '' && quantityNeeded !== null && quantityNeeded !== undefined ? Number(quantityNeeded) : null;
+
+  if (!name) errors.push('itemErrors.nameRequired');
+  if (!trimmedCategory) errors.push('itemErrors.categoryRequired');
+  if (isNaN(cost) || cost < 0) errors.push('itemErrors.costInvalid');
+  if (contributionType !== 'item' && contributionType !== 'cash') errors.push('itemErrors.typeInvalid');
+  if (!isValidDateString(dateNeeded)) errors.push('itemErrors.dateInvalid');
+  if (quantity !== null && (!Number.isInteger(quantity) || quantity <= 0)) errors.push('itemErrors.quantityInvalid');
+
+  let recurrenceRule = null;
+  if (recurrence && recurrence.frequency && recurrence.frequency !== 'none') {
+    if (recurrence.frequency === 'dates') {
+      const dates = (recurrence.dates || '').split(/[\s,]+/).filter(Boolean);
+      if (dates.length === 0 || !dates.every(isValidDateString)) errors.push('itemErrors.recurrenceDatesInvalid');
+      recurrenceRule = { frequency: 'dates', dates: [...new Set(dates)].sort() };
+    } else if (RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+      // Remember the day of month so monthly items return to it after shorter months
+      recurrenceRule = { frequency: recurrence.frequency, anchorDay: Number((dateNeeded || '').slice(8, 10)) || 1 };
+    } else {
+      errors.push('itemErrors.recurrenceInvalid');
+    }
+  }
+
+  // Photos keep the order the admin arranged them in; the first is the item's thumbnail
+  const imageList = (images || []).map(({ path, url }) => ({ path, url }));
+  if (imageList.length > MAX_ITEM_IMAGES) errors.push('itemErrors.tooManyImages');
+
+  // Where to buy the item, skipping rows left blank
+  const links = (vendorLinks || [])
+    .map(link => ({ label: (link.label || '').trim(), url: (link.url || '').trim() }))
+    .filter(link => link.label || link.url);
+  if (!links.every(link => isWebUrl(link.url))) errors.push('itemErrors.linkInvalid');
+  if (links.length > MAX_VENDOR_LINKS) errors.push('itemErrors.tooManyLinks');
+
+  // Names and descriptions in other languages, keeping only what was filled in
+  const translatedText = {};
+  Object.entries(translations || {}).forEach(([language, text]) => {
+    const translatedName = (text?.itemName || '').trim();
+    const translatedDescription = (text?.description || '').trim();
+    if (translatedName || translatedDescription) {
+      translatedText[language] = { itemName: translatedName || null, description: translatedDescription || null };
+    }
+  });
+
+  return {
+    itemData: {
+      itemName: name,
+      description: (description || '').trim() || null,
+      translations: Object.keys(translatedText).length > 0 ? translatedText : null,
+      category: trimmedCategory,
+      expectedCost: cost,
+      contributionType,
+      dateNeeded,
+      isPartialAllowed: contributionType === 'cash' && !!isPartialAllowed,
+      quantityNeeded: quantity,
+      recurrence: recurrenceRule,
+      campaignId: campaignId || null,
+      images: imageList,
+      vendorLinks: links.map(link => ({ label: link.label || (isWebUrl(link.url) ? new URL(link.url).hostname : link.url), url: link.url })),
+      specs: (specs || '').trim() || null,
+    },
+    errors,
+  };
+};
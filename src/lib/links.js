@@ -0,0 +1,31 @@
+// Client-side routes, relative to the path the app is served from: the wishlist itself,
+// items/<id> for an item's details, campaigns/<id> for a campaign's landing view and kiosk for
+// the projector display. Hosting serves
+// index.html for every path, so any of them can be opened directly or refreshed.
+const BASE_PATH = import.meta.env.BASE_URL;
+
+export const readRoute = () => {
+  const { pathname } = window.location;
+  const [section, id] = (pathname.startsWith(BASE_PATH) ? pathname.slice(BASE_PATH.length) : '').split('/');
+  if (section === 'items' && id) return { view: 'item', itemId: decodeURIComponent(id) };
+  if (section === 'campaigns' && id) return { view: 'campaign', campaignId: decodeURIComponent(id) };
+  if (section === 'kiosk') return { view: 'kiosk' };
+  return { view: 'list' };
+};
+
+export const itemPath = (itemId) => `items/${encodeURIComponent(itemId)}`;
+
+export const campaignPath = (campaignId) => `campaigns/${encodeURIComponent(campaignId)}`;
+
+// Full address of an item's page, for sharing and QR codes
+export const itemUrl = (itemId) => new URL(`${BASE_PATH}${itemPath(itemId)}`, window.location.origin).toString();
+
+// Moves to a route, keeping the toolbar's query string so going back restores the filtered list
+export const pushRoute = (path, { replace = false } = {}) => {
+  const url = `${BASE_PATH}${path}${window.location.search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
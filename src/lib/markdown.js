@@ -0,0 +1,50 @@
+// A small Markdown subset for item descriptions: headings, bulleted and numbered lists,
+// paragraphs, **bold**, *italic*, `code` and [links](https://…). Parsed into plain data here and
+// rendered as React elements by components/Markdown.jsx, so no HTML from the text is ever used.
+import { isWebUrl } from './items.js';
+
+const INLINE_PATTERN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|_[^_\s][^_]*_|`[^`]+`|\[[^\]]+\]\([^)\s]+\))/;
+
+// Splits a line into text, bold, italic, code and link pieces. Links to anything other than
+// http(s) addresses stay as text.
+export const parseInline = (text) => text.split(INLINE_PATTERN).filter(Boolean).map(piece => {
+  if (piece.startsWith('**') && piece.endsWith('**') && piece.length > 4) return { type: 'bold', text: piece.slice(2, -2) };
+  if (piece.startsWith('`') && piece.endsWith('`') && piece.length > 2) return { type: 'code', text: piece.slice(1, -1) };
+  if ((piece.startsWith('*') && piece.endsWith('*') || piece.startsWith('_') && piece.endsWith('_')) && piece.length > 2) {
+    return { type: 'italic', text: piece.slice(1, -1) };
+  }
+  const link = piece.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+  if (link && isWebUrl(link[2])) return { type: 'link', text: link[1], url: link[2] };
+  return { type: 'text', text: piece };
+});
+
+// Splits the text into heading, list and paragraph blocks, each holding its inline pieces
+export const parseMarkdown = (markdown) => {
+  const blocks = [];
+  let current = null;
+  (markdown || '').split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    const heading = trimmed.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = trimmed.match(/^[-*]\s+(.*)$/);
+    const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+    if (!trimmed) {
+      current = null;
+    } else if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, content: parseInline(heading[2]) });
+      current = null;
+    } else if (bullet || numbered) {
+      const type = bullet ? 'bulletList' : 'numberedList';
+      if (current?.type !== type) {
+        current = { type, items: [] };
+        blocks.push(current);
+      }
+      current.items.push(parseInline((bullet || numbered)[1]));
+    } else if (current?.type === 'paragraph') {
+      current.lines.push(parseInline(trimmed));
+    } else {
+      current = { type: 'paragraph', lines: [parseInline(trimmed)] };
+      blocks.push(current);
+    }
+  });
+  return blocks;
+};
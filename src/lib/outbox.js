@@ -0,0 +1,17 @@
+import { appId } from '../config.js';
+
+// Pledges made while offline wait in localStorage until the connection returns
+const OUTBOX_KEY = `wishlist-outbox-${appId}`;
+
+export const readOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+  } catch (error) {
+    console.error("Error reading pledge outbox:", error);
+    return [];
+  }
+};
+
+export const writeOutbox = (pledges) => {
+  localStorage.setItem(OUTBOX_KEY, JSON.stringify(pledges));
+};
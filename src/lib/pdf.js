@@ -0,0 +1,144 @@
+// A small PDF writer for receipts and statements: US Letter pages of text and ruled lines in
+// Helvetica, one of the standard fonts every PDF reader has built in, so nothing needs embedding.
+// Those fonts only cover Latin-1, so Malayalam, the app's other language, is romanised and
+// other characters are swapped for close ASCII ones or "?".
+// Positions are in points from the top-left corner of the page.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths for ASCII 32-126, in thousandths of the font size. Bold is a little
+// wider, which only matters for the rough measuring done here.
+const WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const SUBSTITUTES = { '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '…': '...', '•': '-', '×': 'x' };
+
+// Malayalam letters in a common everyday romanisation, so a contributor's name written in
+// Malayalam still reads as their name. Consonants carry an "a" unless a vowel sign or the
+// virama follows; chillu letters are consonants with no vowel at all.
+const MALAYALAM_VOWELS = {
+  'അ': 'a', 'ആ': 'aa', 'ഇ': 'i', 'ഈ': 'ee', 'ഉ': 'u', 'ഊ': 'oo', 'ഋ': 'ru',
+  'എ': 'e', 'ഏ': 'e', 'ഐ': 'ai', 'ഒ': 'o', 'ഓ': 'o', 'ഔ': 'au',
+};
+const MALAYALAM_VOWEL_SIGNS = {
+  'ാ': 'aa', 'ി': 'i', 'ീ': 'ee', 'ു': 'u', 'ൂ': 'oo', 'ൃ': 'ru',
+  'െ': 'e', 'േ': 'e', 'ൈ': 'ai', 'ൊ': 'o', 'ോ': 'o', 'ൌ': 'au', 'ൗ': 'au',
+};
+const MALAYALAM_CONSONANTS = {
+  'ക': 'k', 'ഖ': 'kh', 'ഗ': 'g', 'ഘ': 'gh', 'ങ': 'ng', 'ച': 'ch', 'ഛ': 'chh', 'ജ': 'j', 'ഝ': 'jh', 'ഞ': 'nj',
+  'ട': 't', 'ഠ': 'th', 'ഡ': 'd', 'ഢ': 'dh', 'ണ': 'n', 'ത': 'th', 'ഥ': 'th', 'ദ': 'd', 'ധ': 'dh', 'ന': 'n',
+  'പ': 'p', 'ഫ': 'ph', 'ബ': 'b', 'ഭ': 'bh', 'മ': 'm', 'യ': 'y', 'ര': 'r', 'റ': 'r', 'ല': 'l', 'ള': 'l',
+  'ഴ': 'zh', 'വ': 'v', 'ശ': 'sh', 'ഷ': 'sh', 'സ': 's', 'ഹ': 'h',
+};
+const MALAYALAM_OTHERS = {
+  'ൺ': 'n', 'ൻ': 'n', 'ർ': 'r', 'ൽ': 'l', 'ൾ': 'l', 'ൿ': 'k', 'ം': 'm', 'ഃ': 'h',
+  '൦': '0', '൧': '1', '൨': '2', '൩': '3', '൪': '4', '൫': '5', '൬': '6', '൭': '7', '൮': '8', '൯': '9',
+};
+const VIRAMA = '്';
+
+const romaniseMalayalam = (run) => [...run].map((char, index, chars) => {
+  if (MALAYALAM_CONSONANTS[char]) {
+    const next = chars[index + 1];
+    return MALAYALAM_CONSONANTS[char] + (MALAYALAM_VOWEL_SIGNS[next] || next === VIRAMA ? '' : 'a');
+  }
+  return MALAYALAM_VOWELS[char] ?? MALAYALAM_VOWEL_SIGNS[char] ?? MALAYALAM_OTHERS[char] ?? '';
+}).join('');
+
+// Words starting in Malayalam are capitalised, as names written in Latin letters would be
+const toLatin1 = (text) => String(text ?? '')
+  .replace(/[\u0d00-\u0d7f\u200c\u200d]+/g, (run, offset, whole) => {
+    const romanised = romaniseMalayalam(run);
+    return offset === 0 || /\s/.test(whole[offset - 1]) ? romanised.charAt(0).toUpperCase() + romanised.slice(1) : romanised;
+  })
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, char => SUBSTITUTES[char] ?? '?');
+
+// Approximate width of the text in points
+export const textWidth = (text, size, bold = false) => {
+  const units = [...toLatin1(text)].reduce((sum, char) => sum + (WIDTHS[char.charCodeAt(0) - 32] ?? 556), 0);
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+};
+
+// Breaks the text into lines no wider than `width`, splitting at spaces
+export const wrapText = (text, width, size, bold = false) => {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, '\\$&');
+
+const number = (value) => Number(value.toFixed(2));
+
+export const createPdf = () => {
+  const pages = [];
+  let operations = null;
+
+  const addPage = () => {
+    operations = [];
+    pages.push(operations);
+  };
+
+  // Writes text with its baseline at y. `align` places x at the text's left, centre or right.
+  const text = (x, y, value, { size = 10, bold = false, gray = 0, align = 'left' } = {}) => {
+    const width = align === 'left' ? 0 : textWidth(value, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    operations.push(`BT ${gray} g /${bold ? 'F2' : 'F1'} ${size} Tf ${number(left)} ${number(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) => {
+    operations.push(`${gray} G ${width} w ${number(x1)} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(PAGE_HEIGHT - y2)} l S`);
+  };
+
+  // The finished file. Every character is a single byte, so string offsets are byte offsets.
+  const toBytes = () => {
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    ];
+    pages.forEach((pageOperations, index) => {
+      const content = pageOperations.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`);
+      objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Uint8Array.from(output, char => char.charCodeAt(0));
+  };
+
+  return {
+    addPage,
+    text,
+    line,
+    toBytes,
+  };
+};
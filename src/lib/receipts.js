@@ -0,0 +1,189 @@
+// Donation receipts and year-end giving statements. Only cash gifts whose money has been received
+// are receipted; pledges still awaiting payment, withdrawn pledges and refunds are left out.
+// Receipt numbers come from the counter in meta/receipts (see src/data/wishlist.js). The PDFs are
+// tax documents and stay in English, like the treasurer's export. Gifts are contributions tagged
+// with their itemId, or general fund gifts, which have none.
+import { roundCents, PAYMENT_METHODS } from './items.js';
+import { createPdf, wrapText, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+const currencyFormat = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+const dateFormat = new Intl.DateTimeFormat('en-US', { dateStyle: 'long' });
+
+export const formatReceiptNumber = (receiptNumber) => `R-${String(receiptNumber).padStart(6, '0')}`;
+
+// Received cash gifts, the ones a receipt can be issued for
+export const isReceiptable = (contribution) => (
+  contribution.amount > 0 && contribution.paymentStatus === 'received' && !contribution.cancelledAt
+);
+
+const receivedTime = (contribution) => contribution.receivedAt || contribution.timestamp;
+
+// The calendar year a gift counts toward: the year the money was received, in local time
+export const givingYear = (contribution) => new Date(receivedTime(contribution)).getFullYear();
+
+// Years with receipted gifts, newest first
+export const givingYears = (contributions) => (
+  [...new Set(contributions.filter(isReceiptable).map(givingYear))].sort((a, b) => b - a)
+);
+
+// Received gifts still without a receipt number, oldest first so numbers follow the order the
+// money came in. Gifts received before receipts existed are numbered this way.
+export const unnumberedGifts = (contributions) => contributions
+  .filter(contribution => isReceiptable(contribution) && !contribution.receiptNumber)
+  .sort((a, b) => receivedTime(a) - receivedTime(b));
+
+// Numbered gifts received in the year, in receipt order
+export const receiptsForYear = (contributions, year) => contributions
+  .filter(contribution => isReceiptable(contribution) && contribution.receiptNumber && givingYear(contribution) === year)
+  .sort((a, b) => a.receiptNumber - b.receiptNumber);
+
+// One statement per contributor for the year, grouping their gifts across items by userId
+export const buildStatements = (contributions, year) => {
+  const byUser = new Map();
+  contributions
+    .filter(contribution => isReceiptable(contribution) && givingYear(contribution) === year)
+    .sort((a, b) => receivedTime(a) - receivedTime(b))
+    .forEach(contribution => {
+      byUser.set(contribution.userId, [...(byUser.get(contribution.userId) || []), contribution]);
+    });
+  return [...byUser.entries()]
+    .map(([userId, gifts]) => ({
+      userId,
+      // The name on their latest gift, in case they changed it during the year
+      contributorName: gifts[gifts.length - 1].contributorName || 'Anonymous',
+      year,
+      gifts,
+      total: roundCents(gifts.reduce((sum, gift) => sum + gift.amount, 0)),
+    }))
+    .sort((a, b) => a.contributorName.localeCompare(b.contributorName));
+};
+
+// What a gift went toward: its item, or the general fund when it has none
+const giftToward = (gift, itemNameFor) => (gift.itemId ? itemNameFor(gift.itemId) || 'Wishlist gift' : 'General fund');
+
+// Church name, address lines and tax ID across the top of the page. Returns where the body starts.
+const drawLetterhead = (pdf, letterhead) => {
+  pdf.text(MARGIN, 64, letterhead.name, { size: 18, bold: true });
+  let y = 80;
+  [...(letterhead.address || []), letterhead.taxId && `Tax ID: ${letterhead.taxId}`].filter(Boolean).forEach(line => {
+    pdf.text(MARGIN, y, line, { size: 9, gray: 0.35 });
+    y += 12;
+  });
+  pdf.line(MARGIN, y, RIGHT, y, { width: 1 });
+  return y + 36;
+};
+
+const drawClosing = (pdf, y, letterhead, gifts) => {
+  let lineY = y;
+  [
+    `No goods or services were provided in exchange for ${gifts}.`,
+    'Please keep this document for your tax records.',
+  ].forEach(line => {
+    pdf.text(MARGIN, lineY, line, { size: 10 });
+    lineY += 14;
+  });
+  if (letterhead.signature) {
+    pdf.text(MARGIN, lineY + 22, letterhead.signature, { size: 10, bold: true });
+  }
+};
+
+const drawFooter = (pdf, text) => {
+  pdf.line(MARGIN, PAGE_HEIGHT - 52, RIGHT, PAGE_HEIGHT - 52);
+  pdf.text(PAGE_WIDTH / 2, PAGE_HEIGHT - 38, text, { size: 8, gray: 0.35, align: 'center' });
+};
+
+// A receipt per gift, one page each, for a single download or a bulk print run. `itemNameFor`
+// names the item each gift went toward. Dated when the number was issued, so a receipt
+// downloaded again is the same document.
+export const renderReceipts = (gifts, { letterhead, itemNameFor }) => {
+  const pdf = createPdf();
+  gifts.forEach(gift => {
+    pdf.addPage();
+    let y = drawLetterhead(pdf, letterhead);
+    pdf.text(MARGIN, y, 'Donation Receipt', { size: 16, bold: true });
+    pdf.text(RIGHT, y, `No. ${formatReceiptNumber(gift.receiptNumber)}`, { size: 12, bold: true, align: 'right' });
+    y += 18;
+    pdf.text(MARGIN, y, `Issued ${dateFormat.format(gift.receiptIssuedAt || receivedTime(gift))}`, { size: 9, gray: 0.35 });
+    y += 36;
+
+    [
+      ['Received from', gift.contributorName || 'Anonymous'],
+      ['Amount', currencyFormat.format(gift.amount)],
+      ['Date received', dateFormat.format(receivedTime(gift))],
+      ['Payment method', PAYMENT_METHODS[gift.paymentMethod] || '-'],
+      ['Payment reference', gift.paymentReference || '-'],
+      ['Gift toward', giftToward(gift, itemNameFor)],
+    ].forEach(([label, value]) => {
+      pdf.text(MARGIN, y, label, { size: 10, gray: 0.35 });
+      wrapText(value, RIGHT - MARGIN - 140, 11).forEach((line, index) => {
+        pdf.text(MARGIN + 140, y + index * 14, line, { size: 11, bold: label === 'Amount' });
+      });
+      y += 24;
+    });
+
+    drawClosing(pdf, y + 24, letterhead, 'this contribution');
+    drawFooter(pdf, `${letterhead.name} - Receipt ${formatReceiptNumber(gift.receiptNumber)}`);
+  });
+  return pdf.toBytes();
+};
+
+// Year-end statements, each starting on a new page and running onto more pages as needed
+export const renderStatements = (statements, { letterhead, itemNameFor }) => {
+  const pdf = createPdf();
+  const columns = { date: MARGIN, receipt: MARGIN + 110, item: MARGIN + 180, method: MARGIN + 360, amount: RIGHT };
+
+  statements.forEach(statement => {
+    let pageNumber = 0;
+    let y = 0;
+    const startPage = () => {
+      pdf.addPage();
+      pageNumber += 1;
+      y = drawLetterhead(pdf, letterhead);
+      drawFooter(pdf, `${statement.year} Giving Statement - ${statement.contributorName} - Page ${pageNumber}`);
+    };
+    const drawHeadings = () => {
+      pdf.text(columns.date, y, 'Date received', { size: 9, bold: true });
+      pdf.text(columns.receipt, y, 'Receipt', { size: 9, bold: true });
+      pdf.text(columns.item, y, 'Gift toward', { size: 9, bold: true });
+      pdf.text(columns.method, y, 'Method', { size: 9, bold: true });
+      pdf.text(columns.amount, y, 'Amount', { size: 9, bold: true, align: 'right' });
+      pdf.line(MARGIN, y + 6, RIGHT, y + 6);
+      y += 22;
+    };
+
+    startPage();
+    pdf.text(MARGIN, y, `${statement.year} Giving Statement`, { size: 16, bold: true });
+    y += 20;
+    pdf.text(MARGIN, y, `Prepared for ${statement.contributorName}`, { size: 11 });
+    y += 14;
+    pdf.text(MARGIN, y, `Gifts received January 1 to December 31, ${statement.year}`, { size: 9, gray: 0.35 });
+    y += 32;
+    drawHeadings();
+
+    statement.gifts.forEach(gift => {
+      const itemLines = wrapText(giftToward(gift, itemNameFor), columns.method - columns.item - 12, 10);
+      if (y + itemLines.length * 12 > PAGE_HEIGHT - 90) {
+        startPage();
+        drawHeadings();
+      }
+      pdf.text(columns.date, y, dateFormat.format(receivedTime(gift)), { size: 10 });
+      pdf.text(columns.receipt, y, gift.receiptNumber ? formatReceiptNumber(gift.receiptNumber) : '-', { size: 10 });
+      itemLines.forEach((line, index) => pdf.text(columns.item, y + index * 12, line, { size: 10 }));
+      pdf.text(columns.method, y, PAYMENT_METHODS[gift.paymentMethod] || '-', { size: 10 });
+      pdf.text(columns.amount, y, currencyFormat.format(gift.amount), { size: 10, align: 'right' });
+      y += itemLines.length * 12 + 6;
+    });
+
+    if (y > PAGE_HEIGHT - 170) {
+      startPage();
+    }
+    pdf.line(MARGIN, y - 4, RIGHT, y - 4);
+    pdf.text(columns.method, y + 10, 'Total', { size: 11, bold: true });
+    pdf.text(columns.amount, y + 10, currencyFormat.format(statement.total), { size: 11, bold: true, align: 'right' });
+    drawClosing(pdf, y + 48, letterhead, 'these contributions');
+  });
+  return pdf.toBytes();
+};
@@ -0,0 +1,14 @@
+// Admin roles stored in the admin roster, and the permissions each one grants
+export const ADMIN_ROLES = {
+  owner: { permissions: ['manageAdmins', 'editItems', 'manageFinances'] },
+  editor: { permissions: ['editItems'] },
+  treasurer: { permissions: ['manageFinances'] },
+};
+
+export const hasPermission = (role, permission) => !!ADMIN_ROLES[role]?.permissions.includes(permission);
+
+// Roster entries are keyed by UID, or by lowercased email for admins who have not signed in yet
+export const adminRosterKey = (value) => {
+  const trimmed = value.trim();
+  return trimmed.includes('@') ? trimmed.toLowerCase() : trimmed;
+};
@@ -0,0 +1,522 @@
+// Runs the app's Firestore write paths against the local emulator with firestore.rules loaded,
+// and its photo uploads with storage.rules, checking both what members and admins may do and
+// what they may not. Start with `npm test`, which launches the emulators around this suite.
+//
+// Allowed writes go through the app's own data layer (src/data/wishlist.js). Writes the app
+// would refuse to make, such as pledging past the remaining balance, are made directly to play
+// a client that skips those checks.
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { collection, collectionGroup, doc, setDoc, updateDoc, deleteDoc, getDoc, getDocs, query, where, runTransaction } from 'firebase/firestore';
+import { createWishlistData } from '../src/data/wishlist.js';
+import { createImageStore } from '../src/data/images.js';
+
+const appId = 'test-app';
+const dataPath = `artifacts/${appId}/public/data`;
+
+let testEnv;
+
+// The data layer and photo store for a signed-in user, along with the actor it records changes under
+const signIn = (uid, token = {}) => {
+  const context = testEnv.authenticatedContext(uid, token);
+  const db = context.firestore();
+  return { db, data: createWishlistData(db, appId), images: createImageStore(context.storage(), appId), actor: { uid, name: uid } };
+};
+const owner = () => signIn('owner-uid', { email: 'owner@example.org' });
+const editor = () => signIn('editor-uid', { email: 'editor@example.org' });
+const treasurer = () => signIn('treasurer-uid', { email: 'treasurer@example.org' });
+const member = (uid = 'member-uid') => signIn(uid);
+
+const itemRef = (db, itemId) => doc(db, `${dataPath}/wishlistItems/${itemId}`);
+const auditEntry = (db, actorId, entry) => [doc(collection(db, `${dataPath}/auditLog`)), { actorId, timestamp: Date.now(), ...entry }];
+
+const newItem = (overrides = {}) => ({
+  itemName: 'Bema Table',
+  category: 'Sanctuary',
+  expectedCost: 800,
+  contributionType: 'cash',
+  dateNeeded: '2026-12-24',
+  isPartialAllowed: true,
+  quantityNeeded: null,
+  recurrence: null,
+  ...overrides,
+});
+
+// A pledge as handleContribute builds it
+const pledge = ({ actor }, itemId, fields) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+  itemId,
+  userId: actor.uid,
+  contributorName: actor.name,
+  timestamp: Date.now(),
+  ...fields,
+});
+
+// The newest contribution to an item, read back to withdraw or edit it
+const lastContribution = async ({ db }, itemId) => {
+  const itemDoc = await getDoc(itemRef(db, itemId));
+  const contributionId = itemDoc.data().lastContributionId;
+  const contributionDoc = await getDoc(doc(itemRef(db, itemId), 'contributions', contributionId));
+  return { id: contributionId, ...contributionDoc.data() };
+};
+
+// Records a contribution and writes the given totals to the item without the data layer's
+// checks. `totals` can misreport the change to play a dishonest client.
+const rawPledge = ({ db, actor }, itemId, contribution, totals) => runTransaction(db, async (transaction) => {
+  await transaction.get(itemRef(db, itemId));
+  const contributionRef = doc(collection(itemRef(db, itemId), 'contributions'));
+  transaction.set(contributionRef, { userId: actor.uid, contributorName: actor.name, timestamp: Date.now(), ...contribution });
+  transaction.update(itemRef(db, itemId), { ...totals, lastContributionId: contributionRef.id });
+});
+
+// Cancels a contribution and writes the given totals to the item, as rawPledge does for new pledges
+const rawWithdraw = ({ db, actor }, itemId, contributionId, totals) => runTransaction(db, async (transaction) => {
+  await transaction.get(itemRef(db, itemId));
+  transaction.update(doc(itemRef(db, itemId), 'contributions', contributionId), { cancelledAt: Date.now(), cancelledBy: actor.uid, cancelReason: 'withdrawn' });
+  transaction.update(itemRef(db, itemId), { ...totals, lastContributionId: contributionId });
+});
+
+// Puts a contribution and item totals in place directly, such as ones left by older versions
+const seedContribution = (itemId, contributionId, contribution, totals) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await setDoc(doc(itemRef(db, itemId), 'contributions', contributionId), { timestamp: Date.now(), ...contribution });
+  await updateDoc(itemRef(db, itemId), totals);
+});
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-wishlist',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, `${dataPath}/admins/owner-uid`), { role: 'owner' });
+    await setDoc(doc(db, `${dataPath}/admins/editor@example.org`), { role: 'editor', email: 'editor@example.org' });
+    await setDoc(doc(db, `${dataPath}/admins/treasurer@example.org`), { role: 'treasurer', email: 'treasurer@example.org' });
+    const base = { status: 'Pending', currentContributions: 0, createdAt: new Date() };
+    await setDoc(itemRef(db, 'bema'), { ...newItem(), ...base });
+    await setDoc(itemRef(db, 'flag'), { ...newItem({ itemName: 'New Flag Pole', contributionType: 'item', isPartialAllowed: false }), ...base });
+    await setDoc(itemRef(db, 'hymnals'), { ...newItem({ itemName: 'Hymnals', contributionType: 'item', isPartialAllowed: false, quantityNeeded: 40 }), ...base, quantityClaimed: 0 });
+  });
+});
+
+describe('handleSubmitItem', () => {
+  test('an editor on the roster by email can add an item', async () => {
+    const { data, actor } = editor();
+    await assertSucceeds(data.createItem(actor, newItem({ itemName: 'Chairs' })));
+  });
+
+  test('an owner can edit an item', async () => {
+    const { data, actor } = owner();
+    await assertSucceeds(data.updateItem(actor, 'bema', newItem({ expectedCost: 900 })));
+  });
+
+  test('a member cannot add an item', async () => {
+    const { data, actor } = member();
+    await assertFails(data.createItem(actor, newItem({ itemName: 'Chairs' })));
+  });
+
+  test('a member cannot edit an item', async () => {
+    const { data, actor } = member();
+    await assertFails(data.updateItem(actor, 'bema', newItem({ expectedCost: 1 })));
+  });
+
+  test('a treasurer cannot edit an item', async () => {
+    const { data, actor } = treasurer();
+    await assertFails(data.updateItem(actor, 'bema', newItem({ expectedCost: 900 })));
+    await assertFails(data.setItemDeleted(actor, 'bema', true));
+  });
+
+  test('an editor cannot change what has been received', async () => {
+    await assertFails(updateDoc(itemRef(editor().db, 'bema'), { receivedContributions: 800, status: 'Completed' }));
+  });
+
+  test('an admin cannot save an invalid item', async () => {
+    const { data, actor } = owner();
+    await assertFails(data.updateItem(actor, 'bema', newItem({ contributionType: 'favour' })));
+  });
+});
+
+describe('handleUploadItemImage', () => {
+  const photo = (type = 'image/jpeg', size = 1024) => new File([new Uint8Array(size)], 'bema.jpg', { type });
+
+  test('an editor can add photos to an item and reorder them', async () => {
+    const { data, images, actor } = editor();
+    const first = await images.uploadItemImage(photo());
+    const second = await images.uploadItemImage(photo('image/png'));
+    await assertSucceeds(data.updateItem(actor, 'bema', newItem({ images: [first, second] })));
+    await assertSucceeds(data.updateItem(actor, 'bema', newItem({ images: [second, first] })));
+  });
+
+  test('a member cannot upload a photo', async () => {
+    const { images } = member();
+    await assertFails(images.uploadItemImage(photo()));
+  });
+
+  test('only images up to 5 MB are accepted', async () => {
+    const { images } = editor();
+    await assertFails(images.uploadItemImage(photo('text/html')));
+    await assertFails(images.uploadItemImage(photo('image/jpeg', 5 * 1024 * 1024 + 1)));
+  });
+
+  test('only an editor can remove a photo', async () => {
+    const { images } = editor();
+    const { path } = await images.uploadItemImage(photo());
+    await assertFails(member().images.deleteItemImage(path));
+    await assertSucceeds(images.deleteItemImage(path));
+  });
+
+  test('vendor links must be web addresses', async () => {
+    const { data, actor } = owner();
+    await assertSucceeds(data.updateItem(actor, 'bema', newItem({ vendorLinks: [{ label: 'Church Supply Co.', url: 'https://example.com/bema' }], specs: 'Oak, 120 × 60 cm' })));
+    await assertFails(data.updateItem(actor, 'bema', newItem({ vendorLinks: [{ label: 'Shop', url: 'javascript:alert(1)' }] })));
+  });
+});
+
+describe('handleSaveCampaign', () => {
+  const newCampaign = (overrides = {}) => ({
+    name: 'Christmas 2026',
+    description: null,
+    startDate: '2026-11-01',
+    endDate: '2026-12-25',
+    goal: 5000,
+    ...overrides,
+  });
+
+  test('an editor can add a campaign and put an item in it', async () => {
+    const { data, actor } = editor();
+    const campaignId = await data.createCampaign(actor, newCampaign());
+    await assertSucceeds(data.updateItem(actor, 'bema', newItem({ campaignId })));
+  });
+
+  test('a member cannot add a campaign', async () => {
+    const { data, actor } = member();
+    await assertFails(data.createCampaign(actor, newCampaign()));
+  });
+
+  test('a campaign must end after it starts and have a goal', async () => {
+    const { data, actor } = owner();
+    await assertFails(data.createCampaign(actor, newCampaign({ endDate: '2026-10-01' })));
+    await assertFails(data.createCampaign(actor, newCampaign({ goal: 0 })));
+  });
+});
+
+describe('handleContribute', () => {
+  test('a member can give toward a partial cash item', async () => {
+    const giver = member();
+    await assertSucceeds(giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 250 })));
+  });
+
+  test('a second member can give toward the same item', async () => {
+    const giver = member();
+    const other = member('other-uid');
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 250 }));
+    await assertSucceeds(other.data.submitPledge(pledge(other, 'bema', { kind: 'cash', amount: 550 })));
+  });
+
+  test('a partial gift leaves the item funding until it is fully pledged', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 250 }));
+    assert.equal((await getDoc(itemRef(giver.db, 'bema'))).data().status, 'Funding');
+    await assertFails(rawPledge(giver, 'bema', { amount: 50, paymentStatus: 'pledged' }, { currentContributions: 300, status: 'Signed Up' }));
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 550 }));
+    assert.equal((await getDoc(itemRef(giver.db, 'bema'))).data().status, 'Signed Up');
+  });
+
+  test('a gift beyond the remaining balance is rejected', async () => {
+    await assertFails(rawPledge(member(), 'bema', { amount: 5000, paymentStatus: 'pledged' }, { currentContributions: 5000, status: 'Signed Up' }));
+  });
+
+  test('the total cannot be inflated past the gift that was recorded', async () => {
+    await assertFails(rawPledge(member(), 'bema', { amount: 10, paymentStatus: 'pledged' }, { currentContributions: 700, status: 'Funding' }));
+  });
+
+  test('the total cannot be changed without a contribution', async () => {
+    await assertFails(updateDoc(itemRef(member().db, 'bema'), { currentContributions: 800, status: 'Completed' }));
+  });
+
+  test('a member cannot record a gift as already received', async () => {
+    await assertFails(rawPledge(member(), 'bema', { amount: 100, paymentStatus: 'received' }, { currentContributions: 100, status: 'Funding' }));
+  });
+
+  test('a member can pledge part of a quantity, but not more than remains', async () => {
+    const giver = member();
+    await assertSucceeds(giver.data.submitPledge(pledge(giver, 'hymnals', { kind: 'quantity', quantity: 30 })));
+    await assertFails(rawPledge(member('other-uid'), 'hymnals', { type: 'signup', quantity: 20 }, { quantityClaimed: 50, status: 'Completed' }));
+  });
+
+  test('a member can sign up for an item and withdraw the sign-up', async () => {
+    const giver = member();
+    await assertSucceeds(giver.data.submitPledge(pledge(giver, 'flag', { kind: 'signup' })));
+    const contribution = await lastContribution(giver, 'flag');
+    await assertSucceeds(giver.data.cancelPledge(giver.actor, 'flag', 'withdrawn', contribution));
+  });
+
+  test('a member cannot take over or withdraw someone else\'s sign-up', async () => {
+    const giver = member();
+    const other = member('other-uid');
+    await giver.data.submitPledge(pledge(giver, 'flag', { kind: 'signup' }));
+    const contribution = await lastContribution(giver, 'flag');
+    await assertFails(rawPledge(other, 'flag', { type: 'signup' }, { status: 'Signed Up', contributorId: 'other-uid', contributorName: 'other-uid' }));
+    await assertFails(other.data.cancelPledge(other.actor, 'flag', 'withdrawn', contribution));
+  });
+
+  test('a member can change and withdraw their own pledges', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 250 }));
+    const gift = await lastContribution(giver, 'bema');
+    await assertSucceeds(giver.data.updatePledge(giver.actor, 'bema', gift.id, 300));
+    await assertSucceeds(giver.data.cancelPledge(giver.actor, 'bema', 'withdrawn', { ...gift, amount: 300 }));
+    await giver.data.submitPledge(pledge(giver, 'hymnals', { kind: 'quantity', quantity: 10 }));
+    const claim = await lastContribution(giver, 'hymnals');
+    await assertSucceeds(giver.data.updatePledge(giver.actor, 'hymnals', claim.id, 12));
+    await assertSucceeds(giver.data.cancelPledge(giver.actor, 'hymnals', 'withdrawn', { ...claim, quantity: 12 }));
+  });
+
+  test('a pledge cannot carry fields that belong to another kind of pledge or to the treasurer', async () => {
+    await assertFails(rawPledge(member(), 'hymnals', { type: 'signup', quantity: 1, amount: 800 }, { quantityClaimed: 1, status: 'Signed Up' }));
+    await assertFails(rawPledge(member(), 'bema', { type: 'signup', quantity: 1 }, { currentContributions: 0, status: 'Pending' }));
+    await assertFails(rawPledge(member(), 'bema', { amount: 100, paymentStatus: 'pledged', receiptNumber: 7 }, { currentContributions: 100, status: 'Funding' }));
+  });
+
+  test('a pledge is stamped with the time it is made', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await assertFails(rawPledge(member(), 'bema', { amount: 100, paymentStatus: 'pledged', timestamp: Date.now() + day }, { currentContributions: 100, status: 'Funding' }));
+    await assertFails(rawPledge(member(), 'bema', { amount: 100, paymentStatus: 'pledged', timestamp: Date.now() - day }, { currentContributions: 100, status: 'Funding' }));
+  });
+
+  test('withdrawing a pledge only gives back what it took from the item', async () => {
+    // A quantity pledge that also names an amount, as a client that skipped the checks could have left
+    await seedContribution('hymnals', 'mixed', { userId: 'member-uid', contributorName: 'member-uid', type: 'signup', quantity: 5, amount: 5 }, { quantityClaimed: 5, status: 'Signed Up' });
+    await assertFails(rawWithdraw(member(), 'hymnals', 'mixed', { currentContributions: 0, quantityClaimed: 0, status: 'Pending', contributorId: 'member-uid', contributorName: 'member-uid', signUpContributionId: 'mixed' }));
+    await assertFails(rawWithdraw(member(), 'hymnals', 'mixed', { currentContributions: -5, status: 'Pending' }));
+    await assertSucceeds(rawWithdraw(member(), 'hymnals', 'mixed', { quantityClaimed: 0, status: 'Pending' }));
+  });
+
+  test('withdrawing a pledge cannot take the total below zero', async () => {
+    await seedContribution('bema', 'large', { userId: 'member-uid', contributorName: 'member-uid', amount: 50, paymentStatus: 'pledged' }, { currentContributions: 10, status: 'Funding' });
+    await assertFails(rawWithdraw(member(), 'bema', 'large', { currentContributions: -40, status: 'Pending' }));
+  });
+
+  test('a member can give the excess of a gift to the general fund', async () => {
+    const giver = member();
+    await assertSucceeds(giver.data.submitPledge(pledge(giver, null, { kind: 'generalFund', amount: 20, sourceItemId: 'bema' })));
+    await assertSucceeds(getDocs(giver.data.userGeneralFundGifts('member-uid')));
+    await assertFails(getDocs(member('other-uid').data.userGeneralFundGifts('member-uid')));
+  });
+
+  test('a member cannot log or announce changes they did not make', async () => {
+    const { db } = member();
+    const forged = [
+      { action: 'pledge.created', contributorId: 'member-uid', itemId: 'bema', amount: 800 },
+      { action: 'payment.received', contributorId: 'member-uid', itemId: 'bema', amount: 800 },
+      { action: 'generalFund.gift', contributorId: 'member-uid', giftId: 'no-such-gift', amount: 800 },
+    ];
+    for (const fields of forged) {
+      await assertFails(setDoc(...auditEntry(db, 'member-uid', fields)));
+    }
+    const event = { type: 'statusChange', itemId: 'bema', itemName: 'Bema Table', contributionType: 'cash', fromStatus: 'Pending', toStatus: 'Completed', actorName: 'member-uid', timestamp: Date.now(), digestedAt: null };
+    await assertFails(setDoc(doc(collection(db, `${dataPath}/notificationEvents`)), event));
+  });
+
+  test('an audit entry cannot be backdated', async () => {
+    const { db } = owner();
+    await assertFails(setDoc(...auditEntry(db, 'owner-uid', { action: 'item.updated', itemId: 'bema', timestamp: Date.now() - 24 * 60 * 60 * 1000 })));
+  });
+
+  test('an audit entry cannot be rewritten or removed', async () => {
+    const [entryRef, entry] = auditEntry(owner().db, 'owner-uid', { action: 'item.updated', itemId: 'bema' });
+    await assertSucceeds(setDoc(entryRef, entry));
+    await assertFails(updateDoc(doc(owner().db, entryRef.path), { action: 'nothing' }));
+    await assertFails(deleteDoc(doc(owner().db, entryRef.path)));
+  });
+});
+
+describe('handleOpenItem', () => {
+  test('a member reads only their own contributions', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    const { id } = await lastContribution(giver, 'bema');
+    const other = member('other-uid');
+    await assertSucceeds(getDocs(giver.data.userItemContributions('bema', 'member-uid')));
+    await assertSucceeds(getDocs(giver.data.userContributions('member-uid')));
+    await assertFails(getDoc(doc(itemRef(other.db, 'bema'), 'contributions', id)));
+    await assertFails(getDocs(other.data.contributions('bema')));
+    await assertFails(getDocs(other.data.userContributions('member-uid')));
+  });
+
+  test('payment details are not public', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    const { id } = await lastContribution(giver, 'bema');
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(itemRef(db, 'bema'), 'contributions', id)));
+    await assertFails(getDocs(collectionGroup(db, 'contributions')));
+    await assertFails(getDocs(query(collectionGroup(db, 'contributions'), where('paymentStatus', '==', 'received'))));
+  });
+
+  test('editors and treasurers read every contribution to an item', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    await assertSucceeds(getDocs(editor().data.contributions('bema')));
+    await assertSucceeds(getDocs(treasurer().data.contributions('bema')));
+    await assertFails(getDocs(collectionGroup(treasurer().db, 'contributions')));
+  });
+});
+
+describe('handleMarkReceived', () => {
+  const receiveGift = async (amount) => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount }));
+    const { id } = await lastContribution(giver, 'bema');
+    const { data, actor } = owner();
+    await data.markReceived(actor, [{ itemId: 'bema', contributionId: id }], 'check');
+    return lastContribution(giver, 'bema');
+  };
+
+  test('received gifts are given receipt numbers in turn', async () => {
+    assert.equal((await receiveGift(100)).receiptNumber, 1);
+    assert.equal((await receiveGift(50)).receiptNumber, 2);
+  });
+
+  test('a treasurer can record received gifts, but an editor cannot', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    const { id } = await lastContribution(giver, 'bema');
+    const entries = [{ itemId: 'bema', contributionId: id }];
+    const staff = editor();
+    await assertFails(staff.data.markReceived(staff.actor, entries, 'check'));
+    const { data, actor } = treasurer();
+    await assertSucceeds(data.markReceived(actor, entries, 'check'));
+  });
+
+  test('a treasurer can record a general fund gift as received, but its giver cannot', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, null, { kind: 'generalFund', amount: 20, sourceItemId: 'bema' }));
+    const [gift] = (await getDocs(giver.data.userGeneralFundGifts('member-uid'))).docs;
+    assert.equal(gift.data().paymentStatus, 'pledged');
+    await assertFails(updateDoc(gift.ref, { paymentStatus: 'received', receiptNumber: 1 }));
+    const { db, data, actor } = treasurer();
+    await assertSucceeds(data.markReceived(actor, [{ giftId: gift.id }], 'cash'));
+    const received = (await getDoc(doc(db, `${dataPath}/generalFund/${gift.id}`))).data();
+    assert.equal(received.paymentStatus, 'received');
+    assert.equal(received.receiptNumber, 1);
+  });
+
+  test('an editor can release a pledge but not touch its payment', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    const contribution = await lastContribution(giver, 'bema');
+    const { db, data, actor } = editor();
+    await assertFails(updateDoc(doc(itemRef(db, 'bema'), 'contributions', contribution.id), { paymentStatus: 'received', receiptNumber: 1 }));
+    await assertSucceeds(data.cancelPledge(actor, 'bema', 'released', contribution));
+  });
+
+  test('an editor cannot release a paid pledge or one from an earlier cycle', async () => {
+    const release = { cancelledAt: Date.now(), cancelledBy: 'editor-uid', cancelReason: 'released' };
+    await seedContribution('bema', 'paid', { userId: 'member-uid', contributorName: 'member-uid', amount: 100, paymentStatus: 'received', timestamp: Date.now() }, { currentContributions: 100, status: 'Funding' });
+    await seedContribution('bema', 'old', { userId: 'member-uid', contributorName: 'member-uid', amount: 50, paymentStatus: 'pledged', timestamp: 1 }, { cycleStartedAt: 2 });
+    const { db, data, actor } = editor();
+    await assert.rejects(data.cancelPledge(actor, 'bema', 'released', { id: 'paid' }), /already been paid/);
+    await assert.rejects(data.cancelPledge(actor, 'bema', 'released', { id: 'old' }), /earlier cycle/);
+    await assertFails(updateDoc(doc(itemRef(db, 'bema'), 'contributions', 'paid'), release));
+    await assertFails(updateDoc(doc(itemRef(db, 'bema'), 'contributions', 'old'), release));
+  });
+
+  test('a member cannot take receipt numbers', async () => {
+    const { db } = member();
+    await assertFails(setDoc(doc(db, `${dataPath}/meta/receipts`), { lastNumber: 5 }));
+  });
+
+  test('receipt numbers are never handed out twice', async () => {
+    await receiveGift(100);
+    const { db } = owner();
+    await assertFails(setDoc(doc(db, `${dataPath}/meta/receipts`), { lastNumber: 1 }));
+  });
+
+  test('a pledge from an earlier cycle is received into that cycle, not the current one', async () => {
+    const giver = member();
+    await giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 100 }));
+    const { id } = await lastContribution(giver, 'bema');
+    const closedAt = Date.now() + 1000;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await updateDoc(itemRef(db, 'bema'), { cycleStartedAt: closedAt, currentContributions: 0 });
+      await setDoc(doc(itemRef(db, 'bema'), 'cycles', 'first'), {
+        cycleNumber: 1, status: 'Funding', expectedCost: 800, currentContributions: 100,
+        receivedContributions: 0, startedAt: 0, closedAt,
+      });
+    });
+    const { db, data, actor } = treasurer();
+    await assertSucceeds(data.markReceived(actor, [{ itemId: 'bema', contributionId: id }], 'check'));
+    assert.equal((await getDoc(itemRef(db, 'bema'))).data().receivedContributions || 0, 0);
+    assert.equal((await getDoc(doc(itemRef(db, 'bema'), 'cycles', 'first'))).data().receivedContributions, 100);
+  });
+
+  test('a treasurer can only move an archived cycle\'s received total', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(itemRef(context.firestore(), 'bema'), 'cycles', 'first'), {
+        cycleNumber: 1, status: 'Funding', expectedCost: 800, currentContributions: 100,
+        receivedContributions: 0, startedAt: 0, closedAt: Date.now(),
+      });
+    });
+    const cycleRef = (db) => doc(itemRef(db, 'bema'), 'cycles', 'first');
+    await assertFails(updateDoc(cycleRef(treasurer().db), { expectedCost: 100 }));
+    await assertFails(updateDoc(cycleRef(member().db), { receivedContributions: 100 }));
+    await assertSucceeds(updateDoc(cycleRef(treasurer().db), { receivedContributions: 100 }));
+  });
+});
+
+describe('handleDeleteItem', () => {
+  test('an editor can soft-delete an item', async () => {
+    const { data, actor } = editor();
+    await assertSucceeds(data.setItemDeleted(actor, 'bema', true));
+  });
+
+  test('a member cannot delete an item', async () => {
+    const { data, actor } = member();
+    await assertFails(data.setItemDeleted(actor, 'bema', true));
+  });
+
+  test('items cannot be hard-deleted, even by an owner', async () => {
+    await assertFails(deleteDoc(itemRef(owner().db, 'bema')));
+  });
+
+  test('a member cannot give toward a deleted item', async () => {
+    const { data, actor } = editor();
+    await data.setItemDeleted(actor, 'bema', true);
+    const giver = member();
+    await assertFails(giver.data.submitPledge(pledge(giver, 'bema', { kind: 'cash', amount: 50 })));
+  });
+});
+
+describe('handleChangeLanguage', () => {
+  test('a member can save their own language', async () => {
+    const { data } = member();
+    await assertSucceeds(data.savePreferences('member-uid', { language: 'ml' }));
+    await assertSucceeds(getDoc(data.preferences('member-uid')));
+  });
+
+  test('only languages the app offers can be saved', async () => {
+    const { data } = member();
+    await assertFails(data.savePreferences('member-uid', { language: 'xx' }));
+  });
+
+  test('a member cannot read or change someone else\'s preferences', async () => {
+    const { data } = member('other-uid');
+    await assertFails(data.savePreferences('member-uid', { language: 'en' }));
+    await assertFails(getDoc(data.preferences('member-uid')));
+  });
+});
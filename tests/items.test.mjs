@@ -0,0 +1,65 @@
+// Checks the item helpers in src/lib/items.js that decide an item's status and cycle, which the
+// web app, the payment server and the digest job all rely on.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { needsRollover, statusAfterEdit, contributionKind } from '../src/lib/items.js';
+
+const monthly = { recurrence: { frequency: 'monthly' }, dateNeeded: '2026-12-06' };
+
+describe('needsRollover', () => {
+  test('a recurring item rolls over once its date has passed', () => {
+    assert.equal(needsRollover({ ...monthly, contributionType: 'item', status: 'Signed Up' }, '2026-12-06'), false);
+    assert.equal(needsRollover({ ...monthly, contributionType: 'item', status: 'Signed Up' }, '2026-12-07'), true);
+  });
+
+  test('a complete item rolls over straight away', () => {
+    assert.equal(needsRollover({ ...monthly, contributionType: 'item', status: 'Completed' }, '2026-12-01'), true);
+  });
+
+  test('a cash item waits until every pledge has been paid', () => {
+    const pledged = { ...monthly, contributionType: 'cash', status: 'Signed Up', expectedCost: 100, currentContributions: 100, receivedContributions: 40 };
+    assert.equal(needsRollover(pledged, '2026-12-07'), false);
+    assert.equal(needsRollover({ ...pledged, receivedContributions: 100, status: 'Completed' }, '2026-12-07'), true);
+    assert.equal(needsRollover({ ...pledged, currentContributions: 40, status: 'Funding' }, '2026-12-07'), true);
+  });
+
+  test('an item that does not recur never rolls over', () => {
+    assert.equal(needsRollover({ dateNeeded: '2026-12-06', status: 'Completed' }, '2026-12-07'), false);
+  });
+});
+
+describe('statusAfterEdit', () => {
+  const partial = { contributionType: 'cash', isPartialAllowed: true, expectedCost: 800, currentContributions: 500, receivedContributions: 0, status: 'Funding' };
+
+  test('raising the cost reopens a fully pledged cash item for gifts', () => {
+    assert.equal(statusAfterEdit({ ...partial, currentContributions: 800, status: 'Signed Up' }, { ...partial, expectedCost: 1000 }), 'Funding');
+  });
+
+  test('lowering the cost to what is pledged or received moves the item on', () => {
+    assert.equal(statusAfterEdit(partial, { ...partial, expectedCost: 500 }), 'Signed Up');
+    assert.equal(statusAfterEdit({ ...partial, receivedContributions: 500 }, { ...partial, expectedCost: 500 }), 'Completed');
+  });
+
+  test('a sponsored item stays signed up whatever it costs', () => {
+    const sponsored = { contributionType: 'cash', isPartialAllowed: false, expectedCost: 300, currentContributions: 300, status: 'Signed Up' };
+    assert.equal(statusAfterEdit(sponsored, { ...sponsored, expectedCost: 450 }), 'Signed Up');
+  });
+
+  test('the status of a quantity item follows the new quantity', () => {
+    const hymnals = { contributionType: 'item', quantityNeeded: 40, quantityClaimed: 30, status: 'Signed Up' };
+    assert.equal(statusAfterEdit(hymnals, { ...hymnals, quantityNeeded: 30 }), 'Completed');
+  });
+
+  test('an item without pledges keeps its status', () => {
+    assert.equal(statusAfterEdit({ ...partial, currentContributions: 0, status: 'Pending' }, { ...partial, expectedCost: 100 }), null);
+  });
+});
+
+describe('contributionKind', () => {
+  test('each kind of pledge is told apart by what submitPledge stored', () => {
+    assert.equal(contributionKind({ amount: 50 }), 'cash');
+    assert.equal(contributionKind({ type: 'sponsorship', amount: 300 }), 'sponsorship');
+    assert.equal(contributionKind({ type: 'signup', quantity: 4 }), 'quantity');
+    assert.equal(contributionKind({ type: 'signup' }), 'signup');
+  });
+});
@@ -0,0 +1,188 @@
+// Checks the notification digests without Firestore: which admins hear about what, and that the
+// SMTP and webhook transports deliver them. The SMTP transport talks to a small mail catcher
+// started in this process, the same way it talks to MailHog in development.
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { buildDigests, findDueSoonItems } from '../notifications/digest.mjs';
+import { createSmtpTransport, createWebhookTransport } from '../notifications/transports.mjs';
+
+const now = new Date(2026, 11, 10);
+
+const admins = [
+  { id: 'owner-uid', role: 'owner', email: 'owner@example.org' },
+  { id: 'editor@example.org', role: 'editor', email: 'editor@example.org' },
+  { id: 'treasurer@example.org', role: 'treasurer', email: 'treasurer@example.org' },
+  { id: 'no-email-uid', role: 'owner', email: null },
+];
+
+const statusChange = (overrides = {}) => ({
+  id: 'event-1',
+  type: 'statusChange',
+  itemName: 'Bema Table',
+  contributionType: 'cash',
+  fromStatus: 'Pending',
+  toStatus: 'Signed Up',
+  actorName: 'Member',
+  timestamp: Date.UTC(2026, 11, 9),
+  digestedAt: null,
+  ...overrides,
+});
+
+// Accepts mail like a local mail catcher and keeps each message it receives
+const startMailCatcher = () => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding('utf8');
+    reply('220 localhost mail catcher');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      if (message?.reading) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        message.data = buffer.slice(0, end);
+        message.reading = false;
+        messages.push(message);
+        buffer = buffer.slice(end + 5);
+        reply('250 Queued');
+      }
+      let index;
+      while (!message?.reading && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (line.startsWith('EHLO')) {
+          reply('250-localhost');
+          reply('250 AUTH PLAIN');
+        } else if (line.startsWith('AUTH PLAIN')) {
+          reply('235 Authenticated');
+        } else if (line.startsWith('MAIL FROM:')) {
+          message = { from: line.slice('MAIL FROM:'.length), to: [] };
+          reply('250 OK');
+        } else if (line.startsWith('RCPT TO:')) {
+          message.to.push(line.slice('RCPT TO:'.length));
+          reply('250 OK');
+        } else if (line === 'DATA') {
+          message.reading = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (line === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('500 Unknown command');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+describe('findDueSoonItems', () => {
+  const items = [
+    { id: 'bema', itemName: 'Bema Table', status: 'Pending', dateNeeded: '2026-12-20' },
+    { id: 'candles', itemName: 'Candles', status: 'Funding', dateNeeded: '2026-12-12' },
+    { id: 'flag', itemName: 'Flag Pole', status: 'Pending', dateNeeded: '2026-12-05' },
+    { id: 'chairs', itemName: 'Chairs', status: 'Pending', dateNeeded: '2027-03-01' },
+    { id: 'hymnals', itemName: 'Hymnals', status: 'Signed Up', dateNeeded: '2026-12-11' },
+    { id: 'old', itemName: 'Old Lectern', status: 'Pending', dateNeeded: '2026-12-11', deletedAt: Date.UTC(2026, 10, 1) },
+  ];
+
+  test('lists open items needed within the window, overdue ones first', () => {
+    const dueSoon = findDueSoonItems(items, { days: 14, now });
+    assert.deepEqual(dueSoon.map(item => [item.id, item.daysUntilNeeded]), [['flag', -5], ['candles', 2], ['bema', 10]]);
+  });
+
+  test('leaves out items needed after the window', () => {
+    assert.deepEqual(findDueSoonItems(items, { days: 3, now }).map(item => item.id), ['flag', 'candles']);
+  });
+});
+
+describe('buildDigests', () => {
+  test('each role hears about the items it looks after', () => {
+    const events = [statusChange(), statusChange({ id: 'event-2', itemName: 'Flag Pole', contributionType: 'item' })];
+    const dueSoonItems = findDueSoonItems([{ id: 'bema', itemName: 'Bema Table', status: 'Pending', dateNeeded: '2026-12-10' }], { now });
+    const digests = Object.fromEntries(buildDigests({ admins, events, dueSoonItems }).map(digest => [digest.to, digest]));
+
+    assert.deepEqual(Object.keys(digests).sort(), ['editor@example.org', 'owner@example.org', 'treasurer@example.org']);
+    assert.deepEqual(digests['owner@example.org'].eventIds, ['event-1', 'event-2']);
+    assert.deepEqual(digests['editor@example.org'].eventIds, ['event-2']);
+    assert.deepEqual(digests['treasurer@example.org'].eventIds, ['event-1']);
+    assert.match(digests['owner@example.org'].text, /Bema Table: Pending -> Signed Up \(Member, 2026-12-09\)/);
+    assert.match(digests['editor@example.org'].text, /Bema Table: needed today/);
+    assert.doesNotMatch(digests['treasurer@example.org'].text, /needed today/);
+  });
+
+  test('admins with nothing to report get no digest', () => {
+    assert.deepEqual(buildDigests({ admins, events: [statusChange({ contributionType: 'item' })], dueSoonItems: [] }).map(digest => digest.to), ['owner@example.org', 'editor@example.org']);
+    assert.deepEqual(buildDigests({ admins, events: [], dueSoonItems: [] }), []);
+  });
+});
+
+describe('createSmtpTransport', () => {
+  let catcher;
+
+  before(async () => {
+    catcher = await startMailCatcher();
+  });
+
+  after(() => new Promise(resolve => catcher.server.close(resolve)));
+
+  beforeEach(() => {
+    catcher.messages.length = 0;
+  });
+
+  test('delivers a digest to the mail catcher', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: catcher.port, from: 'wishlist@example.org' });
+    await transport.send({ to: 'owner@example.org', subject: 'Wishlist: 1 update(s)', text: '- Bema Table: Pending -> Signed Up\n.hidden line\n' });
+
+    assert.equal(catcher.messages.length, 1);
+    const [message] = catcher.messages;
+    assert.equal(message.from, '<wishlist@example.org>');
+    assert.deepEqual(message.to, ['<owner@example.org>']);
+    assert.match(message.data, /^Subject: Wishlist: 1 update\(s\)$/m);
+    assert.match(message.data, /\r\n\r\n- Bema Table: Pending -> Signed Up\r\n\.\.hidden line\r\n/);
+  });
+
+  test('encodes subjects that are not plain ASCII', async () => {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: catcher.port, from: 'wishlist@example.org', user: 'wishlist', pass: 'secret' });
+    await transport.send({ to: 'owner@example.org', subject: 'ബേമ മേശ', text: 'Hello\n' });
+    assert.match(catcher.messages[0].data, /^Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/m);
+  });
+
+  test('fails when the server is not listening', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    const transport = createSmtpTransport({ host: '127.0.0.1', port, from: 'wishlist@example.org' });
+    await assert.rejects(transport.send({ to: 'owner@example.org', subject: 'Hi', text: 'Hi\n' }));
+  });
+});
+
+describe('createWebhookTransport', () => {
+  test('posts the digest signed with the shared secret', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ body, signature: req.headers['x-wishlist-signature'] });
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const transport = createWebhookTransport({ url: `http://127.0.0.1:${server.address().port}/digest`, secret: 'hook-secret' });
+      await transport.send({ to: 'owner@example.org', subject: 'Hi', text: 'Hi\n' });
+      const [{ body, signature }] = received;
+      assert.equal(JSON.parse(body).to, 'owner@example.org');
+      assert.equal(signature, `sha256=${crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex')}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
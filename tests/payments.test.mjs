@@ -0,0 +1,190 @@
+// Checks the payment server's webhook handling offline: signatures, event parsing, and that a
+// payment delivered more than once is only recorded once. Firestore is played by a small
+// in-memory stand-in for the parts of the Admin SDK that record-payment.mjs uses.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { signPayload, verifySignature, parseCheckoutEvent, createMockProvider } from '../payments/providers.mjs';
+import { recordOnlinePayment } from '../payments/record-payment.mjs';
+import { parseAllowedOrigin, parseReturnUrl, withOutcome } from '../payments/return-url.mjs';
+
+const appId = 'test-app';
+const dataPath = `artifacts/${appId}/public/data`;
+const secret = 'test-secret';
+
+// Documents keyed by path, with transactions that read and write them directly
+const createMemoryDb = (documents = {}) => {
+  const store = new Map(Object.entries(documents));
+  let nextId = 0;
+  const docRef = (path) => ({
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+  const collectionRef = (path) => ({
+    doc: (id = `auto-${++nextId}`) => docRef(`${path}/${id}`),
+  });
+  const snapshot = (path) => ({ exists: store.has(path), data: () => store.get(path) });
+  return {
+    store,
+    doc: docRef,
+    collection: collectionRef,
+    runTransaction: async (updateFunction) => updateFunction({
+      get: async (ref) => snapshot(ref.path),
+      set: (ref, data) => store.set(ref.path, data),
+      update: (ref, data) => store.set(ref.path, { ...store.get(ref.path), ...data }),
+    }),
+    // Documents under a collection path, e.g. all contributions to an item
+    list: (path) => [...store.entries()]
+      .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+      .map(([, data]) => data),
+  };
+};
+
+const checkoutEvent = (overrides = {}) => JSON.stringify({
+  id: 'evt_1',
+  type: 'checkout.session.completed',
+  data: {
+    object: {
+      id: 'cs_1',
+      payment_status: 'paid',
+      amount_total: 12550,
+      currency: 'usd',
+      payment_intent: 'pi_1',
+      metadata: { appId, itemId: 'bema', userId: 'member-uid', contributorName: 'Member' },
+      ...overrides,
+    },
+  },
+});
+
+const bema = () => ({
+  itemName: 'Bema Table',
+  contributionType: 'cash',
+  isPartialAllowed: true,
+  expectedCost: 800,
+  currentContributions: 0,
+  receivedContributions: 0,
+  status: 'Pending',
+});
+
+describe('verifySignature', () => {
+  test('accepts a payload signed with the webhook secret', () => {
+    const payload = checkoutEvent();
+    assert.doesNotThrow(() => verifySignature(payload, signPayload(payload, secret), secret));
+  });
+
+  test('rejects a payload that was changed after signing', () => {
+    const signature = signPayload(checkoutEvent(), secret);
+    assert.throws(() => verifySignature(checkoutEvent({ amount_total: 99999 }), signature, secret), /does not match/);
+  });
+
+  test('rejects a signature made with another secret', () => {
+    const payload = checkoutEvent();
+    assert.throws(() => verifySignature(payload, signPayload(payload, 'other-secret'), secret), /does not match/);
+  });
+
+  test('rejects a missing signature or secret', () => {
+    const payload = checkoutEvent();
+    assert.throws(() => verifySignature(payload, undefined, secret), /Missing/);
+    assert.throws(() => verifySignature(payload, signPayload(payload, secret), undefined), /No webhook secret/);
+  });
+
+  test('rejects a signature older than five minutes, so captured webhooks cannot be replayed', () => {
+    const payload = checkoutEvent();
+    const signedAt = Math.floor(Date.now() / 1000) - 301;
+    assert.throws(() => verifySignature(payload, signPayload(payload, secret, signedAt), secret), /expired/);
+  });
+});
+
+describe('parseCheckoutEvent', () => {
+  test('turns a paid checkout into a payment in dollars', () => {
+    assert.deepEqual(parseCheckoutEvent(checkoutEvent()), {
+      type: 'payment.succeeded',
+      sessionId: 'cs_1',
+      amount: 125.5,
+      currency: 'usd',
+      reference: 'pi_1',
+      metadata: { appId, itemId: 'bema', userId: 'member-uid', contributorName: 'Member' },
+    });
+  });
+
+  test('ignores checkouts that are not paid yet and other event types', () => {
+    assert.deepEqual(parseCheckoutEvent(checkoutEvent({ payment_status: 'unpaid' })), { type: 'ignored' });
+    assert.deepEqual(parseCheckoutEvent(JSON.stringify({ type: 'charge.refunded', data: { object: {} } })), { type: 'ignored' });
+  });
+
+  test('the mock provider sends events the webhook accepts', async () => {
+    const provider = createMockProvider({ webhookSecret: secret, baseUrl: 'http://localhost:8787' });
+    const session = await provider.createCheckoutSession({ amount: 20, description: 'Gift', metadata: { appId }, successUrl: 'http://app/', cancelUrl: 'http://app/' });
+    const webhook = provider.completeSession(session.id);
+    assert.equal(provider.parseWebhook(webhook.payload, webhook.headers).amount, 20);
+  });
+});
+
+describe('recordOnlinePayment', () => {
+  test('a payment delivered twice is recorded as one gift with one receipt number', async () => {
+    const db = createMemoryDb({ [`${dataPath}/wishlistItems/bema`]: bema() });
+    const payment = parseCheckoutEvent(checkoutEvent());
+
+    assert.equal((await recordOnlinePayment(db, appId, payment)).duplicate, false);
+    assert.equal((await recordOnlinePayment(db, appId, payment)).duplicate, true);
+
+    const contributions = db.list(`${dataPath}/wishlistItems/bema/contributions`);
+    assert.equal(contributions.length, 1);
+    assert.equal(contributions[0].receiptNumber, 1);
+    assert.deepEqual(db.store.get(`${dataPath}/meta/receipts`), { lastNumber: 1 });
+    assert.equal(db.store.get(`${dataPath}/wishlistItems/bema`).currentContributions, 125.5);
+    assert.equal(db.store.get(`${dataPath}/wishlistItems/bema`).receivedContributions, 125.5);
+  });
+
+  test('what the item no longer needs goes to the general fund with a receipt of its own', async () => {
+    const db = createMemoryDb({ [`${dataPath}/wishlistItems/bema`]: { ...bema(), currentContributions: 750, status: 'Funding' } });
+    const payment = parseCheckoutEvent(checkoutEvent());
+    const result = await recordOnlinePayment(db, appId, payment);
+    assert.deepEqual([result.itemAmount, result.generalFundAmount], [50, 75.5]);
+    assert.equal((await recordOnlinePayment(db, appId, payment)).duplicate, true);
+
+    assert.equal(db.list(`${dataPath}/wishlistItems/bema/contributions`)[0].receiptNumber, 1);
+    const [gift] = db.list(`${dataPath}/generalFund`);
+    assert.equal(gift.amount, 75.5);
+    assert.equal(gift.paymentStatus, 'received');
+    assert.equal(gift.receiptNumber, 2);
+    assert.deepEqual(db.store.get(`${dataPath}/meta/receipts`), { lastNumber: 2 });
+  });
+
+  test('receipt numbers continue from the shared counter', async () => {
+    const db = createMemoryDb({
+      [`${dataPath}/wishlistItems/bema`]: bema(),
+      [`${dataPath}/meta/receipts`]: { lastNumber: 41 },
+    });
+    await recordOnlinePayment(db, appId, parseCheckoutEvent(checkoutEvent()));
+    assert.equal(db.list(`${dataPath}/wishlistItems/bema/contributions`)[0].receiptNumber, 42);
+  });
+});
+
+describe('return addresses', () => {
+  const origin = 'https://wishlist.example.org';
+
+  test('a page on the web app is accepted and told the outcome', () => {
+    const url = parseReturnUrl(`${origin}/item/bema`, origin);
+    assert.equal(withOutcome(url, 'success'), `${origin}/item/bema?payment=success`);
+  });
+
+  test('an address that only starts with the origin is refused', () => {
+    assert.equal(parseReturnUrl(`${origin}.evil.example/phish`, origin), null);
+    assert.equal(parseReturnUrl(`${origin}@evil.example/phish`, origin), null);
+  });
+
+  test('an address that is not a URL is refused rather than failing', () => {
+    assert.equal(parseReturnUrl('not a url', origin), null);
+    assert.equal(parseReturnUrl(undefined, origin), null);
+  });
+
+  test('nothing is accepted without an allowed origin', () => {
+    assert.equal(parseAllowedOrigin(undefined), null);
+    assert.equal(parseAllowedOrigin('javascript:alert(1)'), null);
+    assert.equal(parseReturnUrl(`${origin}/item/bema`, null), null);
+  });
+
+  test('the allowed origin is compared without its path or trailing slash', () => {
+    assert.equal(parseAllowedOrigin(`${origin}/`), origin);
+  });
+});
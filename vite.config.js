@@ -0,0 +1,24 @@
+// Builds the static single-page site in dist/ from index.html and src/. Deploy settings can be
+// baked in from the environment; anything left unset is read at runtime from the globals the
+// hosting page provides (see src/config.js).
+//
+//   APP_ID=stsm-denver FIREBASE_CONFIG='{"apiKey":"..."}' PAYMENTS_URL=https://pay.example.org npm run build
+//
+// LETTERHEAD sets the church details on receipts, e.g. '{"address":["123 Main St"],"taxId":"12-3456789"}'.
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+const env = process.env;
+const define = {};
+if (env.APP_ID) define.__app_id = JSON.stringify(env.APP_ID);
+if (env.FIREBASE_CONFIG) define.__firebase_config = JSON.stringify(env.FIREBASE_CONFIG);
+if (env.PAYMENTS_URL) define.__payments_url = JSON.stringify(env.PAYMENTS_URL);
+if (env.LETTERHEAD) define.__letterhead = JSON.stringify(env.LETTERHEAD);
+
+export default defineConfig({
+  // Absolute asset paths, so deep links such as /items/<id> still find the bundle. Set BASE_PATH
+  // (with a trailing slash) when the site is served from a subfolder.
+  base: env.BASE_PATH || '/',
+  plugins: [react()],
+  define,
+});